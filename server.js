@@ -1,11 +1,17 @@
 // ================= SERVER SETUP =================
 const express = require('express');
 const http = require('http');
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const zlib = require('zlib');
 const { Server } = require('socket.io');
 const cors = require('cors');
 
 const app = express();
 app.use(cors());
+app.use(express.json());
 
 app.get('/health', (_, res) => res.send('OK'));
 
@@ -16,112 +22,555 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3001;
 const AOI_RADIUS = 800; // pixels
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'file';
+const MAPS_DIR = process.env.MAPS_DIR || path.join(__dirname, 'maps');
+const CONTENT_DIR = process.env.CONTENT_DIR || path.join(__dirname, 'content');
+const AUTOSAVE_INTERVAL = 60000; // save every online character once a minute
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('⚠️ SESSION_SECRET not set, sessions will not survive a restart');
+}
 
-// ================= MAP DEFINITIONS (SERVER AUTHORITATIVE) =================
-const MAPS = {
-  town_1: {
-    id: 'town_1',
-    spawnX: 1200,
-    spawnY: 900,
-    safeZone: true,
-    minMonsterLevel: 0,
-    maxMonsterLevel: 0
-  },
+// ================= PERSISTENCE (PLUGGABLE STORE) =================
+// Every backend exposes the same async API so the game code never cares
+// where data lives: get(collection, id), put(collection, id, value), delete(collection, id),
+// list(collection) for every record in a collection, append(collection, id, entry) for append-only logs
 
-  monster_field_1: {
-    id: 'monster_field_1',
-    spawnX: 400,
-    spawnY: 400,
-    safeZone: false,
-    minMonsterLevel: 1,
-    maxMonsterLevel: 5
-  },
+// Local JSON files: DATA_DIR/<collection>/<id>.json
+function createFileStore(rootDir) {
+  const fileFor = (collection, id) => path.join(rootDir, collection, `${encodeURIComponent(id)}.json`);
 
-  monster_field_2: {
-    id: 'monster_field_2',
-    spawnX: 800,
-    spawnY: 600,
-    safeZone: false,
-    minMonsterLevel: 6,
-    maxMonsterLevel: 10
-  },
+  return {
+    async get(collection, id) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(collection, id), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async put(collection, id, value) {
+      const file = fileFor(collection, id);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      // Write then rename so a crash mid-write never leaves a half file
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value));
+      await fs.rename(tmp, file);
+    },
+
+    async delete(collection, id) {
+      await fs.rm(fileFor(collection, id), { force: true });
+    },
+
+    async list(collection) {
+      let files;
+      try {
+        files = await fs.readdir(path.join(rootDir, collection));
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const records = files.filter(file => file.endsWith('.json'))
+        .map(file => fs.readFile(path.join(rootDir, collection, file), 'utf8').then(JSON.parse));
+      return Promise.all(records);
+    },
+
+    // One JSON entry per line: DATA_DIR/<collection>/<id>.jsonl
+    async append(collection, id, entry) {
+      const file = path.join(rootDir, collection, `${encodeURIComponent(id)}.jsonl`);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+    }
+  };
+}
 
-  monster_field_3: {
-    id: 'monster_field_3',
-    spawnX: 1000,
-    spawnY: 500,
-    safeZone: false,
-    minMonsterLevel: 11,
-    maxMonsterLevel: 15
-  },
+// In-process only, everything is lost on restart (local dev)
+function createMemoryStore() {
+  const collections = new Map(); // collection -> Map(id -> JSON string)
+  const logs = new Map();        // `${collection}/${id}` -> array of entries
+  const bucket = (collection) => {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  };
 
-  monster_field_4: {
-    id: 'monster_field_4',
-    spawnX: 1200,
-    spawnY: 700,
-    safeZone: false,
-    minMonsterLevel: 16,
-    maxMonsterLevel: 20
-  },
+  return {
+    async get(collection, id) {
+      const raw = bucket(collection).get(id);
+      return raw === undefined ? null : JSON.parse(raw);
+    },
+
+    async put(collection, id, value) {
+      bucket(collection).set(id, JSON.stringify(value));
+    },
+
+    async delete(collection, id) {
+      bucket(collection).delete(id);
+    },
+
+    async list(collection) {
+      return Array.from(bucket(collection).values(), raw => JSON.parse(raw));
+    },
+
+    async append(collection, id, entry) {
+      const key = `${collection}/${id}`;
+      if (!logs.has(key)) logs.set(key, []);
+      logs.get(key).push(structuredClone(entry));
+    }
+  };
+}
 
-  monster_field_5: {
-    id: 'monster_field_5',
-    spawnX: 1400,
-    spawnY: 600,
-    safeZone: false,
-    minMonsterLevel: 21,
-    maxMonsterLevel: 25
-  },
+const STORAGE_BACKENDS = {
+  file: () => createFileStore(DATA_DIR),
+  memory: () => createMemoryStore()
+};
 
-  monster_field_6: {
-    id: 'monster_field_6',
-    spawnX: 1600,
-    spawnY: 800,
-    safeZone: false,
-    minMonsterLevel: 26,
-    maxMonsterLevel: 30
-  },
+if (!STORAGE_BACKENDS[STORAGE_BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected: ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+}
+const store = STORAGE_BACKENDS[STORAGE_BACKEND]();
+
+// ================= ACCOUNTS & SESSIONS =================
+const scrypt = promisify(crypto.scrypt);
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const NAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+const pendingRegistrations = new Set(); // emails & lowercase names being registered
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = (await scrypt(password, salt, 64)).toString('hex');
+  return { salt, hash };
+}
 
-  pvp_arena: {
-    id: 'pvp_arena',
-    spawnX: 500,
-    spawnY: 500,
-    safeZone: false,
-    minLevel: 10,           // only level 10+ players can enter
-    minMonsterLevel: 0,
-    maxMonsterLevel: 0
+function signSessionPayload(encoded) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(encoded).digest('base64url');
+}
+
+// Token format: base64url(JSON payload) + '.' + HMAC signature
+function createSessionToken(account) {
+  const payload = { email: account.email, name: account.name, exp: Date.now() + SESSION_TTL };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${encoded}.${signSessionPayload(encoded)}`, expiresAt: payload.exp };
+}
+
+// Returns the session payload, or null if the token is forged, malformed or expired
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(signSessionPayload(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (!session.email || session.exp < Date.now()) return null;
+    return session;
+  } catch {
+    return null;
   }
-};
+}
+
+app.post('/auth/register', async (req, res) => {
+  const { email, password, name } = req.body || {};
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'Invalid email.' });
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters.' });
+  }
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    return res.status(400).json({ error: 'Name must be 3-16 letters, numbers or underscores.' });
+  }
+
+  const emailKey = email.toLowerCase();
+  const nameKey = name.toLowerCase();
+  if (pendingRegistrations.has(emailKey) || pendingRegistrations.has(nameKey)) {
+    return res.status(409).json({ error: 'Registration already in progress.' });
+  }
+
+  pendingRegistrations.add(emailKey);
+  pendingRegistrations.add(nameKey);
+  try {
+    if (await store.get('accounts', emailKey)) {
+      return res.status(409).json({ error: 'Email is already registered.' });
+    }
+    if (await store.get('names', nameKey)) {
+      return res.status(409).json({ error: 'Name is already taken.' });
+    }
+
+    const { salt, hash } = await hashPassword(password);
+    const account = { email: emailKey, name, salt, passwordHash: hash, createdAt: Date.now() };
+
+    await store.put('names', nameKey, { email: emailKey });
+    await store.put('accounts', emailKey, account);
+
+    console.log(`📝 Account registered: ${name} (${emailKey})`);
+    res.status(201).json({ email: emailKey, name, ...createSessionToken(account) });
+  } finally {
+    pendingRegistrations.delete(emailKey);
+    pendingRegistrations.delete(nameKey);
+  }
+});
+
+app.post('/auth/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Email and password are required.' });
+  }
+
+  const account = await store.get('accounts', email.toLowerCase());
+  const { hash } = await hashPassword(password, account?.salt);
+  const valid = account && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(account.passwordHash, 'hex'));
+  if (!valid) return res.status(401).json({ error: 'Invalid email or password.' });
+
+  res.json({ email: account.email, name: account.name, ...createSessionToken(account) });
+});
+
+// Every socket must present a valid session token in its handshake:
+// io(url, { auth: { token } })
+io.use((socket, next) => {
+  const session = verifySessionToken(socket.handshake.auth?.token);
+  if (!session) return next(new Error('Unauthorized'));
 
+  socket.data.email = session.email;
+  socket.data.name = session.name;
+  next();
+});
 
+// ================= GAME CONTENT (SERVER AUTHORITATIVE) =================
+// Maps, classes, monsters and spawn tables are loaded from CONTENT_DIR at startup
+// and swapped wholesale on a hot reload (see CONTENT LOADING), so always read them
+// through these bindings instead of holding on to a nested object.
+let MAPS = {};               // mapId -> { id, spawnX, spawnY, safeZone, bounds, minLevel?, min/maxMonsterLevel }
+let CHARACTER_CLASSES = {};  // class -> growth curve, fields under CONTENT LOADING
+let MONSTER_BASE_STATS = {}; // monster type -> level 1 stats & loot table
+let MONSTER_TYPES = [];      // every monster type, in file order
+let MONSTER_SPAWNS = {};     // mapId -> { count, minLevel, maxLevel, bounds, eliteChance?, types? }
 
 // ================= PLAYER STAT SCALING (MMORPG FORMULA) =================
+const STAT_NAMES = ['STR', 'AGI', 'VIT', 'INT', 'DEX', 'LUCK']; // what stat points can go into
+
 function calculatePlayerStats(player) {
   const { character_class, level } = player;
-
-  const CLASS_BASE = {
-    assassin: { baseHp: 120, hpPerLevel: 25, baseAttack: 15, attackPerLevel: 4 }
-    // add more classes later
-  };
-
-  const cls = CLASS_BASE[character_class] || CLASS_BASE.assassin;
+  const cls = CHARACTER_CLASSES[character_class];
 
   const maxHp = cls.baseHp + cls.hpPerLevel * (level - 1);
   const attack = cls.baseAttack + cls.attackPerLevel * (level - 1);
+  const magicAttack = cls.baseMagic + cls.magicPerLevel * (level - 1);
+  const maxMana = cls.baseMana + cls.manaPerLevel * (level - 1);
 
-  return { maxHp, attack };
+  return { maxHp, attack, magicAttack, maxMana };
 }
 
 function calculateDerivedStats(player) {
   const base = calculatePlayerStats(player);
-  const vitBonus = (player.stats?.VIT || 1) - 1;
-  const strBonus = (player.stats?.STR || 1) - 1;
+  const { weights } = CHARACTER_CLASSES[player.character_class];
+  const bonus = (stat) => (player.stats?.[stat] || 1) - 1;
+
+  const maxHp = base.maxHp + bonus('VIT') * weights.hpPerVit;
+  const attack = Math.round(base.attack + bonus('STR') * weights.attackPerStr);
+  const magicAttack = Math.round(base.magicAttack + bonus('INT') * weights.magicPerInt);
+  const maxMana = base.maxMana + bonus('INT') * weights.manaPerInt;
+  const speed = 1 + bonus('AGI') * 0.1;
+  const hitChance = Math.min(1, 0.85 + bonus('DEX') * weights.hitPerDex);
+  const critChance = Math.min(0.5, (player.stats?.LUCK || 1) * 0.05 + bonus('DEX') * weights.critPerDex);
+  const attackSpeed = Math.min(2, 1 + bonus('DEX') * weights.attackSpeedPerDex);
+
+  return { maxHp, attack, magicAttack, maxMana, speed, hitChance, critChance, attackSpeed };
+}
+
+// Everything the client shows on the character sheet, in one place
+function getCombatStats(player) {
+  return {
+    hp: player.hp,
+    maxHp: player.maxHp,
+    mana: player.mana,
+    maxMana: player.maxMana,
+    attack: player.attack,
+    magicAttack: player.magicAttack,
+    speed: player.speed,
+    hitChance: player.hitChance,
+    critChance: player.critChance,
+    attackSpeed: player.attackSpeed
+  };
+}
+
+// ================= COMBAT FORMULAS (SERVER AUTHORITATIVE) =================
+const PLAYER_ATTACK_COOLDOWN = 1000; // ms between basic attacks at attackSpeed 1.0
+const ATTACK_RANGE_SLACK = 20;       // pixels, hitbox slack on top of class reach
+const CRIT_MULTIPLIER = 2;
+
+// Shared damage pipeline for every player-initiated hit (monsters, PvP and skills)
+// power: skill multiplier, 1 for basic attacks
+function rollPlayerDamage(attacker, targetLevel, power = 1) {
+  const levelDiff = (targetLevel || attacker.level) - attacker.level;
+
+  // DEX drives accuracy, higher level targets are harder to hit
+  const hitChance = Math.max(0.5, attacker.hitChance - Math.max(0, levelDiff) * 0.02);
+  if (Math.random() >= hitChance) return { damage: 0, isCrit: false, isMiss: true };
+
+  // attack / magicAttack already include STR or INT and equipment bonuses
+  const cls = CHARACTER_CLASSES[attacker.character_class];
+  let damage = (cls.damageType === 'magic' ? attacker.magicAttack : attacker.attack) * power;
+
+  // ±10% variance so hits don't all look identical
+  damage *= 0.9 + Math.random() * 0.2;
+
+  // Level gap: -5% per level the target is above you, +2% per level below
+  const levelMod = levelDiff > 0 ? 1 - levelDiff * 0.05 : 1 - levelDiff * 0.02;
+  damage *= Math.min(1.2, Math.max(0.5, levelMod));
+
+  // LUCK and DEX (weighted per class) decide crits
+  const isCrit = Math.random() < attacker.critChance;
+  if (isCrit) damage *= CRIT_MULTIPLIER;
+
+  return { damage: Math.max(1, Math.round(damage)), isCrit, isMiss: false };
+}
+
+// Returns a rejection reason, or null if the attacker may hit something at (x, y)
+function checkPlayerAttack(attacker, x, y, now) {
+  const cls = CHARACTER_CLASSES[attacker.character_class];
+  if (now - attacker.lastAttackTime < PLAYER_ATTACK_COOLDOWN / attacker.attackSpeed) return 'cooldown';
+  if (getDistance(attacker.x, attacker.y, x, y) > cls.attackRange + ATTACK_RANGE_SLACK) return 'outOfRange';
+  return null;
+}
+
+// ================= SKILLS =================
+// Per class. shape decides what the skill hits once it resolves:
+//   single: one target (targetId) within range
+//   circle: everything within radius of the caster (origin 'self') or of the aim point (origin 'target')
+//   cone:   everything within range whose angle from the aim direction is <= angle / 2
+//   line:   everything within range along the aim direction and within width / 2 of it
+// power multiplies the class damage stat, castTime / cooldown are in ms
+const SKILLS = {
+  warrior: {
+    powerSlash:  { name: 'Power Slash', shape: 'cone', range: 110, angle: 100, power: 1.6, castTime: 0, cooldown: 4000, manaCost: 10, levelReq: 1 },
+    whirlwind:   { name: 'Whirlwind', shape: 'circle', origin: 'self', radius: 140, power: 1.3, castTime: 300, cooldown: 10000, manaCost: 25, levelReq: 5 }
+  },
+  mage: {
+    fireball:    { name: 'Fireball', shape: 'circle', origin: 'target', range: 350, radius: 70, power: 1.8, castTime: 800, cooldown: 3000, manaCost: 20, levelReq: 1 },
+    frostLance:  { name: 'Frost Lance', shape: 'line', range: 400, width: 40, power: 1.5, castTime: 400, cooldown: 5000, manaCost: 15, levelReq: 5 },
+    meteor:      { name: 'Meteor', shape: 'circle', origin: 'target', range: 400, radius: 150, power: 3, castTime: 1500, cooldown: 20000, manaCost: 60, levelReq: 15 }
+  },
+  archer: {
+    powerShot:   { name: 'Power Shot', shape: 'single', range: 400, power: 2, castTime: 500, cooldown: 4000, manaCost: 10, levelReq: 1 },
+    arrowRain:   { name: 'Arrow Rain', shape: 'circle', origin: 'target', range: 380, radius: 120, power: 1.2, castTime: 700, cooldown: 12000, manaCost: 30, levelReq: 8 }
+  },
+  assassin: {
+    backstab:    { name: 'Backstab', shape: 'single', range: 90, power: 2.5, castTime: 0, cooldown: 6000, manaCost: 15, levelReq: 1 },
+    fanOfKnives: { name: 'Fan of Knives', shape: 'circle', origin: 'self', radius: 120, power: 1.1, castTime: 0, cooldown: 9000, manaCost: 20, levelReq: 5 }
+  }
+};
+
+const SKILL_RANGE_SLACK = 20;   // pixels
+const MANA_REGEN_INTERVAL = 1000;
+const MANA_REGEN_RATE = 0.02;   // fraction of maxMana per tick
+
+// cast: { originX, originY, aimX, aimY, targetId } captured when the cast starts
+function isInSkillArea(skill, cast, x, y) {
+  switch (skill.shape) {
+    case 'circle': {
+      const center = skill.origin === 'self' ? { x: cast.originX, y: cast.originY } : { x: cast.aimX, y: cast.aimY };
+      return getDistance(center.x, center.y, x, y) <= skill.radius;
+    }
+
+    case 'cone': {
+      const dist = getDistance(cast.originX, cast.originY, x, y);
+      if (dist > skill.range) return false;
+      if (dist === 0) return true;
+      const aim = Math.atan2(cast.aimY - cast.originY, cast.aimX - cast.originX);
+      const toTarget = Math.atan2(y - cast.originY, x - cast.originX);
+      const diff = Math.abs(Math.atan2(Math.sin(toTarget - aim), Math.cos(toTarget - aim)));
+      return diff <= (skill.angle * Math.PI / 180) / 2;
+    }
+
+    case 'line': {
+      const aimLength = getDistance(cast.originX, cast.originY, cast.aimX, cast.aimY) || 1;
+      const dirX = (cast.aimX - cast.originX) / aimLength;
+      const dirY = (cast.aimY - cast.originY) / aimLength;
+      const along = (x - cast.originX) * dirX + (y - cast.originY) * dirY;
+      const across = Math.abs((x - cast.originX) * dirY - (y - cast.originY) * dirX);
+      return along >= 0 && along <= skill.range && across <= skill.width / 2;
+    }
+
+    default:
+      return false;
+  }
+}
+
+// A circle that contains the whole skill area, for the spatial grid lookup
+function getSkillBoundingCircle(skill, cast) {
+  if (skill.shape === 'circle') {
+    return skill.origin === 'self'
+      ? { x: cast.originX, y: cast.originY, radius: skill.radius }
+      : { x: cast.aimX, y: cast.aimY, radius: skill.radius };
+  }
+  if (skill.shape === 'line') {
+    return { x: cast.originX, y: cast.originY, radius: Math.hypot(skill.range, skill.width / 2) };
+  }
+  return { x: cast.originX, y: cast.originY, radius: skill.range };
+}
+
+// Everything a resolved skill hits: monsters on the map, plus players the caster may fight
+function collectSkillTargets(caster, skill, cast) {
+  const targets = [];
+
+  if (skill.shape === 'single') {
+    const monster = monsters.get(cast.targetId);
+    const player = players.get(cast.targetId);
+
+    let target = null;
+    if (monster && monster.mapId === caster.map && monster.hp > 0) {
+      target = { kind: 'monster', entity: monster };
+    } else if (player && !player.isDead && canPlayersFight(caster, player)) {
+      target = { kind: 'player', entity: player };
+    }
+
+    if (target && getDistance(caster.x, caster.y, target.entity.x, target.entity.y) <= skill.range + SKILL_RANGE_SLACK) {
+      targets.push(target);
+    }
+    return targets;
+  }
+
+  const area = getSkillBoundingCircle(skill, cast);
+
+  for (const monster of getMonstersNear(caster.map, area.x, area.y, area.radius)) {
+    if (monster.hp > 0 && isInSkillArea(skill, cast, monster.x, monster.y)) {
+      targets.push({ kind: 'monster', entity: monster });
+    }
+  }
+
+  if (caster.map === 'pvp_arena' || caster.duelId || caster.matchId) {
+    for (const player of getPlayersNear(caster.map, area.x, area.y, area.radius)) {
+      if (!player.isDead && canPlayersFight(caster, player) && isInSkillArea(skill, cast, player.x, player.y)) {
+        targets.push({ kind: 'player', entity: player });
+      }
+    }
+  }
+
+  return targets;
+}
+
+function resolveSkill(caster, skillType, skill, cast) {
+  const hits = [];
+
+  for (const { kind, entity } of collectSkillTargets(caster, skill, cast)) {
+    const hit = { ...rollPlayerDamage(caster, entity.level, skill.power), skillType };
+    if (kind === 'monster') damageMonster(entity, caster, hit);
+    else damagePlayerPvP(entity, caster, hit);
+
+    hits.push({ kind, id: kind === 'monster' ? entity.id : entity.email, damage: hit.damage, isCrit: hit.isCrit, isMiss: hit.isMiss });
+  }
+
+  io.to(caster.socketId).emit('player:skillResult', { skillType, hits });
+}
+
+// Cooldowns and mana the client needs to draw the skill bar
+function getSkillState(player) {
+  return {
+    skills: SKILLS[player.character_class] || {},
+    cooldowns: player.skillCooldowns,
+    mana: player.mana,
+    maxMana: player.maxMana
+  };
+}
+
+setInterval(() => {
+  for (const player of players.values()) {
+    if (player.isDead || player.mana >= player.maxMana) continue;
+    player.mana = Math.min(player.maxMana, player.mana + Math.max(1, Math.round(player.maxMana * MANA_REGEN_RATE)));
+    io.to(player.socketId).emit('player:manaUpdated', { mana: player.mana, maxMana: player.maxMana });
+  }
+}, MANA_REGEN_INTERVAL);
+
+// ================= MOVEMENT VALIDATION =================
+const PLAYER_BASE_SPEED = 0.2; // pixels per ms at speed 1.0 (200 px/s)
+const MOVE_TOLERANCE = 1.2;    // headroom for network jitter
+const MOVE_BUDGET_MAX = 1000;  // ms worth of movement a player can bank
+const MOVE_SLACK = 8;          // pixels, absorbs client rounding
+
+// Rubber-band the client back to the authoritative position
+function sendPositionCorrection(player, reason) {
+  io.to(player.socketId).emit('player:positionCorrected', {
+    map: player.map,
+    x: player.x,
+    y: player.y,
+    reason
+  });
+}
+
+// Takes a player off their map and drops them at `position` on `map`, sending them
+// the new map's monsters, drops and neighbours. The destination is already validated.
+function movePlayerToMap(player, map, position) {
+  const oldMap = player.map;
+  const trade = getTrade(player);
+  if (trade) cancelTrade(trade, 'mapChanged');
+
+  // Remove from old map
+  if (mapPlayers.has(oldMap)) {
+    mapPlayers.get(oldMap).delete(player.email);
+    untrackPlayer(player);
+    broadcastToMap(oldMap, 'player:left', player.email);
+    cleanupMapIfEmpty(oldMap);
+  }
+
+  // Update current player
+  player.map = map;
+  player.x = position.x;
+  player.y = position.y;
+
+  if (!mapPlayers.has(map)) mapPlayers.set(map, new Set());
+  mapPlayers.get(map).add(player.email);
+  trackPlayer(player);
+
+  // Spawn monsters if applicable
+  spawnMonsters(map);
+
+  const monstersInMap = mapMonsters.get(map) || new Set();
+  for (const monsterId of monstersInMap) {
+    const m = monsters.get(monsterId);
+    if (m && m.hp > 0) {
+      io.to(player.socketId).emit('monster:spawn', serializeMonster(m));
+    }
+  }
+
+  // Existing ground drops and the map's NPCs
+  const socket = io.sockets.sockets.get(player.socketId);
+  if (socket) {
+    emitMapDrops(socket, map);
+    emitMapNpcs(socket, map);
+  }
+
+  recordQuestTravel(player);
 
-  const maxHp = base.maxHp + vitBonus * 10;
-  const attack = base.attack + strBonus * 2;
-  const speed = 1 + ((player.stats?.AGI || 1) - 1) * 0.1;
+  // Notify nearby players
+  const nearby = getPlayersInAOI(player.email, position.x, position.y, map);
+  nearby.forEach(p => io.to(player.socketId).emit('player:joined', p));
 
-  return { maxHp, attack, speed };
+  broadcastToAOI(
+    player.email,
+    position.x,
+    position.y,
+    map,
+    'player:joined',
+    {
+      email: player.email,
+      name: player.name,
+      character_class: player.character_class,
+      level: player.level,
+      position,
+      direction: player.direction,
+      state: player.state,
+      equipment: player.equipment,
+      guildTag: getGuildTag(player.email)
+    }
+  );
 }
 
 // ================= LEVEL UP & XP =================
@@ -134,17 +583,18 @@ function levelUpPlayer(player) {
 
   // Heal player to full after level-up
   player.hp = player.maxHp;
+  player.mana = player.maxMana;
 
   // Give stat points
   player.statPointsAvailable += 5;
+  recordLevel(player);
+
+  saveCharacter(player);
 
   // Notify player client of level-up and updated stats
   io.to(player.socketId).emit('player:levelUp', {
     level: player.level,
-    hp: player.hp,
-    maxHp: player.maxHp,
-    attack: player.attack,
-    speed: player.speed,
+    ...getCombatStats(player),
     stats: player.stats,
     statPointsAvailable: player.statPointsAvailable
   });
@@ -176,1062 +626,5060 @@ function giveXp(player, xpAmount) {
 const players = new Map();      // email -> player object
 const mapPlayers = new Map();   // mapId -> Set of emails
 
-// ================= MONSTER DATA =================
-const monsters = new Map();     // monsterId -> monster object
-const mapMonsters = new Map();  // mapId -> Set of monsterIds
-
-// ================= MONSTER TYPES =================
-const MONSTER_TYPES = [
-  'sparklingSlime', // weak, common
-  'forestImp',      // light melee
-  'rockBeast',      // tanky
-  'shadowHound',    // fast & aggressive
-  'fireWisp',       // ranged magic
-  'mudGolem',       // slow but strong
-  'wingedSerpent',  // flying, medium
-  'crystalCrawler', // armored
-  'stormRaven',     // high speed
-  'lavaElemental'   // high HP & attack, rare
-];
-
-// ================= MONSTER SPAWNS BY MAP =================
-const MONSTER_SPAWNS = {
-  monster_field_1: { count: 20, minLevel: 1,  maxLevel: 5,  bounds: { minX: 100, maxX: 2300, minY: 100, maxY: 1800 } },
-  monster_field_2: { count: 25, minLevel: 6,  maxLevel: 10, bounds: { minX: 200, maxX: 2500, minY: 100, maxY: 1800 } },
-  monster_field_3: { count: 30, minLevel: 11, maxLevel: 15, bounds: { minX: 300, maxX: 2600, minY: 200, maxY: 1900 } },
-  monster_field_4: { count: 35, minLevel: 16, maxLevel: 20, bounds: { minX: 400, maxX: 2700, minY: 300, maxY: 2000 } },
-  monster_field_5: { count: 40, minLevel: 21, maxLevel: 25, bounds: { minX: 500, maxX: 2800, minY: 400, maxY: 2100 } },
-  monster_field_6: { count: 50, minLevel: 26, maxLevel: 30, bounds: { minX: 600, maxX: 3000, minY: 500, maxY: 2200 } }
-};
-
-// ================= MONSTER BASE STATS =================
-const MONSTER_BASE_STATS = {
-  sparklingSlime: { hp: 30, attack: 4, speed: 1.2, aggro: 100, attackRange: 30, cooldown: 1200, xp: 5, loot: ['potion'] },
-  forestImp:      { hp: 40, attack: 6, speed: 1.5, aggro: 150, attackRange: 35, cooldown: 1300, xp: 7, loot: ['potion','coin'] },
-  rockBeast:      { hp: 80, attack: 10, speed: 0.8, aggro: 200, attackRange: 40, cooldown: 1600, xp: 12, loot: ['coin','gem'] },
-  shadowHound:    { hp: 50, attack: 8, speed: 2.0, aggro: 180, attackRange: 40, cooldown: 1100, xp: 10, loot: ['potion','coin'] },
-  fireWisp:       { hp: 35, attack: 10, speed: 1.5, aggro: 120, attackRange: 100, cooldown: 1800, xp: 12, loot: ['manaPotion'] },
-  mudGolem:       { hp: 100, attack: 12, speed: 0.6, aggro: 220, attackRange: 50, cooldown: 2000, xp: 15, loot: ['stone'] },
-  wingedSerpent:  { hp: 60, attack: 9, speed: 2.2, aggro: 180, attackRange: 45, cooldown: 1400, xp: 13, loot: ['gem'] },
-  crystalCrawler: { hp: 90, attack: 11, speed: 0.9, aggro: 200, attackRange: 40, cooldown: 1500, xp: 14, loot: ['crystal'] },
-  stormRaven:     { hp: 45, attack: 7, speed: 2.5, aggro: 160, attackRange: 50, cooldown: 1200, xp: 10, loot: ['feather'] },
-  lavaElemental:  { hp: 150, attack: 20, speed: 1.0, aggro: 250, attackRange: 60, cooldown: 2000, xp: 25, loot: ['lavaStone','gem'] }
-};
+// ================= CHARACTER PERSISTENCE =================
+const pendingSaves = new Map(); // email -> promise of the last queued save
 
-// ================= MONSTER STAT GENERATOR =================
-function generateMonsterStats(type, level) {
-  const base = MONSTER_BASE_STATS[type];
-  if (!base) return null;
+// Writes under the same key are chained so they land in order
+function queueWrite(queue, key, task, label) {
+  const previous = queue.get(key) || Promise.resolve();
+  const next = previous
+    .then(task)
+    .catch(err => console.error(`❌ Failed to write ${label}:`, err));
 
-  return {
-    hp: Math.floor(base.hp + base.hp * 0.15 * (level - 1)),
-    attack: Math.floor(base.attack + base.attack * 0.12 * (level - 1)),
-    speed: parseFloat((base.speed + 0.05 * (level - 1)).toFixed(2)),
-    aggroRange: base.aggro + level * 5,
-    attackRange: base.attackRange,
-    attackCooldown: base.cooldown,
-    xp: Math.floor(base.xp + base.xp * 0.2 * (level - 1)),
-    loot: base.loot
-  };
+  queue.set(key, next);
+  next.then(() => {
+    if (queue.get(key) === next) queue.delete(key);
+  });
+  return next;
 }
 
-// ================= SPAWN MONSTERS =================
-function spawnMonsters(mapId) {
-  const config = MONSTER_SPAWNS[mapId];
-  if (!config) return;
-  if (!mapMonsters.has(mapId)) mapMonsters.set(mapId, new Set());
-  const monsterSet = mapMonsters.get(mapId);
+function serializeCharacter(player) {
+  // Deep copy so later mutations can't leak into a save that is still queued
+  return structuredClone({
+    email: player.email,
+    name: player.name,
+    character_class: player.character_class,
+    level: player.level,
+    xp: player.xp,
+    stats: player.stats,
+    statPointsAvailable: player.statPointsAvailable,
+    inventory: player.inventory,
+    bcoins: player.bcoins,
+    equipment: player.equipment,
+    quests: player.quests,
+    blocked: player.blocked,
+    map: player.map,
+    x: player.x,
+    y: player.y,
+    lifetime: player.lifetime,
+    savedAt: Date.now()
+  });
+}
 
-  for (let i = monsterSet.size; i < config.count; i++) {
-    const type = MONSTER_TYPES[Math.floor(Math.random() * MONSTER_TYPES.length)];
-    const level = Math.floor(Math.random() * (config.maxLevel - config.minLevel + 1)) + config.minLevel;
-    const stats = generateMonsterStats(type, level);
-
-    const monsterId = `${mapId}_${type}_${Date.now()}_${i}`;
-    const x = config.bounds.minX + Math.random() * (config.bounds.maxX - config.bounds.minX);
-    const y = config.bounds.minY + Math.random() * (config.bounds.maxY - config.bounds.minY);
-
-    const monster = {
-      id: monsterId,
-      type,
-      level,
-      mapId,
-      x, y, spawnX: x, spawnY: y,
-      direction: 'front', state: 'idle',
-      hp: stats.hp, maxHp: stats.hp,
-      attack: stats.attack, speed: stats.speed,
-      aggroRange: stats.aggroRange,
-      attackRange: stats.attackRange,
-      attackCooldown: stats.attackCooldown,
-      lastAttack: 0,
-      target: null,
-      lastUpdate: Date.now(),
-      loot: stats.loot,
-      xp: stats.xp
-    };
+function saveCharacter(player) {
+  const data = serializeCharacter(player);
+  indexCharacter(data);
+  return queueWrite(pendingSaves, player.email, () => store.put('characters', player.email, data), `character ${player.email}`);
+}
 
-    monsters.set(monsterId, monster);
-    monsterSet.add(monsterId);
-
-    broadcastToMap(mapId, 'monster:spawn', {
-      id: monster.id,
-      type: monster.type,
-      mapId: monster.mapId,
-      x: monster.x,
-      y: monster.y,
-      hp: monster.hp,
-      maxHp: monster.maxHp,
-      direction: monster.direction,
-      state: monster.state,
-      level: monster.level
-    });
-  }
+async function loadCharacter(email) {
+  // Never read a record that is older than a save still in flight
+  await pendingSaves.get(email);
+  return store.get('characters', email);
 }
 
-// ================= HELPER FUNCTIONS =================
-function getDistance(x1, y1, x2, y2) {
-  return Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+function saveAllCharacters() {
+  return Promise.all(Array.from(players.values()).map(saveCharacter));
 }
 
-function getPlayersInAOI(email, x, y, mapId) {
-  const playersInMap = mapPlayers.get(mapId) || new Set();
-  const nearby = [];
-  for (const otherEmail of playersInMap) {
-    if (otherEmail === email) continue;
-    const p = players.get(otherEmail);
-    if (!p) continue;
-    if (getDistance(x, y, p.x, p.y) <= AOI_RADIUS) {
-      nearby.push({
-        email: p.email,
-        name: p.name,
-        character_class: p.character_class,
-        level: p.level,
-        position: { x: p.x, y: p.y },
-        direction: p.direction,
-        state: p.state
-      });
-    }
-  }
-  return nearby;
+// ================= WALLET (BCOINS) =================
+// player.bcoins is the balance; every change also lands in an append-only
+// ledger (DATA_DIR/ledger/<email>.jsonl). Other systems (shops, trades, mail,
+// repairs...) must go through creditBcoins / debitBcoins / transferBcoins.
+const pendingLedgerWrites = new Map(); // email -> promise of the last ledger append
+
+function recordWalletChange(player, amount, source, meta) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: Date.now(),
+    source,
+    amount,
+    balanceAfter: player.bcoins,
+    ...(meta && { meta })
+  };
+
+  queueWrite(pendingLedgerWrites, player.email, () => store.append('ledger', player.email, entry), `ledger ${player.email}`);
+  saveCharacter(player);
+
+  io.to(player.socketId).emit('player:walletUpdated', {
+    bcoins: player.bcoins,
+    amount,
+    source
+  });
+  return entry;
 }
 
-function broadcastToAOI(email, x, y, mapId, event, data) {
-  const playersInMap = mapPlayers.get(mapId) || new Set();
-  for (const otherEmail of playersInMap) {
-    if (otherEmail === email) continue;
-    const p = players.get(otherEmail);
-    if (!p || !p.socketId) continue;
-    if (getDistance(x, y, p.x, p.y) <= AOI_RADIUS) {
-      io.to(p.socketId).emit(event, data);
-    }
-  }
+function creditBcoins(player, amount, source, meta) {
+  if (!Number.isInteger(amount) || amount <= 0) return false;
+
+  player.bcoins += amount;
+  if (EARNED_BCOIN_SOURCES.has(source)) player.lifetime.bcoinsEarned += amount;
+  recordWalletChange(player, amount, source, meta);
+  return true;
 }
 
-function broadcastToMap(mapId, event, data) {
-  const playersInMap = mapPlayers.get(mapId) || new Set();
-  for (const email of playersInMap) {
-    const p = players.get(email);
-    if (p?.socketId) io.to(p.socketId).emit(event, data);
-  }
+// Check-and-debit happens synchronously, so two callers can never spend the same coins
+function debitBcoins(player, amount, source, meta) {
+  if (!Number.isInteger(amount) || amount <= 0 || player.bcoins < amount) return false;
+
+  player.bcoins -= amount;
+  recordWalletChange(player, -amount, source, meta);
+  return true;
 }
 
-function cleanupMapIfEmpty(mapId) {
-  const playersInMap = mapPlayers.get(mapId);
-  if (playersInMap && playersInMap.size === 0) {
-    const monsterSet = mapMonsters.get(mapId);
-    if (monsterSet) {
-      for (const monsterId of monsterSet) monsters.delete(monsterId);
-      mapMonsters.delete(mapId);
-    }
-    console.log(`🧹 Cleared monsters for empty map ${mapId}`);
-  }
+function transferBcoins(from, to, amount, source, meta) {
+  if (!debitBcoins(from, amount, source, { ...meta, to: to.email })) return false;
+  creditBcoins(to, amount, source, { ...meta, from: from.email });
+  return true;
 }
 
+setInterval(saveAllCharacters, AUTOSAVE_INTERVAL);
 
+// ================= LIFETIME STATS =================
+// player.lifetime counts what a character has done since it was created. It is
+// saved with the character and feeds the /leaderboards endpoints.
+// Only bcoins coming out of the world count as earned; trades, mail and refunds just move them around.
+const EARNED_BCOIN_SOURCES = new Set(['kill', 'boss', 'pickup', 'quest', 'shop:sell']);
 
-// ================= MONSTER FUNCTIONS =================
-function spawnMonsters(mapId) {
-  const config = MONSTER_SPAWNS[mapId];
-  if (!config) return;
-  if (!mapMonsters.has(mapId)) mapMonsters.set(mapId, new Set());
-  const monsterSet = mapMonsters.get(mapId);
-  if (monsterSet.size >= config.count) return;
-
-  for (let i = monsterSet.size; i < config.count; i++) {
-    const type = config.types[Math.floor(Math.random() * config.types.length)];
-    const stats = MONSTER_STATS[type];
-    const monsterId = `${mapId}_${type}_${Date.now()}_${i}`;
-    const x = config.bounds.minX + Math.random() * (config.bounds.maxX - config.bounds.minX);
-    const y = config.bounds.minY + Math.random() * (config.bounds.maxY - config.bounds.minY);
-
-    const monster = {
-      id: monsterId,
-      type,
-      mapId,
-      x, y, spawnX: x, spawnY: y,
-      direction: 'front', state: 'idle',
-      hp: stats.hp, maxHp: stats.hp,
-      attack: stats.attack, speed: stats.speed,
-      aggroRange: stats.aggro,
-      attackRange: stats.attackRange,
-      attackCooldown: stats.cooldown,
-      lastAttack: 0,
-      target: null,
-      lastUpdate: Date.now()
-    };
+function createLifetimeStats(saved, level) {
+  return {
+    monsterKills: { ...saved?.monsterKills }, // monster type -> count
+    deaths: saved?.deaths ?? 0,
+    pvpKills: saved?.pvpKills ?? 0,
+    pvpDeaths: saved?.pvpDeaths ?? 0,
+    highestLevel: Math.max(saved?.highestLevel ?? 0, level),
+    bcoinsEarned: saved?.bcoinsEarned ?? 0
+  };
+}
 
-    monsters.set(monsterId, monster);
-    monsterSet.add(monsterId);
-
-    broadcastToMap(mapId, 'monster:spawn', {
-      id: monsterId,
-      type,
-      mapId,
-      x: monster.x,
-      y: monster.y,
-      hp: monster.hp,
-      maxHp: monster.maxHp,
-      direction: monster.direction,
-      state: monster.state
-    });
-  }
+function recordMonsterKill(player, monster) {
+  const kills = player.lifetime.monsterKills;
+  kills[monster.type] = (kills[monster.type] || 0) + 1;
+}
 
-  console.log(`✅ Monsters ensured for map ${mapId} (${monsterSet.size}/${config.count})`);
+// Arena and ranked knockouts count; duels are friendly and don't
+function recordPvPKill(killer, victim) {
+  if (victim.duelId) return;
+  killer.lifetime.pvpKills += 1;
+  recordPvPDeath(victim);
 }
 
+// Also used on its own for arena deaths nobody gets the kill for
+function recordPvPDeath(victim) {
+  if (!victim.duelId) victim.lifetime.pvpDeaths += 1;
+}
 
-// ------------------ MONSTER ATTACK PLAYER ------------------
-// Call this in your monster AI attack logic
-function monsterAttackPlayer(monster, targetPlayer) {
-  if (!targetPlayer || targetPlayer.isDead) return;
+function recordLevel(player) {
+  player.lifetime.highestLevel = Math.max(player.lifetime.highestLevel, player.level);
+}
 
-  // Apply damage
-  const damage = monster.attack;
-  targetPlayer.hp = Math.max(0, targetPlayer.hp - damage);
+// ================= MONSTER DATA =================
+const monsters = new Map();     // monsterId -> monster object
+const mapMonsters = new Map();  // mapId -> Set of monsterIds
 
-  // Notify the target
-  io.to(targetPlayer.socketId).emit('player:hpChanged', {
-    hp: targetPlayer.hp,
-    maxHp: targetPlayer.maxHp,
-    damage,
-    attacker: monster.id
-  });
+// ================= ITEM CATALOG =================
+// Inventory and equipment only ever hold item ids, everything else lives here.
+// Equipment modifiers (hp / attack / magicAttack / mana / speed) are summed by recalcPlayerWithEquipment.
+// `value` is what an NPC vendor pays for the item, in bcoins.
+const EQUIPMENT_SLOTS = ['weapon', 'helmet', 'armor', 'boots', 'accessory'];
+
+const ITEM_CATALOG = {
+  // ---- CONSUMABLES ----
+  potion:          { name: 'Health Potion', type: 'consumable', value: 10 },
+  manaPotion:      { name: 'Mana Potion', type: 'consumable', value: 12 },
+
+  // ---- MATERIALS (monster loot) ----
+  coin:            { name: 'Old Coin', type: 'material', value: 2 },
+  gem:             { name: 'Gem', type: 'material', value: 25 },
+  stone:           { name: 'Stone', type: 'material', value: 4 },
+  crystal:         { name: 'Crystal', type: 'material', value: 12 },
+  feather:         { name: 'Feather', type: 'material', value: 6 },
+  lavaStone:       { name: 'Lava Stone', type: 'material', value: 40 },
+
+  // ---- WEAPONS ----
+  woodenSword:     { name: 'Wooden Sword', type: 'equipment', slot: 'weapon', attack: 3, levelReq: 1, classes: ['warrior'], value: 15 },
+  ironGreatsword:  { name: 'Iron Greatsword', type: 'equipment', slot: 'weapon', attack: 10, levelReq: 8, classes: ['warrior'], value: 120 },
+  apprenticeStaff: { name: 'Apprentice Staff', type: 'equipment', slot: 'weapon', magicAttack: 4, mana: 20, levelReq: 1, classes: ['mage'], value: 15 },
+  emberStaff:      { name: 'Ember Staff', type: 'equipment', slot: 'weapon', magicAttack: 12, mana: 50, levelReq: 8, classes: ['mage'], value: 140 },
+  shortBow:        { name: 'Short Bow', type: 'equipment', slot: 'weapon', attack: 3, levelReq: 1, classes: ['archer'], value: 15 },
+  hunterBow:       { name: 'Hunter Bow', type: 'equipment', slot: 'weapon', attack: 9, speed: 0.05, levelReq: 8, classes: ['archer'], value: 120 },
+  rustyDagger:     { name: 'Rusty Dagger', type: 'equipment', slot: 'weapon', attack: 3, levelReq: 1, classes: ['assassin'], value: 15 },
+  steelDagger:     { name: 'Steel Dagger', type: 'equipment', slot: 'weapon', attack: 8, levelReq: 8, classes: ['assassin'], value: 110 },
+  shadowFang:      { name: 'Shadow Fang', type: 'equipment', slot: 'weapon', attack: 16, speed: 0.05, levelReq: 18, classes: ['assassin'], value: 400 },
+
+  // ---- ARMOR ----
+  leatherCap:      { name: 'Leather Cap', type: 'equipment', slot: 'helmet', hp: 10, levelReq: 1, value: 10 },
+  leatherArmor:    { name: 'Leather Armor', type: 'equipment', slot: 'armor', hp: 20, levelReq: 1, value: 20 },
+  chainMail:       { name: 'Chain Mail', type: 'equipment', slot: 'armor', hp: 60, speed: -0.05, levelReq: 10, value: 150 },
+  swiftBoots:      { name: 'Swift Boots', type: 'equipment', slot: 'boots', speed: 0.1, levelReq: 5, value: 90 },
+  emberRing:       { name: 'Ember Ring', type: 'equipment', slot: 'accessory', attack: 4, hp: 15, levelReq: 12, value: 250 }
+};
 
-  // Broadcast to AOI
-  broadcastToAOI(
-    targetPlayer.email,
-    targetPlayer.x,
-    targetPlayer.y,
-    targetPlayer.map,
-    'player:damaged',
+// Returns an error message, or null if the player may wear the item
+function checkEquipRequirements(player, item) {
+  if (!item || item.type !== 'equipment' || !EQUIPMENT_SLOTS.includes(item.slot)) return 'That item cannot be equipped.';
+  if (player.level < (item.levelReq || 1)) return `You need to be level ${item.levelReq} to equip ${item.name}.`;
+  if (item.classes && !item.classes.includes(player.character_class)) return `${item.name} cannot be used by your class.`;
+  return null;
+}
+
+// ================= NPCS =================
+// Static per-map NPCs. A `shop` maps item ids to the buy price in bcoins;
+// vendors buy back anything with a catalog `value`. `quests` lists the QUESTS this NPC gives out.
+const NPC_INTERACT_RANGE = 120; // px
+
+const NPCS = {
+  town_1: [
     {
-      email: targetPlayer.email,
-      damage,
-      attacker: monster.id
+      id: 'town_1_captain',
+      name: 'Captain Aldric',
+      x: 1200,
+      y: 780,
+      quests: ['slimeCull', 'arenaScout', 'houndHunt']
+    },
+    {
+      id: 'town_1_merchant',
+      name: 'Mira the Merchant',
+      x: 1100,
+      y: 850,
+      shop: { potion: 20, manaPotion: 25, leatherCap: 30, leatherArmor: 50, swiftBoots: 250 }
+    },
+    {
+      id: 'town_1_smith',
+      name: 'Borin the Smith',
+      x: 1350,
+      y: 850,
+      shop: {
+        woodenSword: 40, apprenticeStaff: 40, shortBow: 40, rustyDagger: 40,
+        ironGreatsword: 350, emberStaff: 400, hunterBow: 350, steelDagger: 320, chainMail: 450
+      },
+      quests: ['crystalOrder']
     }
-  );
+  ]
+};
 
-  // Trigger death if HP depleted
-  if (targetPlayer.hp <= 0) {
-    handlePlayerDeath(targetPlayer);
+function getNpc(mapId, npcId) {
+  return (NPCS[mapId] || []).find(npc => npc.id === npcId) || null;
+}
+
+function serializeNpc(npc) {
+  return { id: npc.id, name: npc.name, x: npc.x, y: npc.y, hasShop: Boolean(npc.shop), hasQuests: Boolean(npc.quests?.length) };
+}
+
+function isNearNpc(player, npc) {
+  return getDistance(player.x, player.y, npc.x, npc.y) <= NPC_INTERACT_RANGE;
+}
+
+function emitMapNpcs(socket, mapId) {
+  socket.emit('npc:list', { mapId, npcs: (NPCS[mapId] || []).map(serializeNpc) });
+}
+
+// ================= QUESTS =================
+// Objectives:
+//   kill    { monsterType, mapId?, count }  counted in handleMonsterDeath for every kill sharer
+//   collect { itemId, count }               mirrors the inventory; the items are handed in on completion
+//   travel  { mapId }                       set on player:changeMap (or on accept if already there)
+// Progress lives on the character as quests.active[questId].progress, one number per objective.
+const QUESTS = {
+  slimeCull: {
+    name: 'Slime Cull',
+    giver: 'town_1_captain',
+    levelReq: 1,
+    objectives: [{ type: 'kill', monsterType: 'sparklingSlime', mapId: 'monster_field_1', count: 8 }],
+    rewards: { xp: 150, bcoins: 50, items: ['potion', 'potion'] }
+  },
+  arenaScout: {
+    name: 'Scout the Arena',
+    giver: 'town_1_captain',
+    levelReq: 5,
+    objectives: [{ type: 'travel', mapId: 'pvp_arena' }],
+    rewards: { xp: 100, bcoins: 20 }
+  },
+  houndHunt: {
+    name: 'Hound Hunt',
+    giver: 'town_1_captain',
+    levelReq: 6,
+    requires: ['slimeCull'],
+    objectives: [{ type: 'kill', monsterType: 'shadowHound', mapId: 'monster_field_2', count: 10 }],
+    rewards: { xp: 600, bcoins: 150 }
+  },
+  crystalOrder: {
+    name: 'A Crystal Order',
+    giver: 'town_1_smith',
+    levelReq: 10,
+    objectives: [{ type: 'collect', itemId: 'crystal', count: 5 }],
+    rewards: { xp: 400, bcoins: 120, items: ['swiftBoots'] }
   }
+};
+
+function getObjectiveTarget(objective) {
+  return objective.count ?? 1;
 }
 
-function updateMonsterAI() {
-  const now = Date.now();
-  for (const [monsterId, monster] of monsters.entries()) {
-    if (monster.hp <= 0) continue;
+// 'completed' | 'active' | 'available' | 'locked'
+function getQuestStatus(player, questId) {
+  const quest = QUESTS[questId];
+  if (player.quests.completed.includes(questId)) return 'completed';
+  if (player.quests.active[questId]) return 'active';
+  if (player.level < quest.levelReq) return 'locked';
+  if ((quest.requires || []).some(id => !player.quests.completed.includes(id))) return 'locked';
+  return 'available';
+}
 
-    const playersInMap = mapPlayers.get(monster.mapId);
-    if (!playersInMap || playersInMap.size === 0) continue;
+function isQuestReady(questId, entry) {
+  return QUESTS[questId].objectives.every((objective, i) => entry.progress[i] >= getObjectiveTarget(objective));
+}
+
+function serializeQuest(player, questId) {
+  const quest = QUESTS[questId];
+  const entry = player.quests.active[questId];
+  return {
+    id: questId,
+    name: quest.name,
+    giver: quest.giver,
+    levelReq: quest.levelReq,
+    status: getQuestStatus(player, questId),
+    objectives: quest.objectives.map((objective, i) => ({
+      ...objective,
+      count: getObjectiveTarget(objective),
+      progress: entry ? entry.progress[i] : 0
+    })),
+    rewards: quest.rewards
+  };
+}
+
+function emitQuestLog(player) {
+  io.to(player.socketId).emit('quest:log', {
+    active: Object.keys(player.quests.active).map(questId => serializeQuest(player, questId)),
+    completed: player.quests.completed
+  });
+}
+
+// Runs `update(objective, current)` over every active objective of `type` and
+// stores the result (capped at the target), notifying the client of changes
+function updateQuestProgress(player, type, update) {
+  let changed = false;
+
+  for (const [questId, entry] of Object.entries(player.quests.active)) {
+    const wasReady = isQuestReady(questId, entry);
+
+    QUESTS[questId].objectives.forEach((objective, i) => {
+      if (objective.type !== type) return;
+      const progress = Math.min(getObjectiveTarget(objective), update(objective, entry.progress[i]));
+      if (progress === entry.progress[i]) return;
+
+      entry.progress[i] = progress;
+      changed = true;
+      io.to(player.socketId).emit('quest:progress', {
+        questId,
+        objective: i,
+        progress,
+        count: getObjectiveTarget(objective)
+      });
+    });
+
+    if (!wasReady && isQuestReady(questId, entry)) {
+      io.to(player.socketId).emit('quest:ready', { questId, giver: QUESTS[questId].giver });
+    }
+  }
+
+  if (changed) saveCharacter(player);
+}
+
+function countItem(inventory, itemId) {
+  return inventory.filter(id => id === itemId).length;
+}
+
+function recordQuestKill(player, monster) {
+  updateQuestProgress(player, 'kill', (objective, current) =>
+    objective.monsterType === monster.type && (!objective.mapId || objective.mapId === monster.mapId) ? current + 1 : current);
+}
+
+function syncCollectObjectives(player) {
+  updateQuestProgress(player, 'collect', objective => countItem(player.inventory, objective.itemId));
+}
+
+function recordQuestTravel(player) {
+  updateQuestProgress(player, 'travel', (objective, current) => (objective.mapId === player.map ? 1 : current));
+}
+
+// ================= MONSTER STAT GENERATOR =================
+function generateMonsterStats(type, level) {
+  const base = MONSTER_BASE_STATS[type];
+  if (!base) return null;
+
+  return {
+    hp: Math.floor(base.hp + base.hp * 0.15 * (level - 1)),
+    attack: Math.floor(base.attack + base.attack * 0.12 * (level - 1)),
+    speed: parseFloat((base.speed + 0.05 * (level - 1)).toFixed(2)),
+    aggroRange: base.aggro + level * 5,
+    attackRange: base.attackRange,
+    attackCooldown: base.cooldown,
+    xp: Math.floor(base.xp + base.xp * 0.2 * (level - 1)),
+    loot: base.loot
+  };
+}
+
+// ================= ELITES =================
+// Any regular spawn may roll as an elite (MONSTER_SPAWNS[map].eliteChance):
+// tougher, named, worth more XP and bounty, and always drops an extra rare material.
+const ELITE_MODIFIERS = { hp: 3, attack: 1.5, xp: 4, bounty: 5 };
+const ELITE_PREFIXES = ['Savage', 'Ancient', 'Furious', 'Blighted', 'Dread'];
+const ELITE_LOOT = ['gem', 'crystal', 'lavaStone'];
+
+// 'shadowHound' -> 'Shadow Hound'
+function formatMonsterName(type) {
+  return type.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+}
+
+// (Re)rolls a regular monster's stats from its type and level, elite or not
+function rollMonsterStats(monster, elite = Math.random() < (MONSTER_SPAWNS[monster.mapId]?.eliteChance || 0)) {
+  const stats = generateMonsterStats(monster.type, monster.level);
+  const hp = elite ? Math.floor(stats.hp * ELITE_MODIFIERS.hp) : stats.hp;
+  const prefix = ELITE_PREFIXES[Math.floor(Math.random() * ELITE_PREFIXES.length)];
+
+  Object.assign(monster, {
+    name: elite ? `${prefix} ${formatMonsterName(monster.type)}` : formatMonsterName(monster.type),
+    elite,
+    hp,
+    maxHp: hp,
+    attack: elite ? Math.floor(stats.attack * ELITE_MODIFIERS.attack) : stats.attack,
+    speed: stats.speed,
+    aggroRange: stats.aggroRange,
+    attackRange: stats.attackRange,
+    attackCooldown: stats.attackCooldown,
+    xp: elite ? stats.xp * ELITE_MODIFIERS.xp : stats.xp,
+    loot: stats.loot
+  });
+}
+
+// ================= SPAWN MONSTERS =================
+function spawnMonsters(mapId) {
+  const config = MONSTER_SPAWNS[mapId];
+  if (!config) return;
+  if (!mapMonsters.has(mapId)) mapMonsters.set(mapId, new Set());
+  const monsterSet = mapMonsters.get(mapId);
+
+  // World bosses and GM summons share the map's monster set but don't count against its spawn budget
+  const regularCount = [...monsterSet].filter(id => isRegularMonster(monsters.get(id))).length;
+
+  // A spawn table may restrict the map to some types, otherwise anything goes
+  const types = config.types || MONSTER_TYPES;
+
+  for (let i = regularCount; i < config.count; i++) {
+    const type = types[Math.floor(Math.random() * types.length)];
+    const level = Math.floor(Math.random() * (config.maxLevel - config.minLevel + 1)) + config.minLevel;
+    createMonster(mapId, type, level, pickSpawnPoint(mapId, config.bounds), i);
+  }
+
+  console.log(`✅ Monsters ensured for map ${mapId} (${monsterSet.size}/${config.count})`);
+}
+
+// Registers a fresh monster on the map and announces it. `elite` is rolled from
+// the map's eliteChance unless given.
+function createMonster(mapId, type, level, { x, y }, idSuffix, elite) {
+  const monster = {
+    id: `${mapId}_${type}_${Date.now()}_${idSuffix}`,
+    type,
+    level,
+    mapId,
+    x, y, spawnX: x, spawnY: y,
+    direction: 'front', state: 'idle',
+    lastAttack: 0,
+    target: null,
+    lastUpdate: Date.now()
+  };
+  rollMonsterStats(monster, elite);
+
+  if (!mapMonsters.has(mapId)) mapMonsters.set(mapId, new Set());
+  monsters.set(monster.id, monster);
+  mapMonsters.get(mapId).add(monster.id);
+  trackMonster(monster);
+
+  broadcastToMap(mapId, 'monster:spawn', serializeMonster(monster));
+  return monster;
+}
+
+const isRegularMonster = (monster) => Boolean(monster) && !monster.boss && !monster.summoned;
+
+function removeMonster(monster) {
+  monsters.delete(monster.id);
+  mapMonsters.get(monster.mapId)?.delete(monster.id);
+  monsterGrids.get(monster.mapId)?.remove(monster.id);
+}
+
+function despawnMonster(monster) {
+  broadcastToMap(monster.mapId, 'monster:despawn', { id: monster.id, mapId: monster.mapId });
+  removeMonster(monster);
+}
+
+// Random walkable point inside the spawn bounds (gives up after a few tries on very blocked maps)
+function pickSpawnPoint(mapId, bounds) {
+  let point;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    point = {
+      x: bounds.minX + Math.random() * (bounds.maxX - bounds.minX),
+      y: bounds.minY + Math.random() * (bounds.maxY - bounds.minY)
+    };
+    if (isWalkable(mapId, point.x, point.y)) break;
+  }
+  return point;
+}
+
+function serializeMonster(m) {
+  return {
+    id: m.id,
+    type: m.type,
+    mapId: m.mapId,
+    name: m.name,
+    level: m.level,
+    x: m.x,
+    y: m.y,
+    hp: m.hp,
+    maxHp: m.maxHp,
+    direction: m.direction,
+    state: m.state,
+    spawnX: m.spawnX,
+    spawnY: m.spawnY,
+    target: m.target,
+    elite: Boolean(m.elite),
+    ...(m.boss && { boss: true, sprite: m.sprite, phase: m.phase })
+  };
+}
+
+// ================= HELPER FUNCTIONS =================
+function getDistance(x1, y1, x2, y2) {
+  return Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+}
+
+// Keeps a position inside the map's walkable rectangle, falls back to spawn for junk input
+function clampToMapBounds(mapId, x, y) {
+  const mapDef = MAPS[mapId];
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    return { x: mapDef?.spawnX ?? 0, y: mapDef?.spawnY ?? 0 };
+  }
+  if (!mapDef?.bounds) return { x, y };
+
+  const { minX, maxX, minY, maxY } = mapDef.bounds;
+  return {
+    x: Math.min(maxX, Math.max(minX, x)),
+    y: Math.min(maxY, Math.max(minY, y))
+  };
+}
+
+// ================= COLLISION =================
+// Optional per-map walkability, loaded from MAPS_DIR/<mapId>.json (a Tiled JSON
+// export). Tile layers named "collision", or with a `collides: true` property,
+// mark every non-empty tile as blocked. Maps without a file are open everywhere.
+const PATH_RECALC_INTERVAL = 500;   // ms before a monster re-plans a path to a moving target
+const PATHFINDING_MAX_NODES = 2000; // A* gives up past this many expanded tiles
+
+const collisionMaps = new Map(); // mapId -> { width, height, tileWidth, tileHeight, blocked: Uint8Array }
+
+function decodeTiledLayerData(layer) {
+  if (Array.isArray(layer.data)) return layer.data;
+  if (layer.encoding !== 'base64') throw new Error(`unsupported encoding "${layer.encoding}"`);
+
+  let bytes = Buffer.from(layer.data, 'base64');
+  if (layer.compression === 'zlib') bytes = zlib.inflateSync(bytes);
+  else if (layer.compression === 'gzip') bytes = zlib.gunzipSync(bytes);
+  else if (layer.compression) throw new Error(`unsupported compression "${layer.compression}"`);
+
+  const gids = [];
+  for (let i = 0; i < bytes.length; i += 4) gids.push(bytes.readUInt32LE(i));
+  return gids;
+}
+
+function isCollisionLayer(layer) {
+  if (layer.type !== 'tilelayer') return false;
+  if (layer.name?.toLowerCase() === 'collision') return true;
+  return (layer.properties || []).some(prop => prop.name === 'collides' && prop.value === true);
+}
+
+function parseTiledCollision(tiled) {
+  if (tiled.infinite) throw new Error('infinite maps are not supported');
+
+  const { width, height, tilewidth: tileWidth, tileheight: tileHeight } = tiled;
+  const blocked = new Uint8Array(width * height);
+  const layers = (tiled.layers || []).filter(isCollisionLayer);
+  if (!layers.length) throw new Error('no collision layer');
+
+  for (const layer of layers) {
+    decodeTiledLayerData(layer).forEach((gid, i) => {
+      if (gid !== 0) blocked[i] = 1;
+    });
+  }
+  return { width, height, tileWidth, tileHeight, blocked };
+}
 
-    let closestPlayer = null;
-    let closestDist = Infinity;
-
-    // Find closest player within aggro range
-    for (const email of playersInMap) {
-      const p = players.get(email);
-      if (!p || p.isDead) continue;
-      const dist = getDistance(monster.x, monster.y, p.x, p.y);
-      if (dist < closestDist && dist < monster.aggroRange) {
-        closestDist = dist;
-        closestPlayer = p;
+// Parses the Tiled file of every listed map without touching the live grids.
+// Maps without a file have no collision; a file that can't be used is a problem.
+async function readCollisionMaps(mapIds) {
+  const loaded = new Map();
+  const problems = [];
+  for (const mapId of mapIds) {
+    let raw;
+    try {
+      raw = await fs.readFile(path.join(MAPS_DIR, `${mapId}.json`), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+
+    try {
+      loaded.set(mapId, parseTiledCollision(JSON.parse(raw)));
+    } catch (err) {
+      problems.push(`collision data for ${mapId}: ${err.message}`);
+    }
+  }
+  return { loaded, problems };
+}
+
+function applyCollisionMaps(loaded) {
+  collisionMaps.clear();
+  for (const [mapId, collision] of loaded) collisionMaps.set(mapId, collision);
+  console.log(`🧱 Loaded collision for ${collisionMaps.size} maps`);
+}
+
+async function loadCollisionMaps() {
+  const { loaded, problems } = await readCollisionMaps(Object.keys(MAPS));
+  for (const problem of problems) console.warn(`⚠️ Ignoring ${problem}`);
+  applyCollisionMaps(loaded);
+}
+
+function toTile(collision, x, y) {
+  return { tx: Math.floor(x / collision.tileWidth), ty: Math.floor(y / collision.tileHeight) };
+}
+
+function isTileWalkable(collision, tx, ty) {
+  if (tx < 0 || ty < 0 || tx >= collision.width || ty >= collision.height) return false;
+  return collision.blocked[ty * collision.width + tx] === 0;
+}
+
+function isWalkable(mapId, x, y) {
+  const collision = collisionMaps.get(mapId);
+  if (!collision) return true;
+  const { tx, ty } = toTile(collision, x, y);
+  return isTileWalkable(collision, tx, ty);
+}
+
+// Samples the segment every half tile so a fast step can't clip through a thin wall
+function isPathClear(mapId, x1, y1, x2, y2) {
+  const collision = collisionMaps.get(mapId);
+  if (!collision) return true;
+
+  const stepSize = Math.min(collision.tileWidth, collision.tileHeight) / 2;
+  const steps = Math.ceil(getDistance(x1, y1, x2, y2) / stepSize);
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    if (!isWalkable(mapId, x1 + (x2 - x1) * t, y1 + (y2 - y1) * t)) return false;
+  }
+  return true;
+}
+
+// Where a player arriving on a map ends up: the requested spot if it's in
+// bounds and walkable, the map's spawn point otherwise
+function resolveEntryPosition(mapId, x, y) {
+  const position = clampToMapBounds(mapId, x, y);
+  if (isWalkable(mapId, position.x, position.y)) return position;
+  return { x: MAPS[mapId]?.spawnX ?? 0, y: MAPS[mapId]?.spawnY ?? 0 };
+}
+
+// A* over the tile grid (8 directions, no corner cutting). Returns the tile
+// centres to walk through, excluding the start, or null if there's no path.
+function findPath(mapId, fromX, fromY, toX, toY) {
+  const collision = collisionMaps.get(mapId);
+  if (!collision) return [{ x: toX, y: toY }];
+
+  const start = toTile(collision, fromX, fromY);
+  const goal = toTile(collision, toX, toY);
+  if (!isTileWalkable(collision, goal.tx, goal.ty)) return null;
+
+  const { width } = collision;
+  const startIndex = start.ty * width + start.tx;
+  const goalIndex = goal.ty * width + goal.tx;
+  const heuristic = (tx, ty) => {
+    const dx = Math.abs(tx - goal.tx);
+    const dy = Math.abs(ty - goal.ty);
+    return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+  };
+
+  const cameFrom = new Map();
+  const gScore = new Map([[startIndex, 0]]);
+  const open = [{ index: startIndex, f: heuristic(start.tx, start.ty) }]; // binary min-heap on f
+  const closed = new Set();
+
+  const push = (node) => {
+    open.push(node);
+    let i = open.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (open[parent].f <= open[i].f) break;
+      [open[parent], open[i]] = [open[i], open[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = open[0];
+    const last = open.pop();
+    if (open.length) {
+      open[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < open.length && open[left].f < open[smallest].f) smallest = left;
+        if (right < open.length && open[right].f < open[smallest].f) smallest = right;
+        if (smallest === i) break;
+        [open[smallest], open[i]] = [open[i], open[smallest]];
+        i = smallest;
       }
     }
+    return top;
+  };
 
-    if (closestPlayer) {
-      monster.target = closestPlayer.email;
-
-      if (closestDist > monster.attackRange) {
-        // -------------------- CHASE --------------------
-        const angle = Math.atan2(closestPlayer.y - monster.y, closestPlayer.x - monster.x);
-        monster.x += Math.cos(angle) * monster.speed;
-        monster.y += Math.sin(angle) * monster.speed;
-        monster.direction = Math.abs(Math.cos(angle)) > Math.abs(Math.sin(angle))
-          ? (Math.cos(angle) > 0 ? 'right' : 'left')
-          : (Math.sin(angle) > 0 ? 'front' : 'back');
-        monster.state = 'chasing';
-
-        if (now - monster.lastUpdate > 100) {
-          broadcastToMap(monster.mapId, 'monster:move', {
-            id: monsterId,
-            mapId: monster.mapId,
-            x: monster.x,
-            y: monster.y,
-            direction: monster.direction,
-            state: monster.state
-          });
-          monster.lastUpdate = now;
-        }
+  while (open.length && closed.size < PATHFINDING_MAX_NODES) {
+    const { index } = pop();
+    if (closed.has(index)) continue;
+    if (index === goalIndex) {
+      const path = [];
+      for (let i = index; i !== startIndex; i = cameFrom.get(i)) {
+        path.push({
+          x: (i % width + 0.5) * collision.tileWidth,
+          y: (Math.floor(i / width) + 0.5) * collision.tileHeight
+        });
+      }
+      path.reverse();
+      if (path.length) path[path.length - 1] = { x: toX, y: toY };
+      return path;
+    }
+    closed.add(index);
+
+    const tx = index % width;
+    const ty = Math.floor(index / width);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        if (!dx && !dy) continue;
+        const nx = tx + dx;
+        const ny = ty + dy;
+        if (!isTileWalkable(collision, nx, ny)) continue;
+        if (dx && dy && (!isTileWalkable(collision, tx + dx, ty) || !isTileWalkable(collision, tx, ty + dy))) continue;
+
+        const next = ny * width + nx;
+        if (closed.has(next)) continue;
+        const g = gScore.get(index) + (dx && dy ? Math.SQRT2 : 1);
+        if (g >= (gScore.get(next) ?? Infinity)) continue;
+
+        gScore.set(next, g);
+        cameFrom.set(next, index);
+        push({ index: next, f: g + heuristic(nx, ny) });
+      }
+    }
+  }
+  return null;
+}
+
+// ================= SPATIAL GRID =================
+// Uniform hash grid per map so range lookups (AOI, aggro, skill areas) only
+// visit the cells a query circle overlaps instead of every entity on the map.
+// Positions are copied in by trackPlayer / trackMonster whenever an entity moves.
+const GRID_CELL_SIZE = 200; // px
+
+function createSpatialGrid(cellSize = GRID_CELL_SIZE) {
+  const cells = new Map();   // "cx,cy" -> Set of ids
+  const entries = new Map(); // id -> { x, y, key }
+  const cellKey = (cx, cy) => `${cx},${cy}`;
+  const toCell = (value) => Math.floor(value / cellSize);
+
+  function removeFromCell(key, id) {
+    const cell = cells.get(key);
+    if (!cell) return;
+    cell.delete(id);
+    if (cell.size === 0) cells.delete(key);
+  }
+
+  return {
+    update(id, x, y) {
+      const key = cellKey(toCell(x), toCell(y));
+      const entry = entries.get(id);
+      if (entry) {
+        entry.x = x;
+        entry.y = y;
+        if (entry.key === key) return;
+        removeFromCell(entry.key, id);
+        entry.key = key;
       } else {
-        // -------------------- ATTACK --------------------
-        if (now - monster.lastAttack > monster.attackCooldown) {
-          monster.state = 'attacking';
-          monster.lastAttack = now;
-
-          // Broadcast attack animation
-          broadcastToMap(monster.mapId, 'monster:attack', {
-            id: monsterId,
-            mapId: monster.mapId,
-            targetEmail: closestPlayer.email,
-            damage: monster.attack,
-            x: monster.x,
-            y: monster.y,
-            direction: monster.direction
-          });
-
-          // Deal damage to player & auto-death check
-          monsterAttackPlayer(monster, closestPlayer);
-
-          setTimeout(() => {
-            if (monster.hp > 0) monster.state = 'idle';
-          }, 400);
+        entries.set(id, { x, y, key });
+      }
+      if (!cells.has(key)) cells.set(key, new Set());
+      cells.get(key).add(id);
+    },
+
+    remove(id) {
+      const entry = entries.get(id);
+      if (!entry) return;
+      removeFromCell(entry.key, id);
+      entries.delete(id);
+    },
+
+    // Ids within `radius` of (x, y)
+    query(x, y, radius) {
+      const found = [];
+      for (let cx = toCell(x - radius); cx <= toCell(x + radius); cx++) {
+        for (let cy = toCell(y - radius); cy <= toCell(y + radius); cy++) {
+          for (const id of cells.get(cellKey(cx, cy)) || []) {
+            const entry = entries.get(id);
+            if (getDistance(x, y, entry.x, entry.y) <= radius) found.push(id);
+          }
         }
       }
-    } else {
-      // -------------------- IDLE / WANDER --------------------
-      monster.target = null;
-      monster.state = 'idle';
-      if (Math.random() > 0.99 && now - monster.lastUpdate > 500) {
-        const angle = Math.random() * Math.PI * 2;
-        monster.x += Math.cos(angle) * 10;
-        monster.y += Math.sin(angle) * 10;
-        broadcastToMap(monster.mapId, 'monster:move', {
-          id: monsterId,
-          mapId: monster.mapId,
-          x: monster.x,
-          y: monster.y,
-          direction: monster.direction,
-          state: 'idle'
-        });
-        monster.lastUpdate = now;
+      return found;
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+const playerGrids = new Map();  // mapId -> grid of player emails
+const monsterGrids = new Map(); // mapId -> grid of monster ids
+
+function gridFor(grids, mapId) {
+  if (!grids.has(mapId)) grids.set(mapId, createSpatialGrid());
+  return grids.get(mapId);
+}
+
+function trackPlayer(player) {
+  gridFor(playerGrids, player.map).update(player.email, player.x, player.y);
+}
+
+function untrackPlayer(player) {
+  playerGrids.get(player.map)?.remove(player.email);
+}
+
+function trackMonster(monster) {
+  gridFor(monsterGrids, monster.mapId).update(monster.id, monster.x, monster.y);
+}
+
+function getPlayersNear(mapId, x, y, radius) {
+  const grid = playerGrids.get(mapId);
+  if (!grid) return [];
+  return grid.query(x, y, radius).map(email => players.get(email)).filter(Boolean);
+}
+
+function getMonstersNear(mapId, x, y, radius) {
+  const grid = monsterGrids.get(mapId);
+  if (!grid) return [];
+  return grid.query(x, y, radius).map(id => monsters.get(id)).filter(Boolean);
+}
+
+function getPlayersInAOI(email, x, y, mapId) {
+  return getPlayersNear(mapId, x, y, AOI_RADIUS)
+    .filter(p => p.email !== email)
+    .map(p => ({
+      email: p.email,
+      name: p.name,
+      character_class: p.character_class,
+      level: p.level,
+      position: { x: p.x, y: p.y },
+      direction: p.direction,
+      state: p.state,
+      equipment: p.equipment,
+      guildTag: getGuildTag(p.email)
+    }));
+}
+
+function broadcastToAOI(email, x, y, mapId, event, data) {
+  for (const p of getPlayersNear(mapId, x, y, AOI_RADIUS)) {
+    if (p.email === email || !p.socketId) continue;
+    io.to(p.socketId).emit(event, data);
+  }
+}
+
+function broadcastToMap(mapId, event, data) {
+  const playersInMap = mapPlayers.get(mapId) || new Set();
+  for (const email of playersInMap) {
+    const p = players.get(email);
+    if (p?.socketId) io.to(p.socketId).emit(event, data);
+  }
+}
+
+function cleanupMapIfEmpty(mapId) {
+  const playersInMap = mapPlayers.get(mapId);
+  if (playersInMap && playersInMap.size === 0) {
+    // World bosses stay up on their schedule whether anyone is watching or not
+    const monsterSet = mapMonsters.get(mapId);
+    if (monsterSet) {
+      for (const monsterId of monsterSet) {
+        if (monsters.get(monsterId)?.boss) continue;
+        monsters.delete(monsterId);
+        monsterSet.delete(monsterId);
+        monsterGrids.get(mapId)?.remove(monsterId);
+      }
+      if (monsterSet.size === 0) {
+        mapMonsters.delete(mapId);
+        monsterGrids.delete(mapId);
       }
     }
+    playerGrids.delete(mapId);
+    clearMapDrops(mapId);
+    console.log(`🧹 Cleared monsters for empty map ${mapId}`);
   }
 }
 
-setInterval(updateMonsterAI, 100);
+// ================= GROUND DROPS =================
+const DROP_OWNERSHIP_WINDOW = 15000; // only the owners may loot it for 15s
+const DROP_DESPAWN_TIME = 60000;     // then it's anyone's until it vanishes at 60s
+const DROP_PICKUP_RANGE = 80;        // pixels
 
-// ------------------ Player & Monster Broadcast (FIXED) ------------------
+const mapDrops = new Map(); // mapId -> Map(dropId -> drop)
 
-// Player AOI movement sync
-setInterval(() => {
-  for (const [email, player] of players.entries()) {
-    if (!player.socketId) continue;
+function serializeDrop(drop) {
+  return {
+    id: drop.id,
+    mapId: drop.mapId,
+    x: drop.x,
+    y: drop.y,
+    type: drop.type,
+    amount: drop.amount,
+    itemName: drop.itemName,
+    owners: drop.owners,
+    ownerUntil: drop.ownerUntil,
+    expiresAt: drop.expiresAt
+  };
+}
 
-    broadcastToAOI(
-      email,
-      player.x,
-      player.y,
-      player.map,
-      'player:moved',
-      {
-        email: player.email,
-        name: player.name,
-        character_class: player.character_class,
-        position: { x: player.x, y: player.y },
-        direction: player.direction,
-        state: player.state,
-        timestamp: Date.now()
+// contents: { type: 'bcoins', amount } or { type: 'item', itemName }
+function spawnDrop(mapId, x, y, contents, owners) {
+  const now = Date.now();
+  const drop = {
+    id: `drop_${now}_${Math.random().toString(36).slice(2, 10)}`,
+    mapId,
+    x,
+    y,
+    ...contents,
+    owners,
+    ownerUntil: now + DROP_OWNERSHIP_WINDOW,
+    expiresAt: now + DROP_DESPAWN_TIME
+  };
+
+  if (!mapDrops.has(mapId)) mapDrops.set(mapId, new Map());
+  mapDrops.get(mapId).set(drop.id, drop);
+
+  drop.despawnTimer = setTimeout(() => {
+    removeDrop(drop);
+    broadcastToMap(mapId, 'drop:despawn', { dropId: drop.id, mapId });
+  }, DROP_DESPAWN_TIME);
+
+  broadcastToMap(mapId, 'drop:spawn', serializeDrop(drop));
+  return drop;
+}
+
+function removeDrop(drop) {
+  clearTimeout(drop.despawnTimer);
+  const dropsInMap = mapDrops.get(drop.mapId);
+  if (!dropsInMap) return;
+  dropsInMap.delete(drop.id);
+  if (dropsInMap.size === 0) mapDrops.delete(drop.mapId);
+}
+
+function clearMapDrops(mapId) {
+  const dropsInMap = mapDrops.get(mapId);
+  if (!dropsInMap) return;
+  for (const drop of dropsInMap.values()) clearTimeout(drop.despawnTimer);
+  mapDrops.delete(mapId);
+}
+
+// Existing drops for late joiners / map changers
+function emitMapDrops(socket, mapId) {
+  const dropsInMap = mapDrops.get(mapId);
+  if (!dropsInMap) return;
+  for (const drop of dropsInMap.values()) socket.emit('drop:spawn', serializeDrop(drop));
+}
+
+
+
+// ================= MONSTER FUNCTIONS =================
+// ------------------ MONSTER ATTACK PLAYER ------------------
+// Call this in your monster AI attack logic
+function monsterAttackPlayer(monster, targetPlayer, damage = monster.attack) {
+  if (!targetPlayer || targetPlayer.isDead) return;
+
+  // Apply damage
+  targetPlayer.hp = Math.max(0, targetPlayer.hp - damage);
+
+  // Notify the target
+  io.to(targetPlayer.socketId).emit('player:hpChanged', {
+    hp: targetPlayer.hp,
+    maxHp: targetPlayer.maxHp,
+    damage,
+    attacker: monster.id
+  });
+
+  // Broadcast to AOI
+  broadcastToAOI(
+    targetPlayer.email,
+    targetPlayer.x,
+    targetPlayer.y,
+    targetPlayer.map,
+    'player:damaged',
+    {
+      email: targetPlayer.email,
+      damage,
+      attacker: monster.id
+    }
+  );
+
+  // Trigger death if HP depleted
+  if (targetPlayer.hp <= 0) {
+    handlePlayerDeath(targetPlayer);
+  }
+}
+
+// ================= MONSTER AI =================
+// Behaviour profile per monster type, merged over MONSTER_AI_DEFAULTS:
+//   leashRange   px from spawn before the monster gives up and walks home
+//   fleeBelow    HP fraction under which it runs from its target
+//   keepDistance ranged types back off to this distance and shoot from there
+//   packRange    px within which same-type monsters join the fight
+//   flying       ignores terrain when moving
+// Targets come from a per-monster threat table (damage dealt); proximity
+// aggro only seeds it when the table is empty.
+const MONSTER_AI_DEFAULTS = { leashRange: 600, fleeBelow: 0, keepDistance: 0, packRange: 0, flying: false };
+
+const MONSTER_AI_PROFILES = {
+  sparklingSlime: {},
+  forestImp:      { fleeBelow: 0.2 },
+  rockBeast:      {},
+  shadowHound:    { packRange: 300 },
+  fireWisp:       { keepDistance: 70, flying: true, leashRange: 800 },
+  mudGolem:       { leashRange: 450 },
+  wingedSerpent:  { flying: true, leashRange: 800 },
+  crystalCrawler: {},
+  stormRaven:     { fleeBelow: 0.3, flying: true, leashRange: 800 },
+  lavaElemental:  { leashRange: 500 },
+
+  // World bosses
+  infernoTitan:   { leashRange: 900 },
+  stormWyrm:      { leashRange: 1200, flying: true }
+};
+
+const MONSTER_IDLE_REGEN = 0.005;   // fraction of maxHp per AI tick out of combat
+const MONSTER_LEASH_REGEN = 0.05;   // fraction of maxHp per AI tick while walking home
+const MONSTER_LEASH_SPEED = 2;      // speed multiplier while walking home
+
+function getMonsterProfile(type) {
+  return { ...MONSTER_AI_DEFAULTS, ...MONSTER_AI_PROFILES[type] };
+}
+
+function addThreat(monster, email, amount) {
+  if (!monster.threat) monster.threat = new Map();
+  monster.threat.set(email, (monster.threat.get(email) || 0) + amount);
+}
+
+function clearThreat(monster) {
+  monster.threat?.clear();
+  monster.target = null;
+}
+
+// Highest-threat player that is still a valid target; stale entries are dropped
+function getThreatTarget(monster, profile) {
+  let best = null;
+  let bestThreat = -Infinity;
+
+  for (const [email, threat] of monster.threat || []) {
+    const p = players.get(email);
+    const valid = p && !p.isDead && p.map === monster.mapId &&
+      getDistance(monster.spawnX, monster.spawnY, p.x, p.y) <= profile.leashRange + monster.aggroRange;
+    if (!valid) {
+      monster.threat.delete(email);
+      continue;
+    }
+    if (threat > bestThreat) {
+      bestThreat = threat;
+      best = p;
+    }
+  }
+  return best;
+}
+
+function findClosestPlayer(monster) {
+  let closest = null;
+  let closestDist = Infinity;
+  for (const p of getPlayersNear(monster.mapId, monster.x, monster.y, monster.aggroRange)) {
+    if (p.isDead) continue;
+    const dist = getDistance(monster.x, monster.y, p.x, p.y);
+    if (dist < closestDist) {
+      closestDist = dist;
+      closest = p;
+    }
+  }
+  return closest;
+}
+
+// Same-type monsters nearby that aren't busy yet pile onto the same target
+function alertPack(monster, email, profile) {
+  if (!profile.packRange) return;
+  for (const other of getMonstersNear(monster.mapId, monster.x, monster.y, profile.packRange)) {
+    if (other === monster || other.type !== monster.type || other.hp <= 0 || other.state === 'returning') continue;
+    if (!other.threat?.size) addThreat(other, email, 1);
+  }
+}
+
+// Next point to head for on the way to (x, y): straight there when nothing is
+// in the way, otherwise along an A* path that is re-planned as the target moves
+function getNextWaypoint(monster, x, y) {
+  if (isPathClear(monster.mapId, monster.x, monster.y, x, y)) {
+    monster.path = null;
+    return { x, y };
+  }
+
+  const collision = collisionMaps.get(monster.mapId);
+  const goal = toTile(collision, x, y);
+  const goalKey = `${goal.tx},${goal.ty}`;
+  const now = Date.now();
+  if (!monster.path || monster.path.goal !== goalKey || now - monster.path.plannedAt > PATH_RECALC_INTERVAL) {
+    monster.path = { goal: goalKey, plannedAt: now, waypoints: findPath(monster.mapId, monster.x, monster.y, x, y) || [] };
+  }
+
+  const { waypoints } = monster.path;
+  while (waypoints.length && getDistance(monster.x, monster.y, waypoints[0].x, waypoints[0].y) < 2) waypoints.shift();
+  return waypoints[0] || null;
+}
+
+// Negative speed moves away from (x, y). Walkers path around collision and
+// won't step into blocked tiles; flying types go straight over everything.
+// Returns false when the monster couldn't move at all.
+function moveMonsterToward(monster, x, y, speed) {
+  const walker = !getMonsterProfile(monster.type).flying && collisionMaps.has(monster.mapId);
+  if (walker && speed > 0) {
+    const waypoint = getNextWaypoint(monster, x, y);
+    if (!waypoint) return false;
+    x = waypoint.x;
+    y = waypoint.y;
+  }
+
+  const angle = Math.atan2(y - monster.y, x - monster.x);
+  const step = speed > 0 ? Math.min(speed, getDistance(monster.x, monster.y, x, y)) : speed;
+  const nextX = monster.x + Math.cos(angle) * step;
+  const nextY = monster.y + Math.sin(angle) * step;
+  if (walker && !isWalkable(monster.mapId, nextX, nextY)) return false;
+
+  monster.x = nextX;
+  monster.y = nextY;
+  const facing = speed < 0 ? angle + Math.PI : angle;
+  monster.direction = Math.abs(Math.cos(facing)) > Math.abs(Math.sin(facing))
+    ? (Math.cos(facing) > 0 ? 'right' : 'left')
+    : (Math.sin(facing) > 0 ? 'front' : 'back');
+  trackMonster(monster);
+  return true;
+}
+
+function healMonster(monster, fraction) {
+  if (monster.hp < monster.maxHp) monster.hp = Math.min(monster.maxHp, monster.hp + Math.ceil(monster.maxHp * fraction));
+}
+
+function tryMonsterAttack(monster, target, now) {
+  if (now - monster.lastAttack <= monster.attackCooldown) return;
+  monster.state = 'attacking';
+  monster.lastAttack = now;
+
+  // Broadcast attack animation
+  broadcastToMap(monster.mapId, 'monster:attack', {
+    id: monster.id,
+    mapId: monster.mapId,
+    targetEmail: target.email,
+    damage: monster.attack,
+    x: monster.x,
+    y: monster.y,
+    direction: monster.direction
+  });
+
+  // Deal damage to player & auto-death check
+  monsterAttackPlayer(monster, target);
+
+  setTimeout(() => {
+    if (monster.hp > 0 && monster.state === 'attacking') monster.state = 'idle';
+  }, 400);
+}
+
+// Walks home ignoring everyone, healing on the way; fully reset on arrival
+function updateReturningMonster(monster) {
+  const home = getDistance(monster.x, monster.y, monster.spawnX, monster.spawnY);
+  const step = monster.speed * MONSTER_LEASH_SPEED;
+  healMonster(monster, MONSTER_LEASH_REGEN);
+
+  // Walled off from home (or arrived): snap back to spawn
+  if (home <= step || !moveMonsterToward(monster, monster.spawnX, monster.spawnY, step)) {
+    monster.x = monster.spawnX;
+    monster.y = monster.spawnY;
+    trackMonster(monster);
+    monster.hp = monster.maxHp;
+    monster.state = 'idle';
+    if (monster.boss) resetBoss(monster);
+  }
+}
+
+function updateMonsterAI() {
+  const now = Date.now();
+  for (const monster of monsters.values()) {
+    if (monster.hp <= 0) continue;
+
+    const playersInMap = mapPlayers.get(monster.mapId);
+    if (!playersInMap || playersInMap.size === 0) continue;
+
+    const profile = getMonsterProfile(monster.type);
+
+    // -------------------- LEASH --------------------
+    if (monster.state === 'returning') {
+      updateReturningMonster(monster);
+      continue;
+    }
+    if (getDistance(monster.x, monster.y, monster.spawnX, monster.spawnY) > profile.leashRange) {
+      clearThreat(monster);
+      monster.state = 'returning';
+      continue;
+    }
+
+    // -------------------- TARGET --------------------
+    let target = getThreatTarget(monster, profile);
+    if (!target) {
+      target = findClosestPlayer(monster);
+      if (target) {
+        addThreat(monster, target.email, 1);
+        alertPack(monster, target.email, profile);
+      }
+    }
+
+    if (!target) {
+      // Lost everyone it was fighting somewhere out in the field: head home
+      if (getDistance(monster.x, monster.y, monster.spawnX, monster.spawnY) > monster.aggroRange) {
+        clearThreat(monster);
+        monster.state = 'returning';
+        continue;
+      }
+
+      // -------------------- IDLE / WANDER --------------------
+      monster.target = null;
+      monster.state = 'idle';
+      healMonster(monster, MONSTER_IDLE_REGEN);
+      if (Math.random() > 0.99 && now - monster.lastUpdate > 500) {
+        const angle = Math.random() * Math.PI * 2;
+        const wanderX = monster.x + Math.cos(angle) * 10;
+        const wanderY = monster.y + Math.sin(angle) * 10;
+        if (getMonsterProfile(monster.type).flying || isPathClear(monster.mapId, monster.x, monster.y, wanderX, wanderY)) {
+          monster.x = wanderX;
+          monster.y = wanderY;
+          trackMonster(monster);
+        }
+        monster.lastUpdate = now;
+      }
+      continue;
+    }
+
+    monster.target = target.email;
+    monster.lastUpdate = now;
+    const dist = getDistance(monster.x, monster.y, target.x, target.y);
+
+    // -------------------- FLEE --------------------
+    if (profile.fleeBelow && monster.hp / monster.maxHp < profile.fleeBelow) {
+      moveMonsterToward(monster, target.x, target.y, -monster.speed);
+      monster.state = 'fleeing';
+      continue;
+    }
+
+    if (dist > monster.attackRange) {
+      // -------------------- CHASE --------------------
+      moveMonsterToward(monster, target.x, target.y, monster.speed);
+      monster.state = 'chasing';
+      continue;
+    }
+
+    if (monster.boss) bossSlam(monster, now);
+
+    // -------------------- KITE (ranged) & ATTACK --------------------
+    if (profile.keepDistance && dist < profile.keepDistance) {
+      moveMonsterToward(monster, target.x, target.y, -monster.speed);
+      monster.state = 'kiting';
+    }
+    tryMonsterAttack(monster, target, now);
+  }
+}
+
+setInterval(updateMonsterAI, 100);
+
+// ================= WORLD SNAPSHOTS =================
+// Instead of one emit per entity per tick, every client gets a single
+// world:snapshot per tick holding the players and monsters in its AOI that
+// changed since the last snapshot it acknowledged (world:ack { seq }).
+// Deltas are computed against that acked baseline, so a dropped snapshot is
+// simply covered again by the next one; `baseSeq` tells the client which
+// snapshot the delta applies to. Entities that left the AOI come in `removed`.
+const SNAPSHOT_INTERVAL = 100; // ms
+const SNAPSHOT_HISTORY = 32;   // unacknowledged snapshots kept per client
+
+function createSnapshotState() {
+  return {
+    seq: 0,
+    ackedSeq: 0,
+    baseline: new Map(), // entity key -> state the client is known to have
+    sent: new Map()      // seq -> visible entities at that snapshot
+  };
+}
+
+function snapshotPlayerState(p) {
+  return {
+    name: p.name,
+    character_class: p.character_class,
+    level: p.level,
+    x: Math.round(p.x),
+    y: Math.round(p.y),
+    direction: p.direction,
+    state: p.state,
+    guildTag: getGuildTag(p.email)
+  };
+}
+
+function snapshotMonsterState(m) {
+  return {
+    type: m.type,
+    level: m.level,
+    x: Math.round(m.x),
+    y: Math.round(m.y),
+    direction: m.direction,
+    state: m.state,
+    hp: m.hp,
+    maxHp: m.maxHp,
+    target: m.target
+  };
+}
+
+function isSameState(a, b) {
+  for (const key in a) {
+    if (a[key] !== b[key]) return false;
+  }
+  return true;
+}
+
+// Keys are 'p:<email>' / 'm:<monsterId>' so both kinds share one baseline
+function collectVisibleEntities(player) {
+  const visible = new Map();
+  for (const other of getPlayersNear(player.map, player.x, player.y, AOI_RADIUS)) {
+    if (other !== player) visible.set(`p:${other.email}`, snapshotPlayerState(other));
+  }
+  for (const monster of getMonstersNear(player.map, player.x, player.y, AOI_RADIUS)) {
+    if (monster.hp > 0) visible.set(`m:${monster.id}`, snapshotMonsterState(monster));
+  }
+  return visible;
+}
+
+function sendSnapshot(player) {
+  const snapshot = player.snapshot;
+  const visible = collectVisibleEntities(player);
+  const delta = { players: [], monsters: [], removed: { players: [], monsters: [] } };
+
+  for (const [key, state] of visible) {
+    const known = snapshot.baseline.get(key);
+    if (known && isSameState(state, known)) continue;
+    if (key.startsWith('p:')) delta.players.push({ email: key.slice(2), ...state });
+    else delta.monsters.push({ id: key.slice(2), ...state });
+  }
+  for (const key of snapshot.baseline.keys()) {
+    if (visible.has(key)) continue;
+    if (key.startsWith('p:')) delta.removed.players.push(key.slice(2));
+    else delta.removed.monsters.push(key.slice(2));
+  }
+
+  if (!delta.players.length && !delta.monsters.length &&
+      !delta.removed.players.length && !delta.removed.monsters.length) return;
+
+  snapshot.seq++;
+  snapshot.sent.set(snapshot.seq, visible);
+  if (snapshot.sent.size > SNAPSHOT_HISTORY) snapshot.sent.delete(snapshot.sent.keys().next().value);
+
+  io.to(player.socketId).emit('world:snapshot', {
+    seq: snapshot.seq,
+    baseSeq: snapshot.ackedSeq,
+    mapId: player.map,
+    timestamp: Date.now(),
+    ...delta
+  });
+}
+
+function acknowledgeSnapshot(player, seq) {
+  const snapshot = player.snapshot;
+  if (seq <= snapshot.ackedSeq || !snapshot.sent.has(seq)) return;
+
+  snapshot.baseline = snapshot.sent.get(seq);
+  snapshot.ackedSeq = seq;
+  for (const sentSeq of snapshot.sent.keys()) {
+    if (sentSeq <= seq) snapshot.sent.delete(sentSeq);
+  }
+}
+
+setInterval(() => {
+  for (const player of players.values()) {
+    if (player.socketId && player.snapshot) sendSnapshot(player);
+  }
+}, SNAPSHOT_INTERVAL);
+
+// ================= WORLD BOSSES =================
+// Spawned on a timer and announced to every connected player. Phases kick in
+// as HP drops (`below` is an HP fraction) and scale the boss's base stats, and
+// may add a periodic slam around it. Damage per player is tracked, and everyone
+// who dealt at least `minContribution` of the total gets the full rewards.
+const BOSS_CHECK_INTERVAL = 5000; // ms
+
+const WORLD_BOSSES = {
+  infernoTitan: {
+    name: 'Inferno Titan',
+    sprite: 'lavaElemental',
+    mapId: 'monster_field_3',
+    x: 1450,
+    y: 1050,
+    level: 20,
+    hp: 8000,
+    attack: 45,
+    speed: 1.2,
+    aggroRange: 350,
+    attackRange: 90,
+    attackCooldown: 1800,
+    firstSpawnDelay: 10 * 60 * 1000,
+    respawnInterval: 60 * 60 * 1000,
+    despawnAfter: 20 * 60 * 1000,
+    phases: [
+      { below: 1 },
+      { below: 0.6, name: 'Enraged', attackMultiplier: 1.4, cooldownMultiplier: 0.8, slam: { radius: 180, damage: 35, every: 6000 } },
+      { below: 0.25, name: 'Meltdown', attackMultiplier: 1.8, cooldownMultiplier: 0.6, speedMultiplier: 1.5, slam: { radius: 240, damage: 55, every: 4000 } }
+    ],
+    rewards: { minContribution: 0.03, xp: 2500, bcoins: 400, items: ['lavaStone', 'emberRing'] }
+  },
+  stormWyrm: {
+    name: 'Storm Wyrm',
+    sprite: 'wingedSerpent',
+    mapId: 'monster_field_6',
+    x: 1800,
+    y: 1350,
+    level: 35,
+    hp: 20000,
+    attack: 80,
+    speed: 2,
+    aggroRange: 450,
+    attackRange: 120,
+    attackCooldown: 1500,
+    firstSpawnDelay: 30 * 60 * 1000,
+    respawnInterval: 3 * 60 * 60 * 1000,
+    despawnAfter: 30 * 60 * 1000,
+    phases: [
+      { below: 1, slam: { radius: 200, damage: 50, every: 8000 } },
+      { below: 0.5, name: 'Tempest', attackMultiplier: 1.5, cooldownMultiplier: 0.7, slam: { radius: 300, damage: 80, every: 5000 } }
+    ],
+    rewards: { minContribution: 0.02, xp: 8000, bcoins: 1200, items: ['crystal', 'shadowFang'] }
+  }
+};
+
+const bossSchedule = new Map(); // bossId -> { nextSpawnAt, monsterId, despawnAt }
+for (const [bossId, boss] of Object.entries(WORLD_BOSSES)) {
+  bossSchedule.set(bossId, { nextSpawnAt: Date.now() + boss.firstSpawnDelay, monsterId: null, despawnAt: 0 });
+}
+
+function announce(message, data = {}) {
+  io.emit('world:announcement', { message, timestamp: Date.now(), ...data });
+}
+
+function spawnWorldBoss(bossId) {
+  const boss = WORLD_BOSSES[bossId];
+  const schedule = bossSchedule.get(bossId);
+  const now = Date.now();
+
+  const monster = {
+    id: `boss_${bossId}_${now}`,
+    type: bossId,
+    boss: bossId,
+    sprite: boss.sprite,
+    name: boss.name,
+    level: boss.level,
+    mapId: boss.mapId,
+    x: boss.x, y: boss.y, spawnX: boss.x, spawnY: boss.y,
+    direction: 'front', state: 'idle',
+    hp: boss.hp, maxHp: boss.hp,
+    attack: boss.attack, speed: boss.speed,
+    aggroRange: boss.aggroRange,
+    attackRange: boss.attackRange,
+    attackCooldown: boss.attackCooldown,
+    lastAttack: 0,
+    lastSlam: now,
+    target: null,
+    lastUpdate: now,
+    xp: 0,
+    loot: [],
+    phase: 0,
+    contributions: new Map() // email -> damage dealt
+  };
+
+  monsters.set(monster.id, monster);
+  if (!mapMonsters.has(boss.mapId)) mapMonsters.set(boss.mapId, new Set());
+  mapMonsters.get(boss.mapId).add(monster.id);
+  trackMonster(monster);
+
+  schedule.monsterId = monster.id;
+  schedule.despawnAt = now + boss.despawnAfter;
+
+  broadcastToMap(boss.mapId, 'monster:spawn', serializeMonster(monster));
+  announce(`${boss.name} has appeared in ${boss.mapId}!`, { type: 'bossSpawned', bossId, mapId: boss.mapId });
+  console.log(`👹 World boss ${boss.name} spawned in ${boss.mapId}`);
+}
+
+function removeWorldBoss(monster) {
+  const schedule = bossSchedule.get(monster.boss);
+  monsters.delete(monster.id);
+  mapMonsters.get(monster.mapId)?.delete(monster.id);
+  monsterGrids.get(monster.mapId)?.remove(monster.id);
+  schedule.monsterId = null;
+  schedule.nextSpawnAt = Date.now() + WORLD_BOSSES[monster.boss].respawnInterval;
+}
+
+// Phases are listed from full HP down; the boss is in the last one whose threshold it has crossed
+function updateBossPhase(monster) {
+  const boss = WORLD_BOSSES[monster.boss];
+  const fraction = monster.hp / monster.maxHp;
+  let phaseIndex = 0;
+  boss.phases.forEach((phase, i) => {
+    if (fraction <= phase.below) phaseIndex = i;
+  });
+  if (phaseIndex <= monster.phase) return;
+
+  const phase = boss.phases[phaseIndex];
+  monster.phase = phaseIndex;
+  monster.attack = Math.floor(boss.attack * (phase.attackMultiplier || 1));
+  monster.attackCooldown = Math.floor(boss.attackCooldown * (phase.cooldownMultiplier || 1));
+  monster.speed = boss.speed * (phase.speedMultiplier || 1);
+
+  broadcastToMap(monster.mapId, 'boss:phase', { id: monster.id, bossId: monster.boss, phase: phaseIndex, name: phase.name });
+  if (phase.name) {
+    announce(`${boss.name} enters its ${phase.name} phase!`, { type: 'bossPhase', bossId: monster.boss, mapId: monster.mapId });
+  }
+}
+
+// Back at spawn after a leash: the fight starts over
+function resetBoss(monster) {
+  const boss = WORLD_BOSSES[monster.boss];
+  monster.phase = 0;
+  monster.attack = boss.attack;
+  monster.attackCooldown = boss.attackCooldown;
+  monster.speed = boss.speed;
+  monster.contributions.clear();
+}
+
+function bossSlam(monster, now) {
+  const slam = WORLD_BOSSES[monster.boss].phases[monster.phase].slam;
+  if (!slam || now - monster.lastSlam < slam.every) return;
+  monster.lastSlam = now;
+
+  broadcastToMap(monster.mapId, 'boss:slam', { id: monster.id, x: monster.x, y: monster.y, radius: slam.radius, damage: slam.damage });
+  for (const p of getPlayersNear(monster.mapId, monster.x, monster.y, slam.radius)) {
+    monsterAttackPlayer(monster, p, slam.damage);
+  }
+}
+
+function handleBossDeath(monster) {
+  const boss = WORLD_BOSSES[monster.boss];
+  const totalDamage = [...monster.contributions.values()].reduce((sum, dmg) => sum + dmg, 0);
+  const { minContribution, xp = 0, bcoins = 0, items = [] } = boss.rewards;
+
+  const ranking = [...monster.contributions.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([email, damage]) => ({ email, name: players.get(email)?.name, damage, share: damage / totalDamage }));
+
+  for (const { email, share } of ranking) {
+    const player = players.get(email);
+    if (!player || share < minContribution) continue;
+
+    recordMonsterKill(player, monster);
+    if (xp > 0) giveXp(player, xp);
+    if (bcoins > 0) creditBcoins(player, bcoins, 'boss', { bossId: monster.boss });
+    player.inventory.push(...items);
+    saveCharacter(player);
+
+    io.to(player.socketId).emit('player:inventoryUpdated', { inventory: player.inventory });
+    io.to(player.socketId).emit('boss:reward', { bossId: monster.boss, share, rewards: boss.rewards });
+  }
+
+  removeWorldBoss(monster);
+
+  const top = ranking.slice(0, 3).map(r => r.name).filter(Boolean);
+  announce(`${boss.name} has been defeated${top.length ? ` by ${top.join(', ')}` : ''}!`, {
+    type: 'bossDefeated',
+    bossId: monster.boss,
+    mapId: monster.mapId,
+    ranking: ranking.slice(0, 10)
+  });
+  console.log(`🏆 World boss ${boss.name} defeated (${ranking.length} participants)`);
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [bossId, schedule] of bossSchedule) {
+    const monster = schedule.monsterId && monsters.get(schedule.monsterId);
+
+    if (monster && now >= schedule.despawnAt && monster.hp > 0) {
+      broadcastToMap(monster.mapId, 'monster:despawn', { id: monster.id, mapId: monster.mapId });
+      removeWorldBoss(monster);
+      announce(`${WORLD_BOSSES[bossId].name} has retreated.`, { type: 'bossEscaped', bossId, mapId: monster.mapId });
+      continue;
+    }
+    if (!schedule.monsterId && now >= schedule.nextSpawnAt) spawnWorldBoss(bossId);
+  }
+}, BOSS_CHECK_INTERVAL);
+
+app.get('/world/bosses', (_, res) => {
+  res.json(Object.entries(WORLD_BOSSES).map(([bossId, boss]) => {
+    const schedule = bossSchedule.get(bossId);
+    const monster = schedule.monsterId && monsters.get(schedule.monsterId);
+    return {
+      id: bossId,
+      name: boss.name,
+      mapId: boss.mapId,
+      level: boss.level,
+      alive: Boolean(monster),
+      hp: monster?.hp ?? null,
+      maxHp: boss.hp,
+      nextSpawnAt: monster ? null : schedule.nextSpawnAt
+    };
+  }));
+});
+
+// ================= CONTENT LOADING & HOT RELOAD =================
+// CONTENT_DIR holds one JSON file per table, each stamped with the schema version
+// it was written for:
+//   maps.json     { version, maps: { mapId: { id, spawnX, spawnY, safeZone, bounds, ... } } }
+//   classes.json  { version, classes: { class: { baseHp, hpPerLevel, ..., weights } } }
+//     base*/…PerLevel: growth curve per level
+//     damageType: 'physical' hits scale off attack (STR), 'magic' off magicAttack (INT)
+//     attackRange: basic attack reach in pixels
+//     weights: what each allocated stat point is worth for this class
+//       VIT -> hp, STR -> attack, INT -> magicAttack & mana, DEX -> hit, crit & attack speed
+//   monsters.json { version, monsters: { type: { hp, attack, speed, aggro, attackRange, cooldown, xp, loot } } }
+//   spawns.json   { version, spawns: { mapId: { count, minLevel, maxLevel, bounds, eliteChance?, types? } } }
+//   chatFilter.json { version, chatFilter: { words: [...] } }  whole words, masked in chat
+// Everything is validated before any of it is used; a bad file stops the server at
+// startup, and a bad reload is rejected with the old content left in place.
+const CONTENT_VERSION = 1;
+const CONTENT_FILES = { maps: 'maps', classes: 'classes', monsters: 'monsters', spawns: 'spawns', chatFilter: 'chatFilter' };
+const REQUIRED_MAPS = ['town_1', 'pvp_arena']; // respawn & PvP code refers to these by id
+const CLASS_NUMBERS = ['baseHp', 'hpPerLevel', 'baseAttack', 'attackPerLevel', 'baseMagic', 'magicPerLevel', 'baseMana', 'manaPerLevel', 'attackRange'];
+const CLASS_WEIGHTS = ['hpPerVit', 'attackPerStr', 'magicPerInt', 'manaPerInt', 'hitPerDex', 'critPerDex', 'attackSpeedPerDex'];
+const MONSTER_NUMBERS = ['hp', 'attack', 'speed', 'aggro', 'attackRange', 'cooldown', 'xp'];
+
+let contentReload = null; // promise of the reload in progress, if any
+
+async function readContentFile(name) {
+  const file = path.join(CONTENT_DIR, `${name}.json`);
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  if (data?.version !== CONTENT_VERSION) {
+    throw new Error(`${file}: expected content version ${CONTENT_VERSION}, got ${data?.version}`);
+  }
+  return data;
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkBounds(errors, where, bounds) {
+  if (!isObject(bounds) || !['minX', 'maxX', 'minY', 'maxY'].every(k => isNumber(bounds[k]))) {
+    errors.push(`${where}.bounds must have numeric minX, maxX, minY and maxY`);
+    return false;
+  }
+  if (bounds.minX >= bounds.maxX || bounds.minY >= bounds.maxY) {
+    errors.push(`${where}.bounds is empty (min must be below max)`);
+    return false;
+  }
+  return true;
+}
+
+const insideBounds = (bounds, x, y) => x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY;
+
+// Returns a list of human-readable problems, empty when the content is usable.
+// Also cross-checks the tables still hard-coded in here (items, quests, NPCs, bosses).
+function validateContent({ maps, classes, monsters: monsterStats, spawns, chatFilter }) {
+  const errors = [];
+
+  if (!isObject(maps) || !Object.keys(maps).length) errors.push('maps: no maps defined');
+  for (const [mapId, map] of Object.entries(isObject(maps) ? maps : {})) {
+    const where = `maps.${mapId}`;
+    if (map?.id !== mapId) errors.push(`${where}.id must be "${mapId}"`);
+    if (typeof map?.safeZone !== 'boolean') errors.push(`${where}.safeZone must be true or false`);
+    if (map?.minLevel !== undefined && !(Number.isInteger(map.minLevel) && map.minLevel >= 1)) {
+      errors.push(`${where}.minLevel must be a positive integer`);
+    }
+    if (!isNumber(map?.spawnX) || !isNumber(map?.spawnY)) {
+      errors.push(`${where} needs a numeric spawnX and spawnY`);
+    } else if (checkBounds(errors, where, map.bounds) && !insideBounds(map.bounds, map.spawnX, map.spawnY)) {
+      errors.push(`${where} spawn point is outside its bounds`);
+    }
+  }
+  for (const mapId of REQUIRED_MAPS) {
+    if (!maps?.[mapId]) errors.push(`maps.${mapId} is required`);
+  }
+
+  if (!isObject(classes) || !Object.keys(classes).length) errors.push('classes: no classes defined');
+  for (const [name, cls] of Object.entries(isObject(classes) ? classes : {})) {
+    const where = `classes.${name}`;
+    for (const key of CLASS_NUMBERS) {
+      if (!isNumber(cls?.[key]) || cls[key] < 0) errors.push(`${where}.${key} must be a non-negative number`);
+    }
+    if (!['physical', 'magic'].includes(cls?.damageType)) errors.push(`${where}.damageType must be "physical" or "magic"`);
+    for (const key of CLASS_WEIGHTS) {
+      if (!isNumber(cls?.weights?.[key])) errors.push(`${where}.weights.${key} must be a number`);
+    }
+  }
+
+  if (!isObject(monsterStats) || !Object.keys(monsterStats).length) errors.push('monsters: no monster types defined');
+  for (const [type, stats] of Object.entries(isObject(monsterStats) ? monsterStats : {})) {
+    const where = `monsters.${type}`;
+    for (const key of MONSTER_NUMBERS) {
+      if (!isNumber(stats?.[key]) || stats[key] < 0) errors.push(`${where}.${key} must be a non-negative number`);
+    }
+    if (!(stats?.hp > 0)) errors.push(`${where}.hp must be above 0`);
+    if (!Array.isArray(stats?.loot) || !stats.loot.length) {
+      errors.push(`${where}.loot must list at least one item`);
+    } else {
+      for (const itemId of stats.loot) {
+        if (!ITEM_CATALOG[itemId]) errors.push(`${where}.loot has unknown item "${itemId}"`);
+      }
+    }
+  }
+  const isMonsterType = (type) => isObject(monsterStats) && Object.hasOwn(monsterStats, type);
+
+  for (const [mapId, spawn] of Object.entries(isObject(spawns) ? spawns : {})) {
+    const where = `spawns.${mapId}`;
+    const map = maps?.[mapId];
+    if (!map) errors.push(`${where}: unknown map "${mapId}"`);
+    else if (map.safeZone) errors.push(`${where}: ${mapId} is a safe zone`);
+    if (!(Number.isInteger(spawn?.count) && spawn.count > 0)) errors.push(`${where}.count must be a positive integer`);
+    if (!(Number.isInteger(spawn?.minLevel) && spawn.minLevel >= 1 && Number.isInteger(spawn?.maxLevel) && spawn.maxLevel >= spawn.minLevel)) {
+      errors.push(`${where} needs integer levels with 1 <= minLevel <= maxLevel`);
+    }
+    if (spawn?.eliteChance !== undefined && !(isNumber(spawn.eliteChance) && spawn.eliteChance >= 0 && spawn.eliteChance <= 1)) {
+      errors.push(`${where}.eliteChance must be between 0 and 1`);
+    }
+    if (checkBounds(errors, where, spawn?.bounds) && map?.bounds &&
+        !(insideBounds(map.bounds, spawn.bounds.minX, spawn.bounds.minY) && insideBounds(map.bounds, spawn.bounds.maxX, spawn.bounds.maxY))) {
+      errors.push(`${where}.bounds reaches outside the map`);
+    }
+    if (spawn?.types !== undefined) {
+      if (!Array.isArray(spawn.types) || !spawn.types.length) errors.push(`${where}.types must be a non-empty list`);
+      else for (const type of spawn.types) {
+        if (!isMonsterType(type)) errors.push(`${where}.types has unknown monster type "${type}"`);
+      }
+    }
+  }
+
+  if (!Array.isArray(chatFilter?.words)) errors.push('chatFilter.words must be a list');
+  else for (const word of chatFilter.words) {
+    if (typeof word !== 'string' || !word.trim()) errors.push('chatFilter.words has a blank or non-string entry');
+  }
+
+  for (const [questId, quest] of Object.entries(QUESTS)) {
+    for (const objective of quest.objectives) {
+      if (objective.monsterType && !isMonsterType(objective.monsterType)) {
+        errors.push(`quest ${questId} hunts unknown monster type "${objective.monsterType}"`);
+      }
+      if (objective.mapId && !maps?.[objective.mapId]) errors.push(`quest ${questId} points at unknown map "${objective.mapId}"`);
+    }
+  }
+  for (const mapId of Object.keys(NPCS)) {
+    if (!maps?.[mapId]) errors.push(`NPCs are placed on unknown map "${mapId}"`);
+  }
+  for (const [bossId, boss] of Object.entries(WORLD_BOSSES)) {
+    if (!maps?.[boss.mapId]) errors.push(`world boss ${bossId} lives on unknown map "${boss.mapId}"`);
+  }
+
+  return errors;
+}
+
+// Reads and validates every content file, throws with the full list of problems
+async function loadContentFiles() {
+  const content = {};
+  for (const [key, name] of Object.entries(CONTENT_FILES)) {
+    content[key] = (await readContentFile(name))[key];
+  }
+
+  const errors = validateContent(content);
+  if (errors.length) {
+    const err = new Error(`Invalid game content in ${CONTENT_DIR}:\n  - ${errors.join('\n  - ')}`);
+    err.problems = errors;
+    throw err;
+  }
+  return content;
+}
+
+function applyContent(content) {
+  MAPS = content.maps;
+  CHARACTER_CLASSES = content.classes;
+  MONSTER_BASE_STATS = Object.fromEntries(
+    Object.entries(content.monsters).map(([type, { description, ...stats }]) => [type, stats])
+  );
+  MONSTER_TYPES = Object.keys(MONSTER_BASE_STATS);
+  MONSTER_SPAWNS = content.spawns;
+  CHAT_FILTER = compileChatFilter(content.chatFilter.words);
+}
+
+async function loadContent() {
+  applyContent(await loadContentFiles());
+  console.log(`📦 Loaded content v${CONTENT_VERSION}: ${Object.keys(MAPS).length} maps, ` +
+    `${Object.keys(CHARACTER_CLASSES).length} classes, ${MONSTER_TYPES.length} monster types`);
+}
+
+// Brings the live world in line with freshly applied content: regular monsters
+// keep their position, elite status and HP fraction but take the new stats,
+// monsters that no longer belong on their map go away, and spawn counts are
+// topped up or trimmed. Online players get their stats recomputed in place.
+function refreshWorldAfterReload() {
+  for (const monster of monsters.values()) {
+    monster.path = null; // collision may have changed under it
+    if (monster.boss) continue;
+
+    // GM summons stay wherever they were put as long as their type still exists
+    const spawn = MONSTER_SPAWNS[monster.mapId];
+    const unwanted = !monster.summoned && (!spawn || (spawn.types && !spawn.types.includes(monster.type)));
+    if (!MONSTER_BASE_STATS[monster.type] || unwanted) {
+      despawnMonster(monster);
+      continue;
+    }
+
+    const { name, hp, maxHp } = monster;
+    rollMonsterStats(monster, monster.elite);
+    monster.name = name;
+    monster.hp = hp > 0 ? Math.max(1, Math.round(monster.maxHp * hp / maxHp)) : 0;
+  }
+
+  for (const [mapId, monsterSet] of mapMonsters) {
+    const spawn = MONSTER_SPAWNS[mapId];
+    if (!spawn) continue;
+    // Trim idle monsters first so nobody loses the fight they're in
+    const regular = [...monsterSet].map(id => monsters.get(id)).filter(isRegularMonster)
+      .sort((a, b) => Boolean(a.target) - Boolean(b.target));
+    for (const monster of regular.slice(0, Math.max(0, regular.length - spawn.count))) despawnMonster(monster);
+    if (mapPlayers.get(mapId)?.size) spawnMonsters(mapId);
+  }
+
+  for (const player of players.values()) {
+    recalcPlayerWithEquipment(player);
+    io.to(player.socketId).emit('player:statsUpdated', {
+      stats: player.stats,
+      statPointsAvailable: player.statPointsAvailable,
+      ...getCombatStats(player)
+    });
+  }
+}
+
+// Safe to call while players are online. Returns { ok, errors? }; on any error
+// nothing is applied. Concurrent calls share the reload already in flight.
+function reloadContent(source) {
+  if (contentReload) return contentReload;
+
+  contentReload = (async () => {
+    // Everything is read and validated before anything live changes
+    let content, collision;
+    try {
+      content = await loadContentFiles();
+      collision = await readCollisionMaps(Object.keys(content.maps));
+    } catch (err) {
+      console.error(`❌ Content reload (${source}) rejected: ${err.message}`);
+      return { ok: false, errors: err.problems || [err.message] };
+    }
+
+    // Content can't pull the floor out from under someone who is online
+    const errors = [...collision.problems];
+    for (const player of players.values()) {
+      if (!content.maps[player.map]) errors.push(`map ${player.map} is in use by ${player.name}`);
+      if (!content.classes[player.character_class]) errors.push(`class ${player.character_class} is in use by ${player.name}`);
+    }
+    if (errors.length) {
+      console.error(`❌ Content reload (${source}) rejected: ${errors.join('; ')}`);
+      return { ok: false, errors };
+    }
+
+    applyContent(content);
+    applyCollisionMaps(collision.loaded);
+    refreshWorldAfterReload();
+    console.log(`🔄 Content reloaded (${source})`);
+    return { ok: true };
+  })().finally(() => {
+    contentReload = null;
+  });
+
+  return contentReload;
+}
+
+// ================= ADMIN & GM TOOLS =================
+// One set of actions behind two front doors: the HTTP API below (Bearer ADMIN_TOKEN)
+// and slash commands typed in chat by accounts with role 'gm'. Every action that
+// changes something is appended to the daily audit log (DATA_DIR/audit/<YYYY-MM-DD>.jsonl).
+// Actions take (args, actor) and return { error } or a result with a `message` for the GM.
+const GM_MAX_LEVEL = 100;
+const GM_MAX_GRANT = 50;  // items per grant
+const GM_MAX_SPAWN = 20;  // monsters per spawn
+
+const pendingAuditWrites = new Map(); // day -> promise of the last audit append
+
+function audit(actor, action, details = {}) {
+  const entry = { at: Date.now(), actor, action, ...details };
+  const day = new Date(entry.at).toISOString().slice(0, 10);
+  console.log(`🛡️ ${actor} ${action} ${JSON.stringify(details)}`);
+  return queueWrite(pendingAuditWrites, day, () => store.append('audit', day, entry), `audit ${day}`);
+}
+
+// Display name -> email, online or not
+async function resolvePlayerEmail(name) {
+  if (typeof name !== 'string' || !name) return null;
+  const record = await store.get('names', name.toLowerCase());
+  return record?.email ?? null;
+}
+
+async function resolveOnlinePlayer(name) {
+  const email = await resolvePlayerEmail(name);
+  const player = email && players.get(email);
+  return player?.socketId ? player : null;
+}
+
+// Bans and mutes share one record shape: { email, name, reason, createdAt, expiresAt (null = forever) }.
+// Returns the record from `collection` if it's still in force; expired ones are cleared on sight.
+async function getActiveSanction(collection, email) {
+  const sanction = await store.get(collection, email);
+  if (!sanction) return null;
+  if (sanction.expiresAt && sanction.expiresAt <= Date.now()) {
+    await store.delete(collection, email);
+    return null;
+  }
+  return sanction;
+}
+
+async function listActiveSanctions(collection) {
+  const now = Date.now();
+  return (await store.list(collection)).filter(sanction => !sanction.expiresAt || sanction.expiresAt > now);
+}
+
+function describeBan(ban) {
+  const until = ban.expiresAt ? `until ${new Date(ban.expiresAt).toISOString()}` : 'permanently';
+  return `You are banned ${until}${ban.reason ? `: ${ban.reason}` : '.'}`;
+}
+
+function disconnectPlayer(player, event, message) {
+  const socket = io.sockets.sockets.get(player.socketId);
+  if (!socket) return;
+  socket.emit(event, { message });
+  socket.disconnect(true);
+}
+
+function listOnlinePlayers(mapId) {
+  const maps = {};
+  for (const [id, emails] of mapPlayers) {
+    if (mapId && id !== mapId) continue;
+    maps[id] = [...emails].map(email => players.get(email)).filter(Boolean).map(p => ({
+      email: p.email,
+      name: p.name,
+      level: p.level,
+      character_class: p.character_class,
+      x: Math.round(p.x),
+      y: Math.round(p.y),
+      isDead: Boolean(p.isDead)
+    }));
+  }
+  return maps;
+}
+
+const ADMIN_ACTIONS = {
+  async kick({ name, reason }) {
+    const player = await resolveOnlinePlayer(name);
+    if (!player) return { error: `${name} is not online.` };
+    disconnectPlayer(player, 'session:kicked', `You were kicked${reason ? `: ${reason}` : '.'}`);
+    return { message: `Kicked ${player.name}.`, email: player.email };
+  },
+
+  // minutes omitted / 0 = permanent
+  async ban({ name, minutes, reason }) {
+    const email = await resolvePlayerEmail(name);
+    if (!email) return { error: `No player named ${name}.` };
+    if (minutes !== undefined && !(Number.isFinite(minutes) && minutes >= 0)) return { error: 'Ban length must be a number of minutes.' };
+
+    const ban = {
+      email,
+      name,
+      reason: typeof reason === 'string' ? reason.slice(0, 200) : '',
+      createdAt: Date.now(),
+      expiresAt: minutes ? Date.now() + minutes * 60000 : null
+    };
+    await store.put('bans', email, ban);
+
+    const player = players.get(email);
+    if (player?.socketId) disconnectPlayer(player, 'session:kicked', describeBan(ban));
+    return { message: `Banned ${name} ${minutes ? `for ${minutes} minutes` : 'permanently'}.`, ban };
+  },
+
+  async unban({ name }) {
+    const email = await resolvePlayerEmail(name);
+    if (!email || !(await store.get('bans', email))) return { error: `${name} is not banned.` };
+    await store.delete('bans', email);
+    return { message: `Unbanned ${name}.` };
+  },
+
+  // Mutes always expire
+  async mute({ name, minutes, reason }) {
+    const email = await resolvePlayerEmail(name);
+    if (!email) return { error: `No player named ${name}.` };
+    if (!(Number.isFinite(minutes) && minutes > 0)) return { error: 'Mute length must be a number of minutes.' };
+
+    const mute = {
+      email,
+      name,
+      reason: typeof reason === 'string' ? reason.slice(0, 200) : '',
+      createdAt: Date.now(),
+      expiresAt: Date.now() + minutes * 60000
+    };
+    await store.put('mutes', email, mute);
+
+    const player = players.get(email);
+    if (player) {
+      player.mute = mute;
+      io.to(player.socketId).emit('chat:muted', { expiresAt: mute.expiresAt, reason: mute.reason });
+    }
+    return { message: `Muted ${name} for ${minutes} minutes.`, mute };
+  },
+
+  async unmute({ name }) {
+    const email = await resolvePlayerEmail(name);
+    if (!email || !(await store.get('mutes', email))) return { error: `${name} is not muted.` };
+    await store.delete('mutes', email);
+
+    const player = players.get(email);
+    if (player) {
+      player.mute = null;
+      io.to(player.socketId).emit('chat:unmuted', {});
+    }
+    return { message: `Unmuted ${name}.` };
+  },
+
+  async teleport({ name, mapId, x, y }) {
+    const player = await resolveOnlinePlayer(name);
+    if (!player) return { error: `${name} is not online.` };
+    if (!MAPS[mapId]) return { error: `Unknown map ${mapId}.` };
+    if (player.isDead) return { error: `${player.name} is dead.` };
+
+    const position = resolveEntryPosition(mapId, x, y);
+    if (mapId === player.map) {
+      player.x = position.x;
+      player.y = position.y;
+      trackPlayer(player);
+    } else {
+      movePlayerToMap(player, mapId, position);
+    }
+    // The client can't walk there on its own, so the move budget starts fresh
+    player.moveBudget = 0;
+    player.lastUpdate = Date.now();
+    io.to(player.socketId).emit('player:teleported', { map: mapId, x: position.x, y: position.y });
+    return { message: `Teleported ${player.name} to ${mapId} (${Math.round(position.x)}, ${Math.round(position.y)}).` };
+  },
+
+  async setLevel({ name, level }) {
+    const player = await resolveOnlinePlayer(name);
+    if (!player) return { error: `${name} is not online.` };
+    if (!Number.isInteger(level) || level < 1 || level > GM_MAX_LEVEL) return { error: `Level must be 1-${GM_MAX_LEVEL}.` };
+
+    // Same 5 points per level as levelUpPlayer for levels gained, nothing taken back
+    player.statPointsAvailable += Math.max(0, level - player.level) * 5;
+    player.level = level;
+    player.xp = 0;
+    recordLevel(player);
+    recalcPlayerWithEquipment(player);
+    player.hp = player.maxHp;
+    player.mana = player.maxMana;
+    saveCharacter(player);
+
+    io.to(player.socketId).emit('player:levelUp', {
+      level: player.level,
+      ...getCombatStats(player),
+      stats: player.stats,
+      statPointsAvailable: player.statPointsAvailable
+    });
+    io.to(player.socketId).emit('player:xpUpdated', { xp: 0, level, xpToLevel: level * 100 });
+    return { message: `${player.name} is now level ${level}.` };
+  },
+
+  async grantItems({ name, items }) {
+    const player = await resolveOnlinePlayer(name);
+    if (!player) return { error: `${name} is not online.` };
+    if (!Array.isArray(items) || !items.length || items.length > GM_MAX_GRANT) return { error: `Grant 1-${GM_MAX_GRANT} items at a time.` };
+    const unknown = items.find(itemId => !ITEM_CATALOG[itemId]);
+    if (unknown !== undefined) return { error: `Unknown item ${unknown}.` };
+
+    player.inventory.push(...items);
+    syncCollectObjectives(player);
+    saveCharacter(player);
+    io.to(player.socketId).emit('player:inventoryUpdated', { inventory: player.inventory });
+    return { message: `Gave ${player.name} ${items.join(', ')}.` };
+  },
+
+  async setGm({ name, gm }) {
+    const email = await resolvePlayerEmail(name);
+    const account = email && await store.get('accounts', email);
+    if (!account) return { error: `No player named ${name}.` };
+
+    if (gm) account.role = 'gm';
+    else delete account.role;
+    await store.put('accounts', email, account);
+    const player = players.get(email);
+    if (player) player.isGm = Boolean(gm);
+    return { message: `${account.name} is ${gm ? 'now' : 'no longer'} a GM.` };
+  },
+
+  // Summons are one-offs: they don't respawn and don't count against the map's spawn table
+  async spawnMonsters({ mapId, type, level, count = 1, x, y, elite = false }) {
+    const map = MAPS[mapId];
+    if (!map) return { error: `Unknown map ${mapId}.` };
+    if (map.safeZone) return { error: `${mapId} is a safe zone.` };
+    if (!MONSTER_BASE_STATS[type]) return { error: `Unknown monster type ${type}.` };
+    if (!Number.isInteger(level) || level < 1 || level > GM_MAX_LEVEL) return { error: `Level must be 1-${GM_MAX_LEVEL}.` };
+    if (!Number.isInteger(count) || count < 1 || count > GM_MAX_SPAWN) return { error: `Spawn 1-${GM_MAX_SPAWN} monsters at a time.` };
+
+    const center = resolveEntryPosition(mapId, x, y);
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+      const position = resolveEntryPosition(mapId, center.x + (Math.random() - 0.5) * 80, center.y + (Math.random() - 0.5) * 80);
+      const monster = createMonster(mapId, type, level, position, `gm${i}`, Boolean(elite));
+      monster.summoned = true;
+      ids.push(monster.id);
+    }
+    return { message: `Spawned ${count} ${formatMonsterName(type)} (level ${level}) in ${mapId}.`, monsters: ids };
+  },
+
+  // World bosses keep to their own schedule and are left alone
+  async clearMonsters({ mapId }) {
+    if (!MAPS[mapId]) return { error: `Unknown map ${mapId}.` };
+    const cleared = [...(mapMonsters.get(mapId) || [])].map(id => monsters.get(id)).filter(m => m && !m.boss);
+    for (const monster of cleared) despawnMonster(monster);
+    return { message: `Cleared ${cleared.length} monsters from ${mapId}.` };
+  },
+
+  async announce({ message }) {
+    if (typeof message !== 'string' || !message.trim()) return { error: 'Announcement is empty.' };
+    announce(message.trim().slice(0, 300), { type: 'admin' });
+    return { message: 'Announcement sent.' };
+  },
+
+  async reloadContent(_, actor) {
+    const result = await reloadContent(actor);
+    return result.ok ? { message: 'Content reloaded.' } : { error: 'Content reload rejected.', errors: result.errors };
+  }
+};
+
+async function runAdminAction(actor, action, args) {
+  const result = await ADMIN_ACTIONS[action](args, actor);
+  if (!result.error) audit(actor, action, args);
+  return result;
+}
+
+// ------------------ HTTP API ------------------
+// Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>`, and are off entirely without one
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: 'Admin API is disabled.' });
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN))) {
+    return res.status(401).json({ error: 'Unauthorized.' });
+  }
+  next();
+}
+
+// Wraps an action as a route; `toArgs` picks its arguments out of the request
+function adminRoute(action, toArgs) {
+  return async (req, res) => {
+    const result = await runAdminAction(`admin@${req.ip}`, action, toArgs(req));
+    res.status(result.error ? 400 : 200).json(result);
+  };
+}
+
+app.get('/admin/players', requireAdmin, (req, res) => {
+  res.json(listOnlinePlayers(req.query.map));
+});
+
+app.get('/admin/bans', requireAdmin, async (req, res) => {
+  res.json(await listActiveSanctions('bans'));
+});
+
+app.get('/admin/mutes', requireAdmin, async (req, res) => {
+  res.json(await listActiveSanctions('mutes'));
+});
+
+app.get('/admin/reports', requireAdmin, async (req, res) => {
+  const reports = await store.list('reports');
+  res.json(reports.sort((a, b) => b.createdAt - a.createdAt));
+});
+
+app.post('/admin/players/:name/kick', requireAdmin, adminRoute('kick', req => ({ name: req.params.name, reason: req.body?.reason })));
+app.post('/admin/players/:name/teleport', requireAdmin, adminRoute('teleport', req => ({ name: req.params.name, mapId: req.body?.map, x: req.body?.x, y: req.body?.y })));
+app.post('/admin/players/:name/level', requireAdmin, adminRoute('setLevel', req => ({ name: req.params.name, level: req.body?.level })));
+app.post('/admin/players/:name/items', requireAdmin, adminRoute('grantItems', req => ({ name: req.params.name, items: req.body?.items })));
+app.post('/admin/players/:name/gm', requireAdmin, adminRoute('setGm', req => ({ name: req.params.name, gm: Boolean(req.body?.gm) })));
+app.post('/admin/bans', requireAdmin, adminRoute('ban', req => ({ name: req.body?.name, minutes: req.body?.minutes, reason: req.body?.reason })));
+app.delete('/admin/bans/:name', requireAdmin, adminRoute('unban', req => ({ name: req.params.name })));
+app.post('/admin/mutes', requireAdmin, adminRoute('mute', req => ({ name: req.body?.name, minutes: req.body?.minutes, reason: req.body?.reason })));
+app.delete('/admin/mutes/:name', requireAdmin, adminRoute('unmute', req => ({ name: req.params.name })));
+app.post('/admin/maps/:mapId/monsters', requireAdmin, adminRoute('spawnMonsters', req => ({ ...req.body, mapId: req.params.mapId })));
+app.delete('/admin/maps/:mapId/monsters', requireAdmin, adminRoute('clearMonsters', req => ({ mapId: req.params.mapId })));
+app.post('/admin/announce', requireAdmin, adminRoute('announce', req => ({ message: req.body?.message })));
+app.post('/admin/content/reload', requireAdmin, adminRoute('reloadContent', () => ({})));
+
+// ------------------ GM CHAT COMMANDS ------------------
+// "/kick Bob afk botting" -> parse(['Bob', 'afk', 'botting'], gm). Returns [action, args] or a usage string.
+const GM_COMMANDS = {
+  who: { usage: '/who [map]', parse: ([mapId]) => ['who', { mapId }] },
+  kick: { usage: '/kick <name> [reason]', parse: ([name, ...reason]) => name && ['kick', { name, reason: reason.join(' ') }] },
+  ban: {
+    usage: '/ban <name> <minutes|perm> [reason]',
+    parse: ([name, length, ...reason]) => name && (length === 'perm' || Number(length) > 0) &&
+      ['ban', { name, minutes: length === 'perm' ? undefined : Number(length), reason: reason.join(' ') }]
+  },
+  unban: { usage: '/unban <name>', parse: ([name]) => name && ['unban', { name }] },
+  mute: {
+    usage: '/mute <name> <minutes> [reason]',
+    parse: ([name, minutes, ...reason]) => name && Number(minutes) > 0 && ['mute', { name, minutes: Number(minutes), reason: reason.join(' ') }]
+  },
+  unmute: { usage: '/unmute <name>', parse: ([name]) => name && ['unmute', { name }] },
+  // Without a map the player is brought to the GM
+  tp: {
+    usage: '/tp <name> [map [x y]]',
+    parse: ([name, mapId, x, y], gm) => name &&
+      ['teleport', mapId ? { name, mapId, x: Number(x), y: Number(y) } : { name, mapId: gm.map, x: gm.x, y: gm.y }]
+  },
+  level: { usage: '/level <name> <level>', parse: ([name, level]) => name && level && ['setLevel', { name, level: Number(level) }] },
+  give: {
+    usage: '/give <name> <item> [count]',
+    parse: ([name, itemId, count = '1']) => name && itemId && Number.isInteger(Number(count)) && Number(count) > 0 &&
+      ['grantItems', { name, items: Array(Math.min(Number(count), GM_MAX_GRANT + 1)).fill(itemId) }]
+  },
+  spawn: {
+    usage: '/spawn <type> [level] [count]',
+    parse: ([type, level = '1', count = '1'], gm) => type &&
+      ['spawnMonsters', { mapId: gm.map, type, level: Number(level), count: Number(count), x: gm.x, y: gm.y }]
+  },
+  clear: { usage: '/clear [map]', parse: ([mapId], gm) => ['clearMonsters', { mapId: mapId || gm.map }] },
+  announce: { usage: '/announce <message>', parse: (words) => words.length && ['announce', { message: words.join(' ') }] },
+  reload: { usage: '/reload', parse: () => ['reloadContent', {}] }
+};
+
+async function runGmCommand(gm, text) {
+  const socket = io.sockets.sockets.get(gm.socketId);
+  const [name, ...words] = text.slice(1).split(/\s+/).filter(Boolean);
+  const command = GM_COMMANDS[name?.toLowerCase()];
+  if (!command) {
+    socket?.emit('gm:error', { message: `Unknown command. Try: ${Object.values(GM_COMMANDS).map(c => c.usage).join(', ')}` });
+    return;
+  }
+
+  const parsed = command.parse(words, gm);
+  if (!parsed) {
+    socket?.emit('gm:error', { message: `Usage: ${command.usage}` });
+    return;
+  }
+
+  const [action, args] = parsed;
+  if (action === 'who') {
+    const maps = listOnlinePlayers(args.mapId);
+    const count = Object.values(maps).reduce((sum, list) => sum + list.length, 0);
+    socket?.emit('gm:result', { command: name, message: `${count} players online.`, maps });
+    return;
+  }
+
+  try {
+    const { error, ...result } = await runAdminAction(`gm:${gm.name}`, action, args);
+    if (error) socket?.emit('gm:error', { command: name, ...result, message: error });
+    else socket?.emit('gm:result', { command: name, ...result });
+  } catch (err) {
+    console.error(`❌ GM command failed (${text}):`, err);
+    socket?.emit('gm:error', { message: 'Command failed.' });
+  }
+}
+
+// ================= PARTIES =================
+// Parties live only in memory: logging out leaves the party.
+const PARTY_MAX_SIZE = 5;
+const PARTY_INVITE_TTL = 30000;      // ms an invite stays valid
+const PARTY_SHARE_RANGE = 1000;      // pixels from the kill to share XP / loot
+const PARTY_XP_BONUS = 0.1;          // +10% total XP per extra member sharing a kill
+const PARTY_UPDATE_INTERVAL = 500;   // ms between member HP / position pushes
+const PARTY_LOOT_MODES = ['freeForAll', 'roundRobin', 'leader'];
+
+const parties = new Map();       // partyId -> { id, leader, members: [emails], lootMode, nextLooter }
+const partyInvites = new Map();  // invitee email -> Map(inviter email -> expiresAt)
+
+function getParty(player) {
+  return player?.partyId ? parties.get(player.partyId) : null;
+}
+
+function emitToParty(party, event, data) {
+  for (const email of party.members) {
+    const member = players.get(email);
+    if (member?.socketId) io.to(member.socketId).emit(event, data);
+  }
+}
+
+function emitPartyUpdated(party) {
+  emitToParty(party, 'party:updated', {
+    id: party.id,
+    leader: party.leader,
+    lootMode: party.lootMode,
+    members: party.members.map(email => {
+      const member = players.get(email);
+      return {
+        email,
+        name: member?.name,
+        character_class: member?.character_class,
+        level: member?.level
+      };
+    })
+  });
+}
+
+function createParty(leader) {
+  const party = {
+    id: `party_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    leader: leader.email,
+    members: [leader.email],
+    lootMode: 'freeForAll',
+    nextLooter: 0
+  };
+  parties.set(party.id, party);
+  leader.partyId = party.id;
+  return party;
+}
+
+function leaveParty(player, reason) {
+  const party = getParty(player);
+  if (!party) return;
+
+  party.members = party.members.filter(email => email !== player.email);
+  player.partyId = null;
+  io.to(player.socketId).emit('party:left', { partyId: party.id, reason });
+  emitToParty(party, 'party:memberLeft', { email: player.email, name: player.name, reason });
+
+  // A party of one is no party
+  if (party.members.length < 2) {
+    for (const email of party.members) {
+      const member = players.get(email);
+      if (member) member.partyId = null;
+    }
+    emitToParty(party, 'party:disbanded', { partyId: party.id });
+    parties.delete(party.id);
+    return;
+  }
+
+  if (party.leader === player.email) party.leader = party.members[0];
+  emitPartyUpdated(party);
+}
+
+// Party members (killer included) close enough to the kill to share it
+function getKillSharers(killer, monster) {
+  const party = getParty(killer);
+  if (!party) return [killer];
+
+  return party.members
+    .map(email => players.get(email))
+    .filter(member => member === killer || (member && !member.isDead && member.map === monster.mapId &&
+      getDistance(member.x, member.y, monster.x, monster.y) <= PARTY_SHARE_RANGE));
+}
+
+// Who may pick up drops during the ownership window, per the party's loot mode
+function getLootOwners(killer, sharers) {
+  const party = getParty(killer);
+  if (!party) return [killer.email];
+
+  const sharerEmails = sharers.map(member => member.email);
+  switch (party.lootMode) {
+    case 'leader':
+      return sharerEmails.includes(party.leader) ? [party.leader] : [killer.email];
+
+    case 'roundRobin':
+      // Walk the member list from where we left off, skipping anyone not nearby
+      for (let i = 0; i < party.members.length; i++) {
+        const email = party.members[(party.nextLooter + i) % party.members.length];
+        if (sharerEmails.includes(email)) {
+          party.nextLooter = (party.nextLooter + i + 1) % party.members.length;
+          return [email];
+        }
+      }
+      return [killer.email];
+
+    default:
+      return sharerEmails;
+  }
+}
+
+// Member HP / position for party frames
+setInterval(() => {
+  for (const party of parties.values()) {
+    emitToParty(party, 'party:memberUpdate', {
+      partyId: party.id,
+      members: party.members.map(email => {
+        const member = players.get(email);
+        return member && {
+          email,
+          hp: member.hp,
+          maxHp: member.maxHp,
+          mana: member.mana,
+          maxMana: member.maxMana,
+          map: member.map,
+          position: { x: member.x, y: member.y },
+          isDead: member.isDead
+        };
+      }).filter(Boolean)
+    });
+  }
+}, PARTY_UPDATE_INTERVAL);
+
+// ================= GUILDS =================
+// Persistent (DATA_DIR/guilds). The guild record is the source of truth for
+// membership; guildByMember is just an index rebuilt from it at startup.
+const GUILD_CREATE_COST = 100;  // bcoins
+const GUILD_INVITE_TTL = 60000; // ms
+const GUILD_NAME_PATTERN = /^[A-Za-z0-9 ]{3,20}$/;
+const GUILD_TAG_PATTERN = /^[A-Z0-9]{2,5}$/;
+
+// Higher order outranks lower; you can only act on members ranked below you
+const GUILD_RANKS = {
+  leader:  { order: 3, invite: true, kick: true, promote: true },
+  officer: { order: 2, invite: true, kick: true, promote: false },
+  member:  { order: 1, invite: false, kick: false, promote: false },
+  recruit: { order: 0, invite: false, kick: false, promote: false }
+};
+
+const guilds = new Map();        // guildId -> guild record
+const guildByMember = new Map(); // email -> guildId
+const guildInvites = new Map();  // invitee email -> Map(guildId -> expiresAt)
+const pendingGuildWrites = new Map();
+
+async function loadGuilds() {
+  for (const guild of await store.list('guilds')) {
+    guilds.set(guild.id, guild);
+    for (const email of Object.keys(guild.members)) guildByMember.set(email, guild.id);
+  }
+  console.log(`🏰 Loaded ${guilds.size} guilds`);
+}
+
+function saveGuild(guild) {
+  const data = structuredClone(guild);
+  return queueWrite(pendingGuildWrites, guild.id, () => store.put('guilds', guild.id, data), `guild ${guild.id}`);
+}
+
+function getGuildOf(email) {
+  const guildId = guildByMember.get(email);
+  return guildId ? guilds.get(guildId) : null;
+}
+
+function getGuildTag(email) {
+  return getGuildOf(email)?.tag || null;
+}
+
+function hasGuildPermission(guild, email, permission) {
+  return Boolean(GUILD_RANKS[guild.members[email]?.rank]?.[permission]);
+}
+
+function outranks(guild, email, otherEmail) {
+  return GUILD_RANKS[guild.members[email].rank].order > GUILD_RANKS[guild.members[otherEmail].rank].order;
+}
+
+function emitToGuild(guild, event, data) {
+  for (const email of Object.keys(guild.members)) {
+    const member = players.get(email);
+    if (member?.socketId) io.to(member.socketId).emit(event, data);
+  }
+}
+
+function getGuildRoster(guild) {
+  return {
+    id: guild.id,
+    name: guild.name,
+    tag: guild.tag,
+    leader: guild.leader,
+    members: Object.entries(guild.members).map(([email, member]) => ({
+      email,
+      name: member.name,
+      rank: member.rank,
+      joinedAt: member.joinedAt,
+      online: players.has(email),
+      level: players.get(email)?.level
+    }))
+  };
+}
+
+function removeGuildMember(guild, email, reason) {
+  const name = guild.members[email]?.name;
+  delete guild.members[email];
+  guildByMember.delete(email);
+  saveGuild(guild);
+
+  const member = players.get(email);
+  if (member) io.to(member.socketId).emit('guild:left', { guildId: guild.id, reason });
+  emitToGuild(guild, 'guild:memberLeft', { email, name, reason });
+}
+
+function disbandGuild(guild) {
+  emitToGuild(guild, 'guild:disbanded', { guildId: guild.id, name: guild.name });
+  for (const email of Object.keys(guild.members)) guildByMember.delete(email);
+  guilds.delete(guild.id);
+  queueWrite(pendingGuildWrites, guild.id, () => store.delete('guilds', guild.id), `guild ${guild.id}`);
+}
+
+// ================= TRADE =================
+// Offers are only promises: nothing leaves an inventory until both sides have
+// locked and confirmed, and then the whole swap runs synchronously.
+const TRADE_RANGE = 200;           // px between the two players
+const TRADE_REQUEST_TTL = 30000;   // ms
+const TRADE_MAX_ITEMS = 12;
+
+const trades = new Map();          // tradeId -> { id, sides: { email: { items, bcoins, locked, confirmed } } }
+const tradeRequests = new Map();   // target email -> Map(from email -> expiresAt)
+
+function getTrade(player) {
+  return player?.tradeId ? trades.get(player.tradeId) : null;
+}
+
+function getTradePartner(trade, player) {
+  const email = Object.keys(trade.sides).find(e => e !== player.email);
+  return players.get(email);
+}
+
+function inTradeRange(a, b) {
+  return Boolean(a && b) && a.map === b.map && getDistance(a.x, a.y, b.x, b.y) <= TRADE_RANGE;
+}
+
+function emitToTrade(trade, event, data) {
+  for (const email of Object.keys(trade.sides)) {
+    const player = players.get(email);
+    if (player?.socketId) io.to(player.socketId).emit(event, data);
+  }
+}
+
+function emitTradeUpdated(trade) {
+  emitToTrade(trade, 'trade:updated', {
+    tradeId: trade.id,
+    sides: Object.entries(trade.sides).map(([email, side]) => ({
+      email,
+      name: players.get(email)?.name,
+      items: side.items,
+      bcoins: side.bcoins,
+      locked: side.locked,
+      confirmed: side.confirmed
+    }))
+  });
+}
+
+function openTrade(a, b) {
+  const newSide = () => ({ items: [], bcoins: 0, locked: false, confirmed: false });
+  const trade = {
+    id: `trade_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    sides: { [a.email]: newSide(), [b.email]: newSide() },
+    createdAt: Date.now()
+  };
+  trades.set(trade.id, trade);
+  a.tradeId = trade.id;
+  b.tradeId = trade.id;
+  return trade;
+}
+
+function cancelTrade(trade, reason) {
+  for (const email of Object.keys(trade.sides)) {
+    const player = players.get(email);
+    if (player) player.tradeId = null;
+  }
+  emitToTrade(trade, 'trade:cancelled', { tradeId: trade.id, reason });
+  trades.delete(trade.id);
+}
+
+// True when every offered item id (duplicates included) is in the inventory
+function hasItems(inventory, items) {
+  const remaining = [...inventory];
+  return items.every(itemId => {
+    const index = remaining.indexOf(itemId);
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+    return true;
+  });
+}
+
+function removeItems(inventory, items) {
+  for (const itemId of items) inventory.splice(inventory.indexOf(itemId), 1);
+}
+
+// Re-checks everything against live state, then swaps. No awaits in here, so
+// nothing else can touch either inventory or wallet between check and swap.
+function executeTrade(trade) {
+  const [a, b] = Object.keys(trade.sides).map(email => players.get(email));
+  if (!inTradeRange(a, b)) return cancelTrade(trade, 'outOfRange');
+
+  for (const player of [a, b]) {
+    const side = trade.sides[player.email];
+    if (!hasItems(player.inventory, side.items) || player.bcoins < side.bcoins) {
+      return cancelTrade(trade, 'offerChanged');
+    }
+  }
+
+  const sideA = trade.sides[a.email];
+  const sideB = trade.sides[b.email];
+  removeItems(a.inventory, sideA.items);
+  removeItems(b.inventory, sideB.items);
+  a.inventory.push(...sideB.items);
+  b.inventory.push(...sideA.items);
+
+  if (sideA.bcoins > 0) transferBcoins(a, b, sideA.bcoins, 'trade', { tradeId: trade.id });
+  if (sideB.bcoins > 0) transferBcoins(b, a, sideB.bcoins, 'trade', { tradeId: trade.id });
+
+  a.tradeId = null;
+  b.tradeId = null;
+  trades.delete(trade.id);
+
+  for (const player of [a, b]) {
+    saveCharacter(player);
+    io.to(player.socketId).emit('player:inventoryUpdated', { inventory: player.inventory });
+  }
+  emitToTrade(trade, 'trade:completed', { tradeId: trade.id });
+  console.log(`🤝 Trade ${trade.id} completed between ${a.name} and ${b.name}`);
+}
+
+// ================= PVP RULES =================
+// The single rule for who may hurt whom: duel partners once their countdown is
+// over, ranked opponents while a round is live, and otherwise anyone in the
+// free-for-all arena who isn't busy with a duel or a ranked match.
+function canPlayersFight(attacker, target) {
+  if (!attacker || !target || attacker === target || attacker.map !== target.map) return false;
+
+  if (attacker.duelId || target.duelId) {
+    return attacker.duelId === target.duelId && duels.get(attacker.duelId)?.state === 'active';
+  }
+  if (attacker.matchId || target.matchId) {
+    const match = rankedMatches.get(attacker.matchId);
+    return attacker.matchId === target.matchId && match?.state === 'active' &&
+      getTeamIndex(match, attacker.email) !== getTeamIndex(match, target.email);
+  }
+  return attacker.map === 'pvp_arena';
+}
+
+// HP hit zero in a player fight: duels and ranked rounds end without a death,
+// only the free-for-all arena goes through the usual PvP death
+function resolvePvPDefeat(target) {
+  if (target.duelId) {
+    target.hp = 1;
+    io.to(target.socketId).emit('player:hpChanged', { hp: target.hp, maxHp: target.maxHp, damage: 0 });
+    endDuel(duels.get(target.duelId), target, 'defeated');
+  } else if (target.matchId) {
+    downRankedPlayer(target);
+  } else {
+    handlePvPDeath(target);
+  }
+}
+
+// ================= DUELS =================
+// Opt-in 1v1 anywhere. Both players fight inside a circle around where they
+// stood when the duel was accepted; walking out, changing map, dying to
+// something else or logging off forfeits. Nobody dies: the loser keeps 1 HP.
+const DUEL_REQUEST_TTL = 30000;          // ms a challenge stays valid
+const DUEL_REQUEST_RANGE = 300;          // px between the two players to challenge
+const DUEL_AREA_RADIUS = 500;            // px around the duel's center
+const DUEL_COUNTDOWN = 3000;             // ms before blows count
+const DUEL_MAX_DURATION = 3 * 60 * 1000; // then it's a draw
+const DUEL_TICK = 500;
+
+const duels = new Map();        // duelId -> { id, players: [email, email], mapId, center, state, startsAt, endsAt }
+const duelRequests = new Map(); // challenged email -> Map(challenger email -> expiresAt)
+
+function emitToDuel(duel, event, data) {
+  for (const email of duel.players) {
+    const player = players.get(email);
+    if (player?.socketId) io.to(player.socketId).emit(event, data);
+  }
+}
+
+function startDuel(a, b) {
+  const now = Date.now();
+  const duel = {
+    id: `duel_${now}_${Math.random().toString(36).slice(2, 8)}`,
+    players: [a.email, b.email],
+    mapId: a.map,
+    center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    state: 'countdown',
+    startsAt: now + DUEL_COUNTDOWN,
+    endsAt: now + DUEL_COUNTDOWN + DUEL_MAX_DURATION
+  };
+  duels.set(duel.id, duel);
+  a.duelId = duel.id;
+  b.duelId = duel.id;
+  duelRequests.get(a.email)?.delete(b.email);
+  duelRequests.get(b.email)?.delete(a.email);
+
+  for (const [player, opponent] of [[a, b], [b, a]]) {
+    io.to(player.socketId).emit('duel:countdown', {
+      duelId: duel.id,
+      opponent: { email: opponent.email, name: opponent.name },
+      center: duel.center,
+      radius: DUEL_AREA_RADIUS,
+      startsAt: duel.startsAt,
+      endsAt: duel.endsAt
+    });
+  }
+  console.log(`⚔️ Duel ${duel.id}: ${a.name} vs ${b.name}`);
+}
+
+// loser null = draw
+function endDuel(duel, loser, reason) {
+  if (!duel) return;
+  duels.delete(duel.id);
+  for (const email of duel.players) {
+    const player = players.get(email);
+    if (player) player.duelId = null;
+  }
+
+  const winner = loser ? duel.players.find(email => email !== loser.email) : null;
+  emitToDuel(duel, 'duel:ended', { duelId: duel.id, winner, loser: loser?.email ?? null, reason });
+  console.log(`🏳️ Duel ${duel.id} ended (${reason})`);
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const duel of duels.values()) {
+    const fighters = duel.players.map(email => players.get(email));
+    const leaver = fighters.find(p => !p || p.isDead || p.map !== duel.mapId ||
+      getDistance(p.x, p.y, duel.center.x, duel.center.y) > DUEL_AREA_RADIUS);
+
+    if (leaver) endDuel(duel, leaver, 'fled');
+    else if (now >= duel.endsAt) endDuel(duel, null, 'timeout');
+    else if (duel.state === 'countdown' && now >= duel.startsAt) {
+      duel.state = 'active';
+      emitToDuel(duel, 'duel:started', { duelId: duel.id });
+    }
+  }
+}, DUEL_TICK);
+
+// ================= RANKED ARENA =================
+// Solo queue for 1v1 and 2v2. The matchmaker groups players whose ratings are
+// close, widening the accepted gap the longer they wait, and pairs strongest
+// with weakest in 2v2. Matches are best-of-three timed rounds in pvp_arena;
+// a round ends when one team is down or the clock runs out (more HP left wins).
+// Ratings are team-average Elo, one ladder per mode per season (calendar quarter),
+// stored in ratings/<season>:<mode>:<email> and kept in memory like guilds.
+const RANKED_MODES = { '1v1': { teamSize: 1 }, '2v2': { teamSize: 2 } };
+const RANKED_START_RATING = 1500;
+const RANKED_K_FACTOR = 32;
+const RANKED_BASE_WINDOW = 100;      // rating gap accepted right away
+const RANKED_WINDOW_GROWTH = 10;     // extra gap accepted per second queued
+const RANKED_MAX_WINDOW = 600;
+const RANKED_MATCHMAKING_INTERVAL = 2000;
+const RANKED_ROUNDS_TO_WIN = 2;
+const RANKED_MAX_ROUNDS = 3;
+const RANKED_COUNTDOWN = 5000;       // ms frozen at the start of every round
+const RANKED_ROUND_TIME = 90000;
+const RANKED_INTERMISSION = 3000;    // ms between rounds
+const RANKED_TICK = 500;
+const RANKED_TEAM_SPAWNS = [{ x: 250, y: 500 }, { x: 750, y: 500 }]; // in pvp_arena
+const RANKED_STANDINGS_SIZE = 100;
+
+const rankedQueues = Object.fromEntries(Object.keys(RANKED_MODES).map(mode => [mode, new Map()])); // mode -> Map(email -> entry)
+const rankedMatches = new Map();      // matchId -> match
+const ratings = new Map();             // rating key -> record
+const pendingRatingWrites = new Map(); // rating key -> promise of the last write
+
+function getSeasonId(date = new Date()) {
+  return `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+}
+
+const getRatingKey = (season, mode, email) => `${season}:${mode}:${email}`;
+
+async function loadRatings() {
+  for (const record of await store.list('ratings')) {
+    ratings.set(getRatingKey(record.season, record.mode, record.email), record);
+  }
+  console.log(`🏆 Loaded ${ratings.size} ratings`);
+}
+
+// A copy the caller may change and hand back to saveRating
+function getRating(mode, player) {
+  const season = getSeasonId();
+  const record = ratings.get(getRatingKey(season, mode, player.email));
+  return record ? { ...record } :
+    { season, mode, email: player.email, name: player.name, rating: RANKED_START_RATING, wins: 0, losses: 0, draws: 0 };
+}
+
+function saveRating(record) {
+  const key = getRatingKey(record.season, record.mode, record.email);
+  const data = { ...record, updatedAt: Date.now() };
+  ratings.set(key, data);
+  return queueWrite(pendingRatingWrites, key, () => store.put('ratings', key, data), `rating ${key}`);
+}
+
+function getQueuedMode(email) {
+  return Object.keys(rankedQueues).find(mode => rankedQueues[mode].has(email)) ?? null;
+}
+
+function leaveRankedQueue(email) {
+  const mode = getQueuedMode(email);
+  if (mode) rankedQueues[mode].delete(email);
+  return mode;
+}
+
+function getTeamIndex(match, email) {
+  return match.teams.findIndex(team => team.includes(email));
+}
+
+function emitToMatch(match, event, data) {
+  for (const email of match.teams.flat()) {
+    const player = players.get(email);
+    if (player?.socketId && email !== match.leaver) io.to(player.socketId).emit(event, data);
+  }
+}
+
+// Puts a player at `position` on `map` with full HP and mana, telling their client
+function placeFighter(player, map, position) {
+  if (player.map !== map) movePlayerToMap(player, map, position);
+  else {
+    player.x = position.x;
+    player.y = position.y;
+    trackPlayer(player);
+  }
+  player.moveBudget = 0;
+  player.lastUpdate = Date.now();
+  recalcPlayerWithEquipment(player);
+  Object.assign(player, { hp: player.maxHp, mana: player.maxMana, isDead: false, state: 'idle' });
+
+  io.to(player.socketId).emit('player:teleported', { map, x: player.x, y: player.y });
+  io.to(player.socketId).emit('player:revived', { ...getCombatStats(player), x: player.x, y: player.y });
+}
+
+// Groups of queued players close enough in rating, lowest ratings first
+function findRankedGroups(mode) {
+  const size = RANKED_MODES[mode].teamSize * 2;
+  const now = Date.now();
+  const entries = [...rankedQueues[mode].values()].sort((a, b) => a.rating - b.rating);
+  const windowOf = (entry) => Math.min(RANKED_MAX_WINDOW, RANKED_BASE_WINDOW + (now - entry.joinedAt) / 1000 * RANKED_WINDOW_GROWTH);
+
+  const groups = [];
+  for (let i = 0; i + size <= entries.length;) {
+    const group = entries.slice(i, i + size);
+    if (group[size - 1].rating - group[0].rating <= Math.min(...group.map(windowOf))) {
+      groups.push(group);
+      i += size;
+    } else {
+      i++;
+    }
+  }
+  return groups;
+}
+
+function startRankedMatch(mode, group) {
+  const entries = group.map(entry => ({ ...entry, player: players.get(entry.email) }));
+  for (const { email } of entries) rankedQueues[mode].delete(email);
+
+  // Anyone who can't play any more is dropped, the rest go back in line
+  if (entries.some(({ player }) => !player?.socketId || player.isDead || player.duelId || player.matchId)) {
+    for (const entry of entries) {
+      if (entry.player?.socketId && !entry.player.isDead && !entry.player.duelId && !entry.player.matchId) {
+        rankedQueues[mode].set(entry.email, { email: entry.email, rating: entry.rating, record: entry.record, joinedAt: entry.joinedAt });
+      }
+    }
+    return;
+  }
+
+  // Strongest with weakest: [0, 3] vs [1, 2] in 2v2
+  const emails = entries.map(entry => entry.email);
+  const teams = emails.length === 2 ? [[emails[0]], [emails[1]]] : [[emails[0], emails[3]], [emails[1], emails[2]]];
+  const match = {
+    id: `match_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    mode,
+    teams,
+    records: Object.fromEntries(entries.map(entry => [entry.email, entry.record])),
+    returnTo: Object.fromEntries(entries.map(({ email, player }) => [email, { map: player.map, x: player.x, y: player.y }])),
+    state: 'countdown',
+    round: 0,
+    wins: [0, 0],
+    leaver: null
+  };
+  rankedMatches.set(match.id, match);
+
+  for (const { player } of entries) {
+    player.matchId = match.id;
+    const trade = getTrade(player);
+    if (trade) cancelTrade(trade, 'rankedMatch');
+  }
+
+  emitToMatch(match, 'ranked:matchFound', {
+    matchId: match.id,
+    mode,
+    teams: teams.map(team => team.map(email => ({ email, name: match.records[email].name, rating: match.records[email].rating })))
+  });
+  console.log(`🏟️ Ranked ${mode} match ${match.id}: ${teams.map(team => team.map(e => match.records[e].name).join(' & ')).join(' vs ')}`);
+  startRankedRound(match);
+}
+
+function startRankedRound(match) {
+  const now = Date.now();
+  match.round += 1;
+  match.state = 'countdown';
+  match.roundStartsAt = now + RANKED_COUNTDOWN;
+  match.roundEndsAt = match.roundStartsAt + RANKED_ROUND_TIME;
+
+  match.teams.forEach((team, teamIndex) => {
+    team.forEach((email, slot) => {
+      const player = players.get(email);
+      const spawn = RANKED_TEAM_SPAWNS[teamIndex];
+      if (player) placeFighter(player, 'pvp_arena', { x: spawn.x, y: spawn.y + (slot - (team.length - 1) / 2) * 80 });
+    });
+  });
+
+  emitToMatch(match, 'ranked:roundStart', {
+    matchId: match.id,
+    round: match.round,
+    startsAt: match.roundStartsAt,
+    endsAt: match.roundEndsAt,
+    wins: match.wins
+  });
+}
+
+function downRankedPlayer(player) {
+  const match = rankedMatches.get(player.matchId);
+  if (!match || player.isDead) return;
+  Object.assign(player, { hp: 0, isDead: true, state: 'dead' });
+  emitToMatch(match, 'ranked:playerDown', { matchId: match.id, email: player.email });
+
+  const teamIndex = getTeamIndex(match, player.email);
+  if (match.teams[teamIndex].every(email => players.get(email)?.isDead)) endRankedRound(match, 1 - teamIndex);
+}
+
+// winner: team index, or null when neither side takes the round
+function endRankedRound(match, winner) {
+  if (winner !== null) match.wins[winner] += 1;
+  match.state = 'intermission';
+  emitToMatch(match, 'ranked:roundEnd', { matchId: match.id, round: match.round, winner, wins: match.wins });
+
+  const [a, b] = match.wins;
+  if (Math.max(a, b) >= RANKED_ROUNDS_TO_WIN || match.round >= RANKED_MAX_ROUNDS) {
+    finishRankedMatch(match, a === b ? null : (a > b ? 0 : 1), 'rounds');
+    return;
+  }
+  setTimeout(() => {
+    if (rankedMatches.get(match.id) === match) startRankedRound(match);
+  }, RANKED_INTERMISSION);
+}
+
+// Out of time: the team with the larger share of its HP left takes the round
+function getRoundLeader(match) {
+  const [a, b] = match.teams.map(team => team.reduce((sum, email) => {
+    const player = players.get(email);
+    return sum + (player && !player.isDead ? player.hp / player.maxHp : 0);
+  }, 0));
+  return a === b ? null : (a > b ? 0 : 1);
+}
+
+function finishRankedMatch(match, winner, reason) {
+  rankedMatches.delete(match.id);
+  match.state = 'ended';
+
+  // Team-average Elo, both sides move by the same amount
+  const teamRatings = match.teams.map(team => team.reduce((sum, email) => sum + match.records[email].rating, 0) / team.length);
+  const expected = 1 / (1 + 10 ** ((teamRatings[1] - teamRatings[0]) / 400));
+  const score = winner === null ? 0.5 : (winner === 0 ? 1 : 0);
+  const change = Math.round(RANKED_K_FACTOR * (score - expected));
+
+  match.teams.forEach((team, teamIndex) => {
+    const ratingChange = teamIndex === 0 ? change : -change;
+    const result = winner === null ? 'draw' : (winner === teamIndex ? 'win' : 'loss');
+
+    for (const email of team) {
+      const record = match.records[email];
+      record.rating += ratingChange;
+      record[{ win: 'wins', loss: 'losses', draw: 'draws' }[result]] += 1;
+      saveRating(record);
+
+      const player = players.get(email);
+      if (!player) continue;
+      player.matchId = null;
+      if (email === match.leaver) continue;
+
+      const back = match.returnTo[email];
+      placeFighter(player, MAPS[back.map] ? back.map : 'town_1', resolveEntryPosition(back.map, back.x, back.y));
+      io.to(player.socketId).emit('ranked:matchEnd', {
+        matchId: match.id,
+        result,
+        reason,
+        wins: match.wins,
+        ratingChange,
+        rating: record.rating
+      });
+    }
+  });
+  console.log(`🏁 Ranked match ${match.id} ended (${reason}), winner: ${winner === null ? 'draw' : `team ${winner}`}`);
+}
+
+// Leaving mid-match hands the win to the other team. A disconnected player
+// isn't sent anywhere, the rest go back to where they queued from.
+function forfeitRankedMatch(player, reason = 'forfeit') {
+  const match = rankedMatches.get(player.matchId);
+  if (!match) return;
+  if (reason === 'disconnected') match.leaver = player.email;
+  finishRankedMatch(match, 1 - getTeamIndex(match, player.email), reason);
+}
+
+setInterval(() => {
+  for (const mode of Object.keys(RANKED_MODES)) {
+    for (const group of findRankedGroups(mode)) startRankedMatch(mode, group);
+  }
+}, RANKED_MATCHMAKING_INTERVAL);
+
+setInterval(() => {
+  const now = Date.now();
+  for (const match of rankedMatches.values()) {
+    const stray = match.teams.flat().map(email => players.get(email)).find(p => p && p.map !== 'pvp_arena');
+    if (stray) forfeitRankedMatch(stray);
+    else if (match.state === 'countdown' && now >= match.roundStartsAt) {
+      match.state = 'active';
+      emitToMatch(match, 'ranked:roundLive', { matchId: match.id, round: match.round });
+    } else if (match.state === 'active' && now >= match.roundEndsAt) {
+      endRankedRound(match, getRoundLeader(match));
+    }
+  }
+}, RANKED_TICK);
+
+// One ladder, best first
+function listRatings(season, mode) {
+  return Array.from(ratings.values())
+    .filter(record => record.season === season && record.mode === mode)
+    .sort((a, b) => b.rating - a.rating);
+}
+
+app.get('/ranked/standings', (req, res) => {
+  const mode = req.query.mode || '1v1';
+  const season = req.query.season || getSeasonId();
+  if (!RANKED_MODES[mode]) return res.status(400).json({ error: `Unknown mode. Choose one of: ${Object.keys(RANKED_MODES).join(', ')}.` });
+
+  const ladder = listRatings(season, mode).slice(0, RANKED_STANDINGS_SIZE);
+  res.json({
+    season,
+    mode,
+    standings: ladder.map((record, i) => ({
+      rank: i + 1,
+      name: record.name,
+      rating: record.rating,
+      wins: record.wins,
+      losses: record.losses,
+      draws: record.draws
+    }))
+  });
+});
+
+// ================= LEADERBOARDS =================
+// Public, paginated top lists: GET /leaderboards/:board?page=&limit= (rating also
+// takes mode and season), plus GET /characters/:name/stats for one character.
+// Offline characters come from an in-memory index that saveCharacter keeps
+// current; online ones use their live state.
+const LEADERBOARD_PAGE_SIZE = 20;
+const LEADERBOARD_MAX_PAGE_SIZE = 100;
+
+const characterIndex = new Map(); // email -> { email, name, character_class, level, xp, lifetime }
+
+function indexCharacter(record) {
+  characterIndex.set(record.email, {
+    email: record.email,
+    name: record.name,
+    character_class: record.character_class,
+    level: record.level,
+    xp: record.xp,
+    lifetime: createLifetimeStats(record.lifetime, record.level)
+  });
+}
+
+async function loadCharacterIndex() {
+  for (const record of await store.list('characters')) indexCharacter(record);
+  console.log(`📇 Indexed ${characterIndex.size} characters`);
+}
+
+function listCharacterRecords() {
+  const records = new Map(characterIndex);
+  for (const player of players.values()) records.set(player.email, player);
+  return Array.from(records.values());
+}
+
+// Each board returns its rows best first, or { error } for a bad query
+const LEADERBOARDS = {
+  level() {
+    return listCharacterRecords()
+      .sort((a, b) => b.level - a.level || b.xp - a.xp)
+      .map(record => ({ name: record.name, class: record.character_class, level: record.level }));
+  },
+
+  pvpKills() {
+    return listCharacterRecords()
+      .filter(({ lifetime }) => lifetime.pvpKills > 0)
+      .sort((a, b) => b.lifetime.pvpKills - a.lifetime.pvpKills || a.lifetime.pvpDeaths - b.lifetime.pvpDeaths)
+      .map(({ name, character_class, level, lifetime }) => ({
+        name,
+        class: character_class,
+        level,
+        pvpKills: lifetime.pvpKills,
+        pvpDeaths: lifetime.pvpDeaths
+      }));
+  },
+
+  rating({ mode = '1v1', season = getSeasonId() }) {
+    if (!RANKED_MODES[mode]) return { error: `Unknown mode. Choose one of: ${Object.keys(RANKED_MODES).join(', ')}.` };
+    return listRatings(season, mode).map(record => ({
+      name: record.name,
+      rating: record.rating,
+      wins: record.wins,
+      losses: record.losses,
+      draws: record.draws
+    }));
+  }
+};
+
+app.get('/leaderboards/:board', (req, res) => {
+  if (!Object.hasOwn(LEADERBOARDS, req.params.board)) {
+    return res.status(404).json({ error: `Unknown leaderboard. Choose one of: ${Object.keys(LEADERBOARDS).join(', ')}.` });
+  }
+
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(LEADERBOARD_MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit, 10) || LEADERBOARD_PAGE_SIZE));
+  const rows = LEADERBOARDS[req.params.board](req.query);
+  if (rows.error) return res.status(400).json({ error: rows.error });
+
+  const offset = (page - 1) * limit;
+  res.json({
+    board: req.params.board,
+    page,
+    limit,
+    total: rows.length,
+    entries: rows.slice(offset, offset + limit).map((row, i) => ({ rank: offset + i + 1, ...row }))
+  });
+});
+
+app.get('/characters/:name/stats', async (req, res) => {
+  const email = await resolvePlayerEmail(req.params.name);
+  const online = email ? players.get(email) : null;
+  const record = online ? serializeCharacter(online) : email && await loadCharacter(email);
+  if (!record) return res.status(404).json({ error: 'Character not found.' });
+
+  const season = getSeasonId();
+  const seasonRatings = Object.keys(RANKED_MODES).map(mode => ratings.get(getRatingKey(season, mode, email)));
+  res.json({
+    name: record.name,
+    class: record.character_class,
+    level: record.level,
+    online: Boolean(online?.socketId),
+    lifetime: createLifetimeStats(record.lifetime, record.level),
+    season,
+    ratings: Object.fromEntries(Object.keys(RANKED_MODES).map((mode, i) => [mode, seasonRatings[i] ? {
+      rating: seasonRatings[i].rating,
+      wins: seasonRatings[i].wins,
+      losses: seasonRatings[i].losses,
+      draws: seasonRatings[i].draws
+    } : null]))
+  });
+});
+
+// ================= MAIL =================
+// One mailbox record per character (mail/<email>). Attachments are taken from the
+// sender when the mail is sent and sit in the mail (escrow) until the recipient
+// claims them, returns the mail, or it expires; expired mail with attachments
+// bounces back to the sender once, everything else is simply deleted.
+const MAIL_MAX_MESSAGES = 50;               // per mailbox; bounced mail always gets in
+const MAIL_MAX_ITEMS = 6;                   // item attachments per mail
+const MAIL_SUBJECT_MAX = 40;
+const MAIL_BODY_MAX = 500;
+const MAIL_TTL = 30 * 24 * 60 * 60 * 1000;  // 30 days
+const MAIL_SEND_COOLDOWN = 5000;            // ms between two sends
+const MAIL_SENDS_PER_HOUR = 20;
+const MAIL_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+const pendingMailWrites = new Map(); // email -> promise of the last mailbox update
+
+// Read-modify-write on one mailbox, serialized per mailbox. `update` returns
+// { error } to leave the mailbox untouched, anything else is saved.
+async function updateMailbox(email, update) {
+  let result, failure;
+  await queueWrite(pendingMailWrites, email, async () => {
+    try {
+      const mailbox = (await store.get('mail', email)) || { email, messages: [] };
+      result = await update(mailbox);
+      if (!result?.error) await store.put('mail', email, mailbox);
+    } catch (err) {
+      failure = err;
+    }
+  }, `mailbox ${email}`);
+  if (failure) throw failure;
+  return result;
+}
+
+async function getMailbox(email) {
+  await pendingMailWrites.get(email);
+  return (await store.get('mail', email)) || { email, messages: [] };
+}
+
+const hasAttachments = (mail) => mail.items.length > 0 || mail.bcoins > 0;
+
+function serializeMailSummary(mail) {
+  return {
+    id: mail.id,
+    fromName: mail.fromName,
+    subject: mail.subject,
+    sentAt: mail.sentAt,
+    expiresAt: mail.expiresAt,
+    read: mail.read,
+    returned: mail.returned,
+    hasAttachments: hasAttachments(mail)
+  };
+}
+
+function createMail(from, fields) {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    fromEmail: from.email,
+    fromName: from.name,
+    subject: '',
+    body: '',
+    items: [],
+    bcoins: 0,
+    sentAt: now,
+    expiresAt: now + MAIL_TTL,
+    read: false,
+    returned: false,
+    ...fields
+  };
+}
+
+// Drops a mail into `email`'s mailbox and pings them if they're online
+async function deliverMail(email, mail, { force = false } = {}) {
+  const result = await updateMailbox(email, (mailbox) => {
+    if (!force && mailbox.messages.length >= MAIL_MAX_MESSAGES) return { error: 'Their mailbox is full.' };
+    mailbox.messages.push(mail);
+    return { ok: true };
+  });
+  if (result.error) return result;
+
+  const recipient = players.get(email);
+  if (recipient) io.to(recipient.socketId).emit('mail:received', serializeMailSummary(mail));
+  return result;
+}
+
+// Sends the attachments back where they came from, as a returned mail
+function bounceMail(mail) {
+  const bounce = createMail({ email: mail.toEmail, name: mail.toName }, {
+    toEmail: mail.fromEmail,
+    toName: mail.fromName,
+    subject: `Returned: ${mail.subject}`,
+    items: mail.items,
+    bcoins: mail.bcoins,
+    returned: true
+  });
+  return deliverMail(mail.fromEmail, bounce, { force: true });
+}
+
+// Hands a mail's escrow back to its sender when it couldn't be delivered
+function refundMail(sender, mail) {
+  if (players.get(sender.email) !== sender) {
+    bounceMail(mail).catch(err => console.error(`❌ Failed to refund mail ${mail.id}:`, err));
+    return;
+  }
+  sender.inventory.push(...mail.items);
+  if (mail.bcoins) creditBcoins(sender, mail.bcoins, 'mail:refund', { mailId: mail.id });
+  saveCharacter(sender);
+  io.to(sender.socketId).emit('player:inventoryUpdated', { inventory: sender.inventory });
+}
+
+// Clears out expired mail, bouncing attachments that were never claimed
+async function expireMail(email) {
+  const now = Date.now();
+  const { messages } = await getMailbox(email);
+  if (!messages.some(mail => mail.expiresAt <= now)) return;
+
+  const bounces = await updateMailbox(email, (mailbox) => {
+    const expired = mailbox.messages.filter(mail => mail.expiresAt <= now);
+    mailbox.messages = mailbox.messages.filter(mail => mail.expiresAt > now);
+    return expired.filter(mail => hasAttachments(mail) && !mail.returned);
+  });
+
+  // Outside the lock above, a bounce writes to a different mailbox
+  for (const mail of bounces) await bounceMail(mail);
+}
+
+async function notifyMailbox(player) {
+  await expireMail(player.email);
+  const { messages } = await getMailbox(player.email);
+  io.to(player.socketId).emit('mail:unread', {
+    unread: messages.filter(mail => !mail.read).length,
+    withAttachments: messages.filter(hasAttachments).length
+  });
+}
+
+setInterval(async () => {
+  try {
+    for (const mailbox of await store.list('mail')) await expireMail(mailbox.email);
+  } catch (err) {
+    console.error('❌ Mail expiry sweep failed:', err);
+  }
+}, MAIL_SWEEP_INTERVAL);
+
+// ------------------ REALTIME CHAT ------------------
+const CHAT_COOLDOWN = 5000; // 5 seconds between messages per player
+
+// ================= CHAT MODERATION =================
+// Block lists live on the character (blocked: { email: name }): a blocked sender
+// can't DM you and their channel messages are never delivered to you. GMs mute
+// players for a while (ADMIN_ACTIONS.mute). Every channel keeps its last few
+// messages in memory so (re)joining players get some context and reports can
+// snapshot the conversation around the reported line.
+const CHAT_HISTORY_SIZE = 50;           // messages kept per channel
+const CHAT_HISTORY_REPLAY = 20;         // per channel, sent on join
+const CHAT_HISTORY_TTL = 60 * 60 * 1000; // channels quiet for an hour are dropped
+const CHAT_REPORT_CONTEXT = 10;         // messages either side of a reported one
+const CHAT_REPORT_COOLDOWN = 30000;     // ms between reports from one player
+const BLOCK_LIST_MAX = 100;
+
+let CHAT_FILTER = null;                 // compiled from content chatFilter.words
+const chatHistory = new Map();          // channel -> [message], oldest first
+const chatMessageChannels = new Map();  // messageId -> channel, while still in history
+let nextChatMessageId = 1;
+
+function compileChatFilter(words) {
+  if (!words.length) return null;
+  const escaped = words.map(word => word.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'gi');
+}
+
+function filterChatMessage(text) {
+  return CHAT_FILTER ? text.replace(CHAT_FILTER, word => '*'.repeat(word.length)) : text;
+}
+
+function isBlocking(player, email) {
+  return Boolean(player?.blocked?.[email]);
+}
+
+// Both sides of a private conversation share one channel
+function getChatChannel(player, type, targetEmail) {
+  switch (type) {
+    case 'global': return 'global';
+    case 'town':
+    case 'map': return `${type}:${player.map}`;
+    case 'guild': return `guild:${getGuildOf(player.email)?.id}`;
+    case 'party': return `party:${player.partyId}`;
+    case 'private': return `private:${[player.email, targetEmail].sort().join('|')}`;
+    default: return null;
+  }
+}
+
+function getVisibleChannels(player) {
+  const channels = ['global', `map:${player.map}`, `town:${player.map}`];
+  const guild = getGuildOf(player.email);
+  if (guild) channels.push(`guild:${guild.id}`);
+  if (player.partyId) channels.push(`party:${player.partyId}`);
+  for (const channel of chatHistory.keys()) {
+    if (channel.startsWith('private:') && channel.slice(8).split('|').includes(player.email)) channels.push(channel);
+  }
+  return channels;
+}
+
+function recordChatMessage(channel, message) {
+  if (!chatHistory.has(channel)) chatHistory.set(channel, []);
+  const history = chatHistory.get(channel);
+  history.push(message);
+  chatMessageChannels.set(message.id, channel);
+  while (history.length > CHAT_HISTORY_SIZE) chatMessageChannels.delete(history.shift().id);
+}
+
+// Last few messages of every channel the player can see, minus blocked senders
+function emitChatHistory(player) {
+  const messages = [];
+  for (const channel of getVisibleChannels(player)) {
+    const recent = (chatHistory.get(channel) || []).filter(m => !isBlocking(player, m.senderEmail));
+    messages.push(...recent.slice(-CHAT_HISTORY_REPLAY));
+  }
+  io.to(player.socketId).emit('chat:history', { messages: messages.sort((a, b) => a.id - b.id) });
+}
+
+function emitBlockList(player) {
+  io.to(player.socketId).emit('chat:blockList', {
+    blocked: Object.entries(player.blocked).map(([email, name]) => ({ email, name }))
+  });
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - CHAT_HISTORY_TTL;
+  for (const [channel, history] of chatHistory) {
+    if (history[history.length - 1].timestamp >= cutoff) continue;
+    for (const message of history) chatMessageChannels.delete(message.id);
+    chatHistory.delete(channel);
+  }
+}, 5 * 60 * 1000);
+
+// ------------------ Socket.IO Events ------------------
+io.on('connection', (socket) => {
+  console.log('Player connected:', socket.id);
+  let currentPlayer = null;
+
+  // Handlers always get an object: a null or primitive payload from a broken
+  // client, or anything else a handler throws, must not take the process down.
+  // onError lets a handler tell its own client that the request failed.
+  function onEvent(event, handler, onError) {
+    socket.on(event, async (payload) => {
+      try {
+        await handler(payload && typeof payload === 'object' ? payload : {});
+      } catch (err) {
+        console.error(`❌ ${event} failed for ${currentPlayer?.email ?? socket.id}:`, err);
+        onError?.(err);
+      }
+    });
+  }
+
+ // ------------------ PLAYER JOIN ------------------
+onEvent('player:join', async (data) => {
+  // Identity comes from the verified session, never from the payload
+  const { email, name } = socket.data;
+  const { character_class, map: requestedMap } = data;
+
+  // ================= BANS, MUTES & ROLE =================
+  let ban, mute, account;
+  try {
+    [ban, mute, account] = await Promise.all([
+      getActiveSanction('bans', email),
+      getActiveSanction('mutes', email),
+      store.get('accounts', email)
+    ]);
+  } catch (err) {
+    console.error(`❌ Failed to load account ${email}:`, err);
+    socket.emit('player:joinError', { message: 'Could not load your account. Please try again.' });
+    return;
+  }
+  if (ban) {
+    socket.emit('player:joinError', { message: describeBan(ban), banned: true });
+    socket.disconnect(true);
+    return;
+  }
+  if (!socket.connected) return;
+  const isGm = account?.role === 'gm';
+
+  // ================= REJOIN / RECONNECT GUARD =================
+  if (players.has(email)) {
+    currentPlayer = players.get(email);
+    const previousSocket = io.sockets.sockets.get(currentPlayer.socketId);
+    // The character never left the world: it stays exactly where the server has it
+    const { map } = currentPlayer;
+
+    // Update socket & live data; the new client starts from an empty world view
+    currentPlayer.socketId = socket.id;
+    currentPlayer.isGm = isGm;
+    currentPlayer.mute = mute;
+    currentPlayer.snapshot = createSnapshotState();
+
+    // Same account logged in elsewhere: the newest session wins
+    if (previousSocket && previousSocket.id !== socket.id) {
+      previousSocket.emit('session:replaced', { message: 'You logged in from another location.' });
+      previousSocket.disconnect(true);
+    }
+
+    currentPlayer.lastUpdate = Date.now();
+
+    // Recalculate stats with equipment
+    recalcPlayerWithEquipment(currentPlayer);
+
+    // Ensure map registration
+    if (!mapPlayers.has(map)) mapPlayers.set(map, new Set());
+    mapPlayers.get(map).add(email);
+    trackPlayer(currentPlayer);
+
+    console.log(`🔁 Player ${email} rejoined map ${map} with XP ${currentPlayer.xp}`);
+    socket.emit('player:teleported', { map, x: currentPlayer.x, y: currentPlayer.y });
+
+    // ------------------ RESYNC XP ------------------
+    socket.emit('player:xpUpdated', {
+      xp: currentPlayer.xp,
+      level: currentPlayer.level,
+      xpToLevel: currentPlayer.level * 100
+    });
+
+    // ------------------ RESYNC FULL STATS ------------------
+    socket.emit('player:statsInitialized', {
+      stats: currentPlayer.stats,
+      statPointsAvailable: currentPlayer.statPointsAvailable,
+      ...getCombatStats(currentPlayer)
+    });
+
+    // ------------------ SKILLS ------------------
+    socket.emit('player:skillsInitialized', getSkillState(currentPlayer));
+
+    // ------------------ INVENTORY, EQUIPMENT & BCOINS ------------------
+    socket.emit('player:inventoryUpdated', { inventory: currentPlayer.inventory });
+    socket.emit('player:equipmentUpdated', { equipment: currentPlayer.equipment, inventory: currentPlayer.inventory });
+    socket.emit('player:walletUpdated', { bcoins: currentPlayer.bcoins, amount: 0, source: 'sync' });
+
+    // ------------------ GUILD ------------------
+    const rejoinGuild = getGuildOf(email);
+    if (rejoinGuild) socket.emit('guild:roster', getGuildRoster(rejoinGuild));
+
+    // ------------------ QUESTS ------------------
+    emitQuestLog(currentPlayer);
+
+    // ------------------ CHAT & MAIL ------------------
+    emitBlockList(currentPlayer);
+    emitChatHistory(currentPlayer);
+    notifyMailbox(currentPlayer).catch(err => console.error(`❌ Failed to check mail for ${email}:`, err));
+
+    // ------------------ MONSTERS ------------------
+    spawnMonsters(map);
+    const monstersInMap = mapMonsters.get(map) || new Set();
+    for (const monsterId of monstersInMap) {
+      const m = monsters.get(monsterId);
+      if (m && m.hp > 0) {
+        socket.emit('monster:spawn', serializeMonster(m));
+      }
+    }
+
+    // ------------------ DROPS & NPCS ------------------
+    emitMapDrops(socket, map);
+    emitMapNpcs(socket, map);
+
+    // ------------------ NEARBY PLAYERS ------------------
+    const nearby = getPlayersInAOI(email, currentPlayer.x, currentPlayer.y, map);
+    nearby.forEach(p => socket.emit('player:joined', p));
+
+    return; // 🔥 IMPORTANT: STOP HERE
+  }
+
+  // ================= LOAD SAVED CHARACTER =================
+  // Progression always comes from storage, never from the join payload
+  let saved;
+  try {
+    saved = await loadCharacter(email);
+  } catch (err) {
+    console.error(`❌ Failed to load character ${email}:`, err);
+    socket.emit('player:joinError', { message: 'Could not load your character. Please try again.' });
+    return;
+  }
+
+  // Socket dropped, or the same character finished joining while we were loading
+  if (!socket.connected || players.has(email)) return;
+
+  // ================= CLASS VALIDATION =================
+  const characterClass = saved?.character_class ?? character_class;
+  if (!CHARACTER_CLASSES[characterClass]) {
+    socket.emit('player:joinError', {
+      message: `Unknown character class "${characterClass}". Choose one of: ${Object.keys(CHARACTER_CLASSES).join(', ')}.`
+    });
+    return;
+  }
+
+  // ================= SPAWN LOCATION =================
+  // Saved characters come back where they logged out. New ones (or ones whose
+  // saved map is gone) start at the spawn point of the map they asked for.
+  const level = saved?.level ?? 1;
+  const canEnter = (mapId) => Boolean(MAPS[mapId]) && level >= (MAPS[mapId].minLevel || 0);
+  let map, position;
+  if (canEnter(saved?.map)) {
+    map = saved.map;
+    position = resolveEntryPosition(map, saved.x, saved.y);
+  } else if (canEnter(requestedMap)) {
+    map = requestedMap;
+    position = { x: MAPS[map].spawnX, y: MAPS[map].spawnY };
+  } else {
+    socket.emit('player:joinError', {
+      message: MAPS[requestedMap]
+        ? `You need to be level ${MAPS[requestedMap].minLevel}+ to enter this map.`
+        : `Unknown map "${requestedMap}".`
+    });
+    return;
+  }
+
+  // ================= FIRST TIME JOIN =================
+  const baseStats = calculatePlayerStats({ character_class: characterClass, level });
+
+  currentPlayer = {
+    email,
+    name: saved?.name ?? name,
+    character_class: characterClass,
+    level,
+    xp: saved?.xp ?? 0,
+    x: position.x,
+    y: position.y,
+    direction: 'front',
+    state: 'idle',
+    map,
+    socketId: socket.id,
+    lastUpdate: Date.now(),
+    hp: baseStats.maxHp,
+    maxHp: baseStats.maxHp,
+    attack: baseStats.attack,
+    speed: 1, // default speed
+    isDead: false,
+    inventory: saved?.inventory ?? [],
+    bcoins: saved?.bcoins ?? 0,
+    statPointsAvailable: saved?.statPointsAvailable ?? 5,
+    stats: saved?.stats ?? Object.fromEntries(STAT_NAMES.map(name => [name, 1])),
+    lastAttackTime: 0,
+    skillCooldowns: {},
+    castingSkill: null,
+    equipment: saved?.equipment ?? {}, // initialize equipment
+    quests: saved?.quests ?? { active: {}, completed: [] },
+    snapshot: createSnapshotState(),
+    isGm,
+    mute,
+    blocked: saved?.blocked ?? {}, // email -> name
+    lifetime: createLifetimeStats(saved?.lifetime, level)
+  };
+
+  players.set(email, currentPlayer);
+
+  // Apply equipment bonuses and start at full HP / mana
+  recalcPlayerWithEquipment(currentPlayer);
+  currentPlayer.hp = currentPlayer.maxHp;
+  currentPlayer.mana = currentPlayer.maxMana;
+
+  // Create the record right away for brand new characters
+  if (!saved) saveCharacter(currentPlayer);
+
+  // ------------------ MAP REGISTRATION ------------------
+  if (!mapPlayers.has(map)) mapPlayers.set(map, new Set());
+  mapPlayers.get(map).add(email);
+  trackPlayer(currentPlayer);
+
+  console.log(`${saved ? '📂' : '🆕'} Player ${currentPlayer.name} joined map ${map} (level ${currentPlayer.level})`);
+
+  // The server picks the spot, not the client
+  socket.emit('player:teleported', { map, x: position.x, y: position.y });
+
+  // ------------------ XP INIT ------------------
+  socket.emit('player:xpUpdated', {
+    xp: currentPlayer.xp,
+    level: currentPlayer.level,
+    xpToLevel: currentPlayer.level * 100
+  });
+
+  // ------------------ STATS INIT (FULL) ------------------
+  socket.emit('player:statsInitialized', {
+    stats: currentPlayer.stats,
+    statPointsAvailable: currentPlayer.statPointsAvailable,
+    ...getCombatStats(currentPlayer)
+  });
+
+  // ------------------ SKILLS ------------------
+  socket.emit('player:skillsInitialized', getSkillState(currentPlayer));
+
+  // ------------------ INVENTORY, EQUIPMENT & BCOINS ------------------
+  socket.emit('player:inventoryUpdated', { inventory: currentPlayer.inventory });
+  socket.emit('player:equipmentUpdated', { equipment: currentPlayer.equipment, inventory: currentPlayer.inventory });
+  socket.emit('player:walletUpdated', { bcoins: currentPlayer.bcoins, amount: 0, source: 'sync' });
+
+  // ------------------ GUILD ------------------
+  const guild = getGuildOf(email);
+  if (guild) {
+    emitToGuild(guild, 'guild:memberOnline', { email, name: currentPlayer.name, level: currentPlayer.level });
+    socket.emit('guild:roster', getGuildRoster(guild));
+  }
+
+  // ------------------ QUESTS ------------------
+  emitQuestLog(currentPlayer);
+
+  // ------------------ CHAT & MAIL ------------------
+  emitBlockList(currentPlayer);
+  emitChatHistory(currentPlayer);
+  notifyMailbox(currentPlayer).catch(err => console.error(`❌ Failed to check mail for ${email}:`, err));
+
+  // ------------------ MONSTERS ------------------
+  spawnMonsters(map);
+  const monstersInMap = mapMonsters.get(map) || new Set();
+  for (const monsterId of monstersInMap) {
+    const m = monsters.get(monsterId);
+    if (m && m.hp > 0) {
+      socket.emit('monster:spawn', serializeMonster(m));
+    }
+  }
+
+  // ------------------ DROPS & NPCS ------------------
+  emitMapDrops(socket, map);
+  emitMapNpcs(socket, map);
+
+  // ------------------ NEARBY PLAYERS ------------------
+  const nearby = getPlayersInAOI(email, position.x, position.y, map);
+  nearby.forEach(p => socket.emit('player:joined', p));
+
+  // Notify others
+  broadcastToAOI(email, position.x, position.y, map, 'player:joined', {
+    email,
+    name: currentPlayer.name,
+    character_class: currentPlayer.character_class,
+    level: currentPlayer.level,
+    position,
+    direction: 'front',
+    state: 'idle',
+    equipment: currentPlayer.equipment,
+    guildTag: getGuildTag(email)
+  });
+}, () => socket.emit('player:joinError', { message: 'Could not join the world. Please try again.' }));
+
+onEvent('player:sendChat', (data) => {
+  if (!currentPlayer) return;
+  const now = Date.now();
+  const { message, type, targetEmail } = data;
+  const msg = typeof message === 'string' ? message.trim() : '';
+  if (!msg || msg.length > 200) return; // optional max length
+
+  // GMs run admin tools from chat ("/kick Name reason"), nobody else sees these
+  if (currentPlayer.isGm && msg.startsWith('/')) {
+    runGmCommand(currentPlayer, msg);
+    return;
+  }
+
+  // Muted players can still read, just not talk
+  if (currentPlayer.mute && currentPlayer.mute.expiresAt <= now) currentPlayer.mute = null;
+  if (currentPlayer.mute) {
+    socket.emit('chat:error', {
+      message: `You are muted until ${new Date(currentPlayer.mute.expiresAt).toISOString()}.`
+    });
+    return;
+  }
+
+  // Initialize per-type cooldown
+  if (!currentPlayer.lastChat) currentPlayer.lastChat = {};
+  if (!currentPlayer.lastChat[type]) currentPlayer.lastChat[type] = 0;
+
+  if (now - currentPlayer.lastChat[type] < CHAT_COOLDOWN) {
+    socket.emit('chat:spamBlocked', {
+      message: `You are sending ${type || 'map'} messages too quickly. Please wait a moment.`
+    });
+    return;
+  }
+
+  currentPlayer.lastChat[type] = now;
+
+  let recipients = [];
+
+  switch (type) {
+    case 'private': {
+      if (!targetEmail) return;
+      const target = players.get(targetEmail);
+      if (!target || !target.socketId) {
+        socket.emit('chat:error', { message: 'That player is offline. Send them mail instead.' });
+        return;
+      }
+      if (isBlocking(target, currentPlayer.email)) {
+        socket.emit('chat:error', { message: `${target.name} is not accepting your messages.` });
+        return;
+      }
+      // send to both sender and target
+      recipients.push(target, currentPlayer);
+      break;
+    }
+
+    case 'global':
+      // send to everyone online
+      recipients = Array.from(players.values());
+      break;
+
+    case 'town':
+      // only allow if current map is a town (safeZone)
+      if (!MAPS[currentPlayer.map]?.safeZone) {
+        socket.emit('chat:error', { message: 'You are not in a town map.' });
+        return;
+      }
+      recipients = Array.from(mapPlayers.get(currentPlayer.map) || [], email => players.get(email));
+      break;
+
+    case 'map':
+      // all players in current map
+      recipients = Array.from(mapPlayers.get(currentPlayer.map) || [], email => players.get(email));
+      break;
+
+    case 'guild': {
+      const guild = getGuildOf(currentPlayer.email);
+      if (!guild) {
+        socket.emit('chat:error', { message: 'You are not in a guild.' });
+        return;
+      }
+      recipients = Object.keys(guild.members).map(email => players.get(email));
+      break;
+    }
+
+    case 'party': {
+      const party = getParty(currentPlayer);
+      if (!party) {
+        socket.emit('chat:error', { message: 'You are not in a party.' });
+        return;
+      }
+      recipients = party.members.map(email => players.get(email));
+      break;
+    }
+
+    default:
+      socket.emit('chat:error', { message: 'Invalid chat type.' });
+      return;
+  }
+
+  const chatMessage = {
+    id: nextChatMessageId++,
+    from: currentPlayer.name,
+    message: filterChatMessage(msg),
+    type,
+    timestamp: now,
+    senderEmail: currentPlayer.email,
+    ...(type === 'private' && { targetEmail })
+  };
+  recordChatMessage(getChatChannel(currentPlayer, type, targetEmail), chatMessage);
+
+  // Broadcast message to recipients, skipping anyone who blocked the sender
+  for (const recipient of recipients) {
+    if (!recipient?.socketId || isBlocking(recipient, currentPlayer.email)) continue;
+    io.to(recipient.socketId).emit('chat:message', chatMessage);
+  }
+});
+
+// ------------------ CHAT MODERATION ------------------
+onEvent('chat:block', async ({ targetEmail }) => {
+  if (!currentPlayer) return;
+  const fail = (message) => socket.emit('chat:error', { message });
+  if (typeof targetEmail !== 'string' || targetEmail === currentPlayer.email) return fail('You cannot block that player.');
+  if (Object.keys(currentPlayer.blocked).length >= BLOCK_LIST_MAX) return fail('Your block list is full.');
+
+  const account = players.get(targetEmail) ?? await store.get('accounts', targetEmail);
+  if (!account) return fail('Player not found.');
+
+  currentPlayer.blocked[targetEmail] = account.name;
+  saveCharacter(currentPlayer);
+  emitBlockList(currentPlayer);
+});
+
+onEvent('chat:unblock', ({ targetEmail }) => {
+  if (!currentPlayer || !isBlocking(currentPlayer, targetEmail)) return;
+  delete currentPlayer.blocked[targetEmail];
+  saveCharacter(currentPlayer);
+  emitBlockList(currentPlayer);
+});
+
+// Snapshots the reported message with the conversation around it for GMs to review
+onEvent('chat:report', async ({ messageId, reason }) => {
+  if (!currentPlayer) return;
+  const fail = (message) => socket.emit('chat:error', { message });
+  const now = Date.now();
+
+  const channel = chatMessageChannels.get(messageId);
+  if (!channel || !getVisibleChannels(currentPlayer).includes(channel)) return fail('That message can no longer be reported.');
+  const history = chatHistory.get(channel);
+  const index = history.findIndex(m => m.id === messageId);
+  const reported = history[index];
+  if (reported.senderEmail === currentPlayer.email) return fail('You cannot report your own message.');
+  if (now - (currentPlayer.lastReportAt || 0) < CHAT_REPORT_COOLDOWN) return fail('Please wait before sending another report.');
+  currentPlayer.lastReportAt = now;
+
+  const report = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    reporterEmail: currentPlayer.email,
+    reporterName: currentPlayer.name,
+    reportedEmail: reported.senderEmail,
+    reportedName: reported.from,
+    reason: typeof reason === 'string' ? reason.slice(0, 200) : '',
+    channel,
+    messageId,
+    context: history.slice(Math.max(0, index - CHAT_REPORT_CONTEXT), index + CHAT_REPORT_CONTEXT + 1)
+  };
+
+  try {
+    await store.put('reports', report.id, report);
+  } catch (err) {
+    console.error(`❌ Failed to save chat report from ${currentPlayer.email}:`, err);
+    return fail('Could not send your report. Please try again.');
+  }
+
+  socket.emit('chat:reported', { messageId });
+  for (const player of players.values()) {
+    if (!player.isGm) continue;
+    io.to(player.socketId).emit('gm:report', {
+      id: report.id,
+      reporter: report.reporterName,
+      reported: report.reportedName,
+      message: reported.message,
+      reason: report.reason
+    });
+  }
+  console.log(`🚩 ${report.reporterName} reported ${report.reportedName} (${report.id})`);
+});
+
+
+onEvent('player:allocateStat', ({ stat, points }) => {
+  if (!currentPlayer || !STAT_NAMES.includes(stat)) return;
+  if (!Number.isInteger(points) || points <= 0 || currentPlayer.statPointsAvailable < points) return;
+
+  // Allocate points
+  currentPlayer.stats[stat] += points;
+  currentPlayer.statPointsAvailable -= points;
+
+  // Recalculate stats including equipment
+  recalcPlayerWithEquipment(currentPlayer);
+
+  // Keep current HP within max HP
+  currentPlayer.hp = Math.min(currentPlayer.hp, currentPlayer.maxHp);
+
+  // Send updated stats to client
+  io.to(currentPlayer.socketId).emit('player:statsUpdated', {
+    stats: currentPlayer.stats,
+    statPointsAvailable: currentPlayer.statPointsAvailable,
+    ...getCombatStats(currentPlayer)
+  });
+});
+
+// ------------------ EQUIP / UNEQUIP ------------------
+onEvent('player:equip', ({ itemId }) => {
+  if (!currentPlayer || currentPlayer.isDead) return;
+
+  const index = currentPlayer.inventory.indexOf(itemId);
+  if (index === -1) {
+    socket.emit('player:equipError', { message: 'That item is not in your inventory.' });
+    return;
+  }
+
+  const item = ITEM_CATALOG[itemId];
+  const error = checkEquipRequirements(currentPlayer, item);
+  if (error) {
+    socket.emit('player:equipError', { message: error });
+    return;
+  }
+
+  // Swap: the new item leaves the inventory, whatever was in the slot goes back
+  const previous = currentPlayer.equipment[item.slot];
+  currentPlayer.inventory.splice(index, 1);
+  if (previous) currentPlayer.inventory.push(previous);
+  currentPlayer.equipment[item.slot] = itemId;
+
+  syncEquipment(currentPlayer);
+});
+
+onEvent('player:unequip', ({ slot }) => {
+  if (!currentPlayer || currentPlayer.isDead) return;
+
+  const itemId = currentPlayer.equipment[slot];
+  if (!EQUIPMENT_SLOTS.includes(slot) || !itemId) {
+    socket.emit('player:equipError', { message: 'Nothing is equipped in that slot.' });
+    return;
+  }
+
+  delete currentPlayer.equipment[slot];
+  currentPlayer.inventory.push(itemId);
+
+  syncEquipment(currentPlayer);
+});
+
+// ------------------ PvP ATTACK ------------------
+onEvent('player:pvpAttack', (data) => {
+  if (!currentPlayer || currentPlayer.isDead) return;
+
+  const { targetEmail } = data;
+  const now = Date.now();
+
+  const target = players.get(targetEmail);
+  if (!target || target.isDead) return;
+  
+  // Arena free-for-all, duel partners or ranked opponents only
+  if (!canPlayersFight(currentPlayer, target)) return;
+
+  // Cooldown & reach
+  if (checkPlayerAttack(currentPlayer, target.x, target.y, now)) return;
+  currentPlayer.lastAttackTime = now;
+
+  // ------------------ Calculate & apply damage ------------------
+  const hit = rollPlayerDamage(currentPlayer, target.level);
+  damagePlayerPvP(target, currentPlayer, hit);
+
+  // Notify attacker
+  io.to(currentPlayer.socketId).emit('player:attackResult', {
+    target: targetEmail,
+    damage: hit.damage,
+    isCrit: hit.isCrit,
+    isMiss: hit.isMiss,
+    targetHp: target.hp
+  });
+
+  // Optional: notify nearby players via AOI (throttle if needed)
+  // broadcastToAOI(currentPlayer.email, currentPlayer.x, currentPlayer.y, currentPlayer.map, 'player:pvpHit', {
+  //   attacker: currentPlayer.email,
+  //   target: targetEmail,
+  //   damage
+  // });
+});
+
+
+
+
+
+  // ------------------ PLAYER ATTACKS MONSTER ------------------
+onEvent('monster:hit', (data) => {
+  if (!currentPlayer || currentPlayer.isDead) return;
+
+  // Any client-sent damage is ignored, the server rolls its own
+  const { monsterId } = data;
+  const now = Date.now();
+  const monster = monsters.get(monsterId);
+
+  if (!monster || monster.mapId !== currentPlayer.map || monster.hp <= 0) {
+    socket.emit('monster:hitRejected', { monsterId, reason: 'invalidTarget' });
+    return;
+  }
+
+  // ---- COOLDOWN & RANGE ----
+  const rejection = checkPlayerAttack(currentPlayer, monster.x, monster.y, now);
+  if (rejection) {
+    socket.emit('monster:hitRejected', { monsterId, reason: rejection });
+    return;
+  }
+  currentPlayer.lastAttackTime = now;
+
+  // ---- APPLY DAMAGE (SERVER AUTHORITATIVE) ----
+  damageMonster(monster, currentPlayer, rollPlayerDamage(currentPlayer, monster.level));
+});
+
+
+// ------------------ PLAYER MOVEMENT ------------------
+  onEvent('player:move', (data) => {
+    if (!currentPlayer) return;
+    const { position, direction, state } = data;
+    const now = Date.now();
+
+    // Dead players stay where the server put them
+    if (currentPlayer.isDead) {
+      sendPositionCorrection(currentPlayer, 'dead');
+      return;
+    }
+    // Ranked fighters hold their start positions until the round goes live
+    if (rankedMatches.get(currentPlayer.matchId)?.state === 'countdown') {
+      sendPositionCorrection(currentPlayer, 'frozen');
+      return;
+    }
+    if (now - currentPlayer.lastUpdate < 40) return;
+    if (!Number.isFinite(position?.x) || !Number.isFinite(position?.y)) return;
+
+    const target = clampToMapBounds(currentPlayer.map, position.x, position.y);
+
+    // ---- SPEED CHECK ----
+    // Elapsed time earns a movement budget (capped) that displacement spends,
+    // so bursty packets from a laggy client pass but teleports don't
+    const pxPerMs = PLAYER_BASE_SPEED * currentPlayer.speed * MOVE_TOLERANCE;
+    const elapsed = now - currentPlayer.lastUpdate;
+    const budget = Math.min((currentPlayer.moveBudget || 0) + elapsed * pxPerMs, MOVE_BUDGET_MAX * pxPerMs);
+    const distance = getDistance(currentPlayer.x, currentPlayer.y, target.x, target.y);
+    currentPlayer.lastUpdate = now;
+
+    if (distance > budget + MOVE_SLACK) {
+      currentPlayer.moveBudget = budget;
+      sendPositionCorrection(currentPlayer, 'speed');
+      return;
+    }
+
+    // ---- COLLISION ----
+    if (!isPathClear(currentPlayer.map, currentPlayer.x, currentPlayer.y, target.x, target.y)) {
+      sendPositionCorrection(currentPlayer, 'blocked');
+      return;
+    }
+
+    currentPlayer.moveBudget = Math.max(0, budget - distance);
+    currentPlayer.x = target.x;
+    currentPlayer.y = target.y;
+    trackPlayer(currentPlayer);
+    currentPlayer.direction = direction;
+    currentPlayer.state = state;
+
+    // Client tried to walk off the map edge
+    if (target.x !== position.x || target.y !== position.y) {
+      sendPositionCorrection(currentPlayer, 'bounds');
+    }
+  });
+
+  // ------------------ PLAYER ATTACK ------------------
+  onEvent('player:attack', (data) => {
+    if (!currentPlayer || currentPlayer.isDead) return;
+    const { damage } = data;
+    broadcastToAOI(
+      currentPlayer.email,
+      currentPlayer.x,
+      currentPlayer.y,
+      currentPlayer.map,
+      'player:attacked',
+      {
+        email: currentPlayer.email,
+        position: { x: currentPlayer.x, y: currentPlayer.y },
+        direction: currentPlayer.direction,
+        damage
+      }
+    );
+  });
+
+// ------------------ PLAYER GETS HIT ------------------
+onEvent('player:hit', (data) => {
+  if (!currentPlayer || currentPlayer.isDead) return;
+
+  // Client-reported damage only ever hurts the reporter. Player vs player damage
+  // is rolled by the server (player:pvpAttack, skills), so a named attacker here
+  // is never trusted and the hit is refused.
+  const { damage, attackerEmail } = data;
+  if (typeof damage !== 'number' || !Number.isFinite(damage) || damage <= 0) return;
+  if (attackerEmail && players.has(attackerEmail)) {
+    io.to(currentPlayer.socketId).emit('player:hitDenied', {
+      message: 'Player damage is resolved by the server.'
+    });
+    return;
+  }
+
+  // Reduce HP safely
+  currentPlayer.hp = Math.max(0, currentPlayer.hp - damage);
+
+  // Notify this player of damage
+  io.to(currentPlayer.socketId).emit('player:hpChanged', {
+    hp: currentPlayer.hp,
+    maxHp: currentPlayer.maxHp,
+    damage,
+    attacker: null
+  });
+
+  // Broadcast to nearby players so they can show hit effect
+  broadcastToAOI(
+    currentPlayer.email,
+    currentPlayer.x,
+    currentPlayer.y,
+    currentPlayer.map,
+    'player:damaged',
+    {
+      email: currentPlayer.email,
+      damage,
+      attacker: null
+    }
+  );
+
+  // Check for death: same outcomes as server-resolved damage, minus any kill credit
+  if (currentPlayer.hp <= 0) {
+    if (currentPlayer.duelId || currentPlayer.matchId || currentPlayer.map === 'pvp_arena') {
+      recordPvPDeath(currentPlayer);
+      resolvePvPDefeat(currentPlayer);
+    } else {
+      handlePlayerDeath(currentPlayer);
+    }
+  }
+});
+
+
+  // ------------------ PLAYER SKILL ------------------
+  // data: { targetId } for single-target skills, { x, y } aim point for everything else
+  onEvent('player:skill', ({ skillType, data }) => {
+    if (!currentPlayer || currentPlayer.isDead) return;
+    const now = Date.now();
+    const skillData = data || {};
+    const skill = SKILLS[currentPlayer.character_class]?.[skillType];
+    const reject = (reason) => socket.emit('player:skillRejected', { skillType, reason });
+
+    // ---- VALIDATION ----
+    if (!skill) return reject('unknownSkill');
+    if (currentPlayer.level < skill.levelReq) return reject('levelTooLow');
+    if (currentPlayer.castingSkill) return reject('alreadyCasting');
+    if ((currentPlayer.skillCooldowns[skillType] || 0) > now) return reject('cooldown');
+    if (currentPlayer.mana < skill.manaCost) return reject('notEnoughMana');
+
+    const aimX = Number.isFinite(skillData.x) ? skillData.x : currentPlayer.x;
+    const aimY = Number.isFinite(skillData.y) ? skillData.y : currentPlayer.y;
+    if (skill.range && skill.shape !== 'single' &&
+        getDistance(currentPlayer.x, currentPlayer.y, aimX, aimY) > skill.range + SKILL_RANGE_SLACK) {
+      return reject('outOfRange');
+    }
+
+    // ---- PAY COST & START COOLDOWN ----
+    currentPlayer.mana -= skill.manaCost;
+    currentPlayer.skillCooldowns[skillType] = now + skill.cooldown;
+
+    const cast = {
+      originX: currentPlayer.x,
+      originY: currentPlayer.y,
+      aimX,
+      aimY,
+      targetId: skillData.targetId,
+      mapId: currentPlayer.map
+    };
+
+    socket.emit('player:skillStarted', {
+      skillType,
+      castTime: skill.castTime,
+      cooldownUntil: currentPlayer.skillCooldowns[skillType],
+      mana: currentPlayer.mana,
+      maxMana: currentPlayer.maxMana
+    });
+
+    broadcastToAOI(
+      currentPlayer.email,
+      currentPlayer.x,
+      currentPlayer.y,
+      currentPlayer.map,
+      'player:skill',
+      {
+        email: currentPlayer.email,
+        skillType,
+        position: { x: currentPlayer.x, y: currentPlayer.y },
+        direction: currentPlayer.direction,
+        castTime: skill.castTime,
+        data: { x: aimX, y: aimY, targetId: skillData.targetId }
       }
     );
+
+    // ---- RESOLVE (after cast time) ----
+    const caster = currentPlayer;
+    const finishCast = () => {
+      if (caster.castingSkill !== cast) return;
+      caster.castingSkill = null;
+      // Interrupted by death, map change or disconnect
+      if (caster.isDead || caster.map !== cast.mapId || !players.has(caster.email)) return;
+      // Self-centred skills follow the caster
+      cast.originX = caster.x;
+      cast.originY = caster.y;
+      resolveSkill(caster, skillType, skill, cast);
+    };
+
+    caster.castingSkill = cast;
+    if (skill.castTime > 0) setTimeout(finishCast, skill.castTime);
+    else finishCast();
+  });
+
+// ------------------ DROP PICKUP ------------------
+onEvent('drop:pickup', ({ dropId }) => {
+  if (!currentPlayer || currentPlayer.isDead) return;
+
+  const now = Date.now();
+  const drop = mapDrops.get(currentPlayer.map)?.get(dropId);
+  const reject = (reason) => socket.emit('drop:pickupRejected', { dropId, reason });
+
+  if (!drop) return reject('notFound');
+  if (now < drop.ownerUntil && !drop.owners.includes(currentPlayer.email)) return reject('notOwner');
+  if (getDistance(currentPlayer.x, currentPlayer.y, drop.x, drop.y) > DROP_PICKUP_RANGE) return reject('outOfRange');
+
+  // Remove before crediting: the first valid pickup wins, every later one gets notFound
+  removeDrop(drop);
+
+  if (drop.type === 'bcoins') {
+    creditBcoins(currentPlayer, drop.amount, 'pickup', { dropId });
+  } else {
+    currentPlayer.inventory.push(drop.itemName);
+    socket.emit('player:inventoryUpdated', { inventory: currentPlayer.inventory });
+    syncCollectObjectives(currentPlayer);
+  }
+
+  broadcastToMap(currentPlayer.map, 'drop:pickup', { dropId, email: currentPlayer.email });
+});
+
+
+  // ------------------ CHANGE MAP ------------------
+onEvent('player:changeMap', (data) => {
+  if (!currentPlayer) return;
+  const { map } = data;
+
+  // Check if map exists
+  const targetMap = MAPS[map];
+  if (!targetMap) {
+    io.to(currentPlayer.socketId).emit('player:mapError', { message: 'Map does not exist.' });
+    return;
   }
-}, 50);
 
+  // Enforce minLevel if defined
+  if (targetMap.minLevel && currentPlayer.level < targetMap.minLevel) {
+    io.to(currentPlayer.socketId).emit('player:mapError', { 
+      message: `You need to be level ${targetMap.minLevel}+ to enter this map.` 
+    });
+    return;
+  }
 
-// Monster state sync (MAP-AWARE & SAFE)
-setInterval(() => {
-  for (const [monsterId, monster] of monsters.entries()) {
-    if (monster.hp <= 0) continue;
+  if (currentPlayer.matchId) {
+    io.to(currentPlayer.socketId).emit('player:mapError', { message: 'Forfeit your ranked match before leaving the arena.' });
+    return;
+  }
 
-    // 🔥 DO NOT broadcast if map has no players
-    const playersInMap = mapPlayers.get(monster.mapId);
-    if (!playersInMap || playersInMap.size === 0) continue;
+  const position = resolveEntryPosition(map, data.position?.x, data.position?.y);
+  movePlayerToMap(currentPlayer, map, position);
+});
 
-    broadcastToMap(monster.mapId, 'monster:update', {
-      id: monsterId,
-      type: monster.type,
-      mapId: monster.mapId,
-      x: monster.x,
-      y: monster.y,
-      direction: monster.direction,
-      state: monster.state,
-      hp: monster.hp,
-      maxHp: monster.maxHp,
-      target: monster.target
+
+  // ------------------ PARTY ------------------
+  onEvent('party:invite', ({ targetEmail }) => {
+    if (!currentPlayer) return;
+    const party = getParty(currentPlayer);
+    const target = players.get(targetEmail);
+    const fail = (message) => socket.emit('party:error', { message });
+
+    if (!target || target === currentPlayer) return fail('Player not found.');
+    if (target.partyId) return fail(`${target.name} is already in a party.`);
+    if (party && party.leader !== currentPlayer.email) return fail('Only the party leader can invite.');
+    if (party && party.members.length >= PARTY_MAX_SIZE) return fail('Your party is full.');
+
+    if (!partyInvites.has(target.email)) partyInvites.set(target.email, new Map());
+    partyInvites.get(target.email).set(currentPlayer.email, Date.now() + PARTY_INVITE_TTL);
+
+    io.to(target.socketId).emit('party:invited', {
+      fromEmail: currentPlayer.email,
+      fromName: currentPlayer.name,
+      expiresIn: PARTY_INVITE_TTL
     });
-  }
-}, 100); // 🔥 Slower = safer (10 updates/sec)
+  });
 
-// ------------------ REALTIME CHAT ------------------
-const CHAT_COOLDOWN = 5000; // 5 seconds between messages per player
+  onEvent('party:accept', ({ fromEmail }) => {
+    if (!currentPlayer) return;
+    const invites = partyInvites.get(currentPlayer.email);
+    const expiresAt = invites?.get(fromEmail);
+    invites?.delete(fromEmail);
+    const fail = (message) => socket.emit('party:error', { message });
 
-// ------------------ Socket.IO Events ------------------
-io.on('connection', (socket) => {
-  console.log('Player connected:', socket.id);
-  let currentPlayer = null;
+    if (!expiresAt || expiresAt < Date.now()) return fail('That invite has expired.');
+    if (currentPlayer.partyId) return fail('You are already in a party.');
 
- // ------------------ PLAYER JOIN ------------------
-socket.on('player:join', (data) => {
-  const { email, name, character_class, level, xp, position, map } = data;
+    const inviter = players.get(fromEmail);
+    if (!inviter) return fail('The inviter is no longer online.');
 
-  // ================= REJOIN / RECONNECT GUARD =================
-  if (players.has(email)) {
-    currentPlayer = players.get(email);
+    // The inviter may have joined someone else's party or lost leadership since inviting
+    const party = getParty(inviter) || createParty(inviter);
+    if (party.leader !== inviter.email) return fail('That invite is no longer valid.');
+    if (party.members.length >= PARTY_MAX_SIZE) return fail('That party is full.');
 
-    // Update socket & live data
-    currentPlayer.socketId = socket.id;
-    currentPlayer.x = position.x;
-    currentPlayer.y = position.y;
-    currentPlayer.map = map;
-    currentPlayer.lastUpdate = Date.now();
+    party.members.push(currentPlayer.email);
+    currentPlayer.partyId = party.id;
+    partyInvites.delete(currentPlayer.email);
 
-    // Recalculate stats with equipment
-    recalcPlayerWithEquipment(currentPlayer);
+    emitToParty(party, 'party:memberJoined', { email: currentPlayer.email, name: currentPlayer.name });
+    emitPartyUpdated(party);
+  });
 
-    // Ensure map registration
-    if (!mapPlayers.has(map)) mapPlayers.set(map, new Set());
-    mapPlayers.get(map).add(email);
+  onEvent('party:decline', ({ fromEmail }) => {
+    if (!currentPlayer) return;
+    partyInvites.get(currentPlayer.email)?.delete(fromEmail);
+    const inviter = players.get(fromEmail);
+    if (inviter) io.to(inviter.socketId).emit('party:declined', { email: currentPlayer.email, name: currentPlayer.name });
+  });
 
-    console.log(`🔁 Player ${email} rejoined map ${map} with XP ${currentPlayer.xp}`);
+  socket.on('party:leave', () => {
+    if (!currentPlayer) return;
+    leaveParty(currentPlayer, 'left');
+  });
 
-    // ------------------ RESYNC XP ------------------
-    socket.emit('player:xpUpdated', {
-      xp: currentPlayer.xp,
-      level: currentPlayer.level,
-      xpToLevel: currentPlayer.level * 100
-    });
+  onEvent('party:kick', ({ targetEmail }) => {
+    if (!currentPlayer) return;
+    const party = getParty(currentPlayer);
+    if (!party || party.leader !== currentPlayer.email) {
+      socket.emit('party:error', { message: 'Only the party leader can kick.' });
+      return;
+    }
 
-    // ------------------ RESYNC FULL STATS ------------------
-    socket.emit('player:statsInitialized', {
-      stats: currentPlayer.stats,
-      statPointsAvailable: currentPlayer.statPointsAvailable,
-      hp: currentPlayer.hp,
-      maxHp: currentPlayer.maxHp,
-      attack: currentPlayer.attack,
-      speed: currentPlayer.speed
-    });
+    const target = players.get(targetEmail);
+    if (!target || target.partyId !== party.id || target === currentPlayer) return;
+    leaveParty(target, 'kicked');
+  });
 
-    // ------------------ MONSTERS ------------------
-    spawnMonsters(map);
-    const monstersInMap = mapMonsters.get(map) || new Set();
-    for (const monsterId of monstersInMap) {
-      const m = monsters.get(monsterId);
-      if (m && m.hp > 0) {
-        socket.emit('monster:spawn', {
-          id: m.id,
-          type: m.type,
-          mapId: m.mapId,
-          x: m.x,
-          y: m.y,
-          hp: m.hp,
-          maxHp: m.maxHp,
-          direction: m.direction,
-          state: m.state,
-          spawnX: m.spawnX,
-          spawnY: m.spawnY,
-          target: m.target
-        });
-      }
+  onEvent('party:setLootMode', ({ mode }) => {
+    if (!currentPlayer) return;
+    const party = getParty(currentPlayer);
+    if (!party || party.leader !== currentPlayer.email) {
+      socket.emit('party:error', { message: 'Only the party leader can change the loot mode.' });
+      return;
+    }
+    if (!PARTY_LOOT_MODES.includes(mode)) {
+      socket.emit('party:error', { message: `Loot mode must be one of: ${PARTY_LOOT_MODES.join(', ')}.` });
+      return;
     }
 
-    // ------------------ NEARBY PLAYERS ------------------
-    const nearby = getPlayersInAOI(email, position.x, position.y, map);
-    nearby.forEach(p => socket.emit('player:joined', p));
+    party.lootMode = mode;
+    emitPartyUpdated(party);
+  });
 
-    return; // 🔥 IMPORTANT: STOP HERE
-  }
+  // ------------------ GUILD ------------------
+  onEvent('guild:create', ({ name, tag }) => {
+    if (!currentPlayer) return;
+    const fail = (message) => socket.emit('guild:error', { message });
 
-  // ================= FIRST TIME JOIN =================
-  const baseStats = calculatePlayerStats({ character_class, level });
+    if (getGuildOf(currentPlayer.email)) return fail('You are already in a guild.');
+    if (typeof name !== 'string' || !GUILD_NAME_PATTERN.test(name.trim())) {
+      return fail('Guild names are 3-20 letters, numbers or spaces.');
+    }
+    if (typeof tag !== 'string' || !GUILD_TAG_PATTERN.test(tag)) return fail('Guild tags are 2-5 uppercase letters or numbers.');
 
-  currentPlayer = {
-    email,
-    name,
-    character_class,
-    level,
-    xp: xp ?? 0,
-    x: position.x,
-    y: position.y,
-    direction: 'front',
-    state: 'idle',
-    map,
-    socketId: socket.id,
-    lastUpdate: Date.now(),
-    hp: baseStats.maxHp,
-    maxHp: baseStats.maxHp,
-    attack: baseStats.attack,
-    speed: 1, // default speed
-    isDead: false,
-    inventory: [],
-    statPointsAvailable: 5,
-    stats: { STR: 1, AGI: 1, VIT: 1, INT: 1, DEX: 1, LUCK: 1 },
-    lastAttackTime: 0,
-    equipment: {} // initialize equipment
-  };
+    const guildName = name.trim();
+    for (const guild of guilds.values()) {
+      if (guild.name.toLowerCase() === guildName.toLowerCase()) return fail('That guild name is taken.');
+      if (guild.tag === tag) return fail('That guild tag is taken.');
+    }
 
-  players.set(email, currentPlayer);
+    if (!debitBcoins(currentPlayer, GUILD_CREATE_COST, 'guild:create', { name: guildName })) {
+      return fail(`Creating a guild costs ${GUILD_CREATE_COST} bcoins.`);
+    }
 
-  // Apply equipment bonuses
-  recalcPlayerWithEquipment(currentPlayer);
+    const guild = {
+      id: `guild_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: guildName,
+      tag,
+      leader: currentPlayer.email,
+      members: {
+        [currentPlayer.email]: { name: currentPlayer.name, rank: 'leader', joinedAt: Date.now() }
+      },
+      createdAt: Date.now()
+    };
 
-  // ------------------ MAP REGISTRATION ------------------
-  if (!mapPlayers.has(map)) mapPlayers.set(map, new Set());
-  mapPlayers.get(map).add(email);
+    guilds.set(guild.id, guild);
+    guildByMember.set(currentPlayer.email, guild.id);
+    saveGuild(guild);
 
-  console.log(`🆕 Player ${name} joined map ${map}`);
+    console.log(`🏰 Guild [${tag}] ${guildName} created by ${currentPlayer.name}`);
+    socket.emit('guild:roster', getGuildRoster(guild));
+  });
 
-  // ------------------ XP INIT ------------------
-  socket.emit('player:xpUpdated', {
-    xp: currentPlayer.xp,
-    level: currentPlayer.level,
-    xpToLevel: currentPlayer.level * 100
+  socket.on('guild:disband', () => {
+    if (!currentPlayer) return;
+    const guild = getGuildOf(currentPlayer.email);
+    if (!guild || guild.leader !== currentPlayer.email) {
+      socket.emit('guild:error', { message: 'Only the guild leader can disband the guild.' });
+      return;
+    }
+    disbandGuild(guild);
   });
 
-  // ------------------ STATS INIT (FULL) ------------------
-  socket.emit('player:statsInitialized', {
-    stats: currentPlayer.stats,
-    statPointsAvailable: currentPlayer.statPointsAvailable,
-    hp: currentPlayer.hp,
-    maxHp: currentPlayer.maxHp,
-    attack: currentPlayer.attack,
-    speed: currentPlayer.speed
+  onEvent('guild:invite', ({ targetEmail }) => {
+    if (!currentPlayer) return;
+    const guild = getGuildOf(currentPlayer.email);
+    const target = players.get(targetEmail);
+    const fail = (message) => socket.emit('guild:error', { message });
+
+    if (!guild || !hasGuildPermission(guild, currentPlayer.email, 'invite')) return fail('You cannot invite to a guild.');
+    if (!target) return fail('Player not found.');
+    if (getGuildOf(target.email)) return fail(`${target.name} is already in a guild.`);
+
+    if (!guildInvites.has(target.email)) guildInvites.set(target.email, new Map());
+    guildInvites.get(target.email).set(guild.id, Date.now() + GUILD_INVITE_TTL);
+
+    io.to(target.socketId).emit('guild:invited', {
+      guildId: guild.id,
+      name: guild.name,
+      tag: guild.tag,
+      fromName: currentPlayer.name,
+      expiresIn: GUILD_INVITE_TTL
+    });
   });
 
-  // ------------------ MONSTERS ------------------
-  spawnMonsters(map);
-  const monstersInMap = mapMonsters.get(map) || new Set();
-  for (const monsterId of monstersInMap) {
-    const m = monsters.get(monsterId);
-    if (m && m.hp > 0) {
-      socket.emit('monster:spawn', {
-        id: m.id,
-        type: m.type,
-        mapId: m.mapId,
-        x: m.x,
-        y: m.y,
-        hp: m.hp,
-        maxHp: m.maxHp,
-        direction: m.direction,
-        state: m.state,
-        spawnX: m.spawnX,
-        spawnY: m.spawnY,
-        target: m.target
-      });
-    }
-  }
+  onEvent('guild:accept', ({ guildId }) => {
+    if (!currentPlayer) return;
+    const invites = guildInvites.get(currentPlayer.email);
+    const expiresAt = invites?.get(guildId);
+    const guild = guilds.get(guildId);
+    const fail = (message) => socket.emit('guild:error', { message });
 
-  // ------------------ NEARBY PLAYERS ------------------
-  const nearby = getPlayersInAOI(email, position.x, position.y, map);
-  nearby.forEach(p => socket.emit('player:joined', p));
+    if (!guild || !expiresAt || expiresAt < Date.now()) return fail('That invite has expired.');
+    if (getGuildOf(currentPlayer.email)) return fail('You are already in a guild.');
 
-  // Notify others
-  broadcastToAOI(email, position.x, position.y, map, 'player:joined', {
-    email,
-    name,
-    character_class,
-    level,
-    position,
-    direction: 'front',
-    state: 'idle'
+    guild.members[currentPlayer.email] = { name: currentPlayer.name, rank: 'recruit', joinedAt: Date.now() };
+    guildByMember.set(currentPlayer.email, guild.id);
+    guildInvites.delete(currentPlayer.email);
+    saveGuild(guild);
+
+    emitToGuild(guild, 'guild:memberJoined', { email: currentPlayer.email, name: currentPlayer.name });
+    socket.emit('guild:roster', getGuildRoster(guild));
   });
-});
 
-socket.on('player:sendChat', (data) => {
-  if (!currentPlayer) return;
-  const now = Date.now();
-  const { message, type, targetEmail } = data;
-  const msg = message?.trim();
-  if (!msg || msg.length > 200) return; // optional max length
+  socket.on('guild:leave', () => {
+    if (!currentPlayer) return;
+    const guild = getGuildOf(currentPlayer.email);
+    if (!guild) return;
 
-  // Initialize per-type cooldown
-  if (!currentPlayer.lastChat) currentPlayer.lastChat = {};
-  if (!currentPlayer.lastChat[type]) currentPlayer.lastChat[type] = 0;
+    if (guild.leader === currentPlayer.email) {
+      if (Object.keys(guild.members).length > 1) {
+        socket.emit('guild:error', { message: 'Promote a new leader before leaving, or disband the guild.' });
+        return;
+      }
+      disbandGuild(guild);
+      return;
+    }
+    removeGuildMember(guild, currentPlayer.email, 'left');
+  });
 
-  if (now - currentPlayer.lastChat[type] < CHAT_COOLDOWN) {
-    socket.emit('chat:spamBlocked', {
-      message: `You are sending ${type || 'map'} messages too quickly. Please wait a moment.`
-    });
-    return;
-  }
+  // Works on offline members too, membership lives in the guild record
+  onEvent('guild:kick', ({ targetEmail }) => {
+    if (!currentPlayer) return;
+    const guild = getGuildOf(currentPlayer.email);
+    const fail = (message) => socket.emit('guild:error', { message });
 
-  currentPlayer.lastChat[type] = now;
+    if (!guild || !hasGuildPermission(guild, currentPlayer.email, 'kick')) return fail('You cannot kick guild members.');
+    if (!guild.members[targetEmail] || targetEmail === currentPlayer.email) return fail('That player is not in your guild.');
+    if (!outranks(guild, currentPlayer.email, targetEmail)) return fail('You can only kick members ranked below you.');
 
-  let recipients = [];
+    removeGuildMember(guild, targetEmail, 'kicked');
+  });
 
-  switch (type) {
-    case 'private':
-      if (!targetEmail) return;
-      const target = players.get(targetEmail);
-      if (!target || !target.socketId) return;
-      // send to both sender and target
-      recipients.push(target.socketId, currentPlayer.socketId);
-      break;
+  // Setting someone to 'leader' hands over leadership, the old leader becomes an officer
+  onEvent('guild:setRank', ({ targetEmail, rank }) => {
+    if (!currentPlayer) return;
+    const guild = getGuildOf(currentPlayer.email);
+    const fail = (message) => socket.emit('guild:error', { message });
 
-    case 'global':
-      // send to everyone online
-      recipients = Array.from(players.values())
-        .filter(p => p.socketId)
-        .map(p => p.socketId);
-      break;
+    if (!guild || !hasGuildPermission(guild, currentPlayer.email, 'promote')) return fail('You cannot change guild ranks.');
+    if (!guild.members[targetEmail] || targetEmail === currentPlayer.email) return fail('That player is not in your guild.');
+    if (!GUILD_RANKS[rank]) return fail(`Rank must be one of: ${Object.keys(GUILD_RANKS).join(', ')}.`);
 
-    case 'town':
-      // only allow if current map is a town (safeZone)
-      if (!MAPS[currentPlayer.map]?.safeZone) {
-        socket.emit('chat:error', { message: 'You are not in a town map.' });
-        return;
-      }
-      recipients = Array.from(mapPlayers.get(currentPlayer.map) || [])
-        .map(email => players.get(email))
-        .filter(p => p?.socketId)
-        .map(p => p.socketId);
-      break;
+    if (rank === 'leader') {
+      guild.members[currentPlayer.email].rank = 'officer';
+      guild.leader = targetEmail;
+    }
+    guild.members[targetEmail].rank = rank;
+    saveGuild(guild);
 
-    case 'map':
-      // all players in current map
-      recipients = Array.from(mapPlayers.get(currentPlayer.map) || [])
-        .map(email => players.get(email))
-        .filter(p => p?.socketId)
-        .map(p => p.socketId);
-      break;
+    emitToGuild(guild, 'guild:rankChanged', { email: targetEmail, name: guild.members[targetEmail].name, rank });
+  });
 
-    default:
-      socket.emit('chat:error', { message: 'Invalid chat type.' });
+  socket.on('guild:roster', () => {
+    if (!currentPlayer) return;
+    const guild = getGuildOf(currentPlayer.email);
+    if (!guild) {
+      socket.emit('guild:error', { message: 'You are not in a guild.' });
       return;
-  }
+    }
+    socket.emit('guild:roster', getGuildRoster(guild));
+  });
 
-  // Broadcast message to recipients
-  for (const socketId of recipients) {
-    io.to(socketId).emit('chat:message', {
-      from: currentPlayer.name,
-      message: msg,
-      type,
-      timestamp: now,
-      senderEmail: currentPlayer.email
-    });
-  }
-});
+  // ------------------ TRADE ------------------
+  onEvent('trade:request', ({ targetEmail }) => {
+    if (!currentPlayer) return;
+    const target = players.get(targetEmail);
+    const fail = (message) => socket.emit('trade:error', { message });
 
+    if (!target || target === currentPlayer) return fail('Player not found.');
+    if (getTrade(currentPlayer)) return fail('You are already trading.');
+    if (getTrade(target)) return fail(`${target.name} is already trading.`);
+    if (!inTradeRange(currentPlayer, target)) return fail('You are too far away to trade.');
 
-socket.on('player:allocateStat', ({ stat, points }) => {
-  if (!currentPlayer || currentPlayer.statPointsAvailable < points) return;
-  if (!currentPlayer.stats.hasOwnProperty(stat)) return;
+    if (!tradeRequests.has(target.email)) tradeRequests.set(target.email, new Map());
+    tradeRequests.get(target.email).set(currentPlayer.email, Date.now() + TRADE_REQUEST_TTL);
 
-  // Allocate points
-  currentPlayer.stats[stat] += points;
-  currentPlayer.statPointsAvailable -= points;
+    io.to(target.socketId).emit('trade:requested', {
+      fromEmail: currentPlayer.email,
+      fromName: currentPlayer.name,
+      expiresIn: TRADE_REQUEST_TTL
+    });
+  });
 
-  // Recalculate stats including equipment
-  recalcPlayerWithEquipment(currentPlayer);
+  onEvent('trade:accept', ({ fromEmail }) => {
+    if (!currentPlayer) return;
+    const requests = tradeRequests.get(currentPlayer.email);
+    const expiresAt = requests?.get(fromEmail);
+    requests?.delete(fromEmail);
+    const requester = players.get(fromEmail);
+    const fail = (message) => socket.emit('trade:error', { message });
+
+    if (!expiresAt || expiresAt < Date.now() || !requester) return fail('That trade request has expired.');
+    if (getTrade(currentPlayer) || getTrade(requester)) return fail('One of you is already trading.');
+    if (!inTradeRange(currentPlayer, requester)) return fail('You are too far away to trade.');
+
+    const trade = openTrade(requester, currentPlayer);
+    emitToTrade(trade, 'trade:opened', { tradeId: trade.id });
+    emitTradeUpdated(trade);
+  });
 
-  // Keep current HP within max HP
-  currentPlayer.hp = Math.min(currentPlayer.hp, currentPlayer.maxHp);
+  onEvent('trade:decline', ({ fromEmail }) => {
+    if (!currentPlayer) return;
+    tradeRequests.get(currentPlayer.email)?.delete(fromEmail);
+    const requester = players.get(fromEmail);
+    if (requester) io.to(requester.socketId).emit('trade:declined', { email: currentPlayer.email, name: currentPlayer.name });
+  });
 
-  // Send updated stats to client
-  io.to(currentPlayer.socketId).emit('player:statsUpdated', {
-    stats: currentPlayer.stats,
-    statPointsAvailable: currentPlayer.statPointsAvailable,
-    hp: currentPlayer.hp,
-    maxHp: currentPlayer.maxHp,
-    attack: currentPlayer.attack,
-    speed: currentPlayer.speed
+  // Replaces this side's whole offer; any change unlocks both sides so nobody
+  // confirms a deal they haven't seen
+  onEvent('trade:offer', ({ items = [], bcoins = 0 }) => {
+    if (!currentPlayer) return;
+    const trade = getTrade(currentPlayer);
+    const fail = (message) => socket.emit('trade:error', { message });
+
+    if (!trade) return fail('You are not trading.');
+    if (trade.sides[currentPlayer.email].locked) return fail('Your offer is locked.');
+    if (!Array.isArray(items) || items.length > TRADE_MAX_ITEMS || !items.every(i => typeof i === 'string')) {
+      return fail(`You can offer up to ${TRADE_MAX_ITEMS} items.`);
+    }
+    if (!Number.isInteger(bcoins) || bcoins < 0) return fail('Invalid bcoins amount.');
+    if (!hasItems(currentPlayer.inventory, items)) return fail('You do not have those items.');
+    if (bcoins > currentPlayer.bcoins) return fail('You do not have enough bcoins.');
+
+    trade.sides[currentPlayer.email].items = items;
+    trade.sides[currentPlayer.email].bcoins = bcoins;
+    for (const side of Object.values(trade.sides)) {
+      side.locked = false;
+      side.confirmed = false;
+    }
+    emitTradeUpdated(trade);
   });
-});
 
-// ------------------ PvP ATTACK ------------------
-socket.on('player:pvpAttack', (data) => {
-  if (!currentPlayer || currentPlayer.isDead) return;
+  socket.on('trade:lock', () => {
+    if (!currentPlayer) return;
+    const trade = getTrade(currentPlayer);
+    if (!trade) return;
 
-  const { targetEmail } = data;
-  const now = Date.now();
-  const COOLDOWN = 1000; // 1 second per attack
+    trade.sides[currentPlayer.email].locked = true;
+    emitTradeUpdated(trade);
+  });
 
-  if (now - currentPlayer.lastAttackTime < COOLDOWN) return; // still on cooldown
-  currentPlayer.lastAttackTime = now;
+  socket.on('trade:confirm', () => {
+    if (!currentPlayer) return;
+    const trade = getTrade(currentPlayer);
+    const fail = (message) => socket.emit('trade:error', { message });
 
-  const target = players.get(targetEmail);
-  if (!target || target.isDead) return;
-  
-  // Only allow PvP in pvp_arena
-  if (currentPlayer.map !== 'pvp_arena' || target.map !== 'pvp_arena') return;
+    if (!trade) return fail('You are not trading.');
+    const sides = Object.values(trade.sides);
+    if (!sides.every(side => side.locked)) return fail('Both offers must be locked first.');
+    if (!inTradeRange(currentPlayer, getTradePartner(trade, currentPlayer))) return fail('You are too far away to trade.');
 
-  // ------------------ Calculate damage ------------------
-  let damage = currentPlayer.attack;
+    trade.sides[currentPlayer.email].confirmed = true;
+    if (sides.every(side => side.confirmed)) {
+      executeTrade(trade);
+      return;
+    }
+    emitTradeUpdated(trade);
+  });
 
-  // STR increases damage
-  damage += currentPlayer.stats.STR * 2;
+  socket.on('trade:cancel', () => {
+    if (!currentPlayer) return;
+    const trade = getTrade(currentPlayer);
+    if (trade) cancelTrade(trade, 'cancelled');
+  });
 
-  // LUCK for crits (double damage)
-  if (Math.random() < currentPlayer.stats.LUCK * 0.05) {
-    damage *= 2;
+  // ------------------ NPC SHOPS ------------------
+  // Returns the vendor the player is standing next to, or null after emitting shop:error
+  function getShopInRange(npcId) {
+    const npc = getNpc(currentPlayer.map, npcId);
+    if (!npc?.shop) {
+      socket.emit('shop:error', { message: 'There is no shop here.' });
+      return null;
+    }
+    if (!isNearNpc(currentPlayer, npc)) {
+      socket.emit('shop:error', { message: `You are too far from ${npc.name}.` });
+      return null;
+    }
+    return npc;
   }
 
-  // Apply damage to target
-  target.hp = Math.max(0, target.hp - damage);
+  function parseQuantity(quantity) {
+    return Number.isInteger(quantity) && quantity >= 1 && quantity <= 99 ? quantity : null;
+  }
 
-  // Notify attacker
-  io.to(currentPlayer.socketId).emit('player:attackResult', {
-    target: targetEmail,
-    damage,
-    targetHp: target.hp
+  onEvent('shop:open', ({ npcId }) => {
+    if (!currentPlayer) return;
+    const npc = getShopInRange(npcId);
+    if (!npc) return;
+
+    socket.emit('shop:opened', {
+      npcId: npc.id,
+      name: npc.name,
+      stock: Object.entries(npc.shop).map(([itemId, price]) => ({ itemId, name: ITEM_CATALOG[itemId]?.name, price })),
+      sellPrices: Object.fromEntries(
+        [...new Set(currentPlayer.inventory)]
+          .filter(itemId => ITEM_CATALOG[itemId]?.value)
+          .map(itemId => [itemId, ITEM_CATALOG[itemId].value])
+      )
+    });
   });
 
-  // Notify target
-  io.to(target.socketId).emit('player:hpChanged', {
-    hp: target.hp,
-    maxHp: target.maxHp,
-    damage,
-    attacker: currentPlayer.email
-  });
+  onEvent('shop:buy', ({ npcId, itemId, quantity = 1 }) => {
+    if (!currentPlayer) return;
+    const npc = getShopInRange(npcId);
+    if (!npc) return;
+
+    const price = npc.shop[itemId];
+    const count = parseQuantity(quantity);
+    if (!price || !ITEM_CATALOG[itemId]) return socket.emit('shop:error', { message: `${npc.name} does not sell that.` });
+    if (!count) return socket.emit('shop:error', { message: 'Invalid quantity.' });
+
+    const total = price * count;
+    if (!debitBcoins(currentPlayer, total, 'shop:buy', { npcId: npc.id, itemId, quantity: count })) {
+      return socket.emit('shop:error', { message: 'You do not have enough bcoins.' });
+    }
 
-  // Optional: notify nearby players via AOI (throttle if needed)
-  // broadcastToAOI(currentPlayer.email, currentPlayer.x, currentPlayer.y, currentPlayer.map, 'player:pvpHit', {
-  //   attacker: currentPlayer.email,
-  //   target: targetEmail,
-  //   damage
-  // });
+    for (let i = 0; i < count; i++) currentPlayer.inventory.push(itemId);
+    saveCharacter(currentPlayer);
+    socket.emit('player:inventoryUpdated', { inventory: currentPlayer.inventory });
+    socket.emit('shop:bought', { npcId: npc.id, itemId, quantity: count, total });
+  });
 
-  // ------------------ Check death & respawn ------------------
-  if (target.hp <= 0) {
-    handlePvPDeath(target);
-  }
-});
+  onEvent('shop:sell', ({ npcId, itemId, quantity = 1 }) => {
+    if (!currentPlayer) return;
+    const npc = getShopInRange(npcId);
+    if (!npc) return;
+
+    const value = ITEM_CATALOG[itemId]?.value;
+    const count = parseQuantity(quantity);
+    if (!value) return socket.emit('shop:error', { message: `${npc.name} will not buy that.` });
+    if (!count) return socket.emit('shop:error', { message: 'Invalid quantity.' });
+
+    // Items on offer in an open trade are still in the inventory, so sell would let them go twice
+    const trade = getTrade(currentPlayer);
+    const offered = trade ? trade.sides[currentPlayer.email].items : [];
+    if (!hasItems(currentPlayer.inventory, [...offered, ...Array(count).fill(itemId)])) {
+      return socket.emit('shop:error', { message: 'You do not have enough of that item.' });
+    }
 
+    removeItems(currentPlayer.inventory, Array(count).fill(itemId));
+    const total = value * count;
+    creditBcoins(currentPlayer, total, 'shop:sell', { npcId: npc.id, itemId, quantity: count });
+    socket.emit('player:inventoryUpdated', { inventory: currentPlayer.inventory });
+    socket.emit('shop:sold', { npcId: npc.id, itemId, quantity: count, total });
+  });
 
+  // ------------------ QUESTS ------------------
+  // Quests are picked up from and handed in to their giver, so both need the player next to it
+  function getQuestGiverInRange(questId) {
+    const quest = QUESTS[questId];
+    const npc = quest && getNpc(currentPlayer.map, quest.giver);
+    if (!npc || !isNearNpc(currentPlayer, npc)) {
+      socket.emit('quest:error', { questId, message: 'You need to talk to the quest giver.' });
+      return null;
+    }
+    return npc;
+  }
 
+  onEvent('quest:list', ({ npcId }) => {
+    if (!currentPlayer) return;
+    const npc = getNpc(currentPlayer.map, npcId);
+    if (!npc?.quests || !isNearNpc(currentPlayer, npc)) {
+      socket.emit('quest:error', { message: 'Nobody here has work for you.' });
+      return;
+    }
 
+    socket.emit('quest:offered', {
+      npcId: npc.id,
+      quests: npc.quests
+        .filter(questId => ['available', 'active'].includes(getQuestStatus(currentPlayer, questId)))
+        .map(questId => serializeQuest(currentPlayer, questId))
+    });
+  });
 
-  // ------------------ PLAYER ATTACKS MONSTER ------------------
-socket.on('monster:hit', (data) => {
-  if (!currentPlayer || currentPlayer.isDead) return;
+  onEvent('quest:accept', ({ questId }) => {
+    if (!currentPlayer || !getQuestGiverInRange(questId)) return;
+    if (getQuestStatus(currentPlayer, questId) !== 'available') {
+      socket.emit('quest:error', { questId, message: 'You cannot take that quest.' });
+      return;
+    }
 
-  const { monsterId, damage } = data;
-  const monster = monsters.get(monsterId);
-  if (!monster || monster.mapId !== currentPlayer.map || monster.hp <= 0) return;
+    currentPlayer.quests.active[questId] = {
+      progress: QUESTS[questId].objectives.map(() => 0),
+      acceptedAt: Date.now()
+    };
+    saveCharacter(currentPlayer);
+    socket.emit('quest:accepted', serializeQuest(currentPlayer, questId));
 
-  // ---- APPLY DAMAGE (SERVER AUTHORITATIVE) ----
-  monster.hp = Math.max(0, monster.hp - damage);
-  monster.lastHitBy = currentPlayer.email;
+    // Items already carried and the map already stood on count straight away
+    syncCollectObjectives(currentPlayer);
+    recordQuestTravel(currentPlayer);
+  });
 
-  // ---- BROADCAST HIT ----
-  broadcastToMap(monster.mapId, 'monster:hit', {
-    id: monsterId,
-    mapId: monster.mapId,
-    hp: monster.hp,
-    damage
+  onEvent('quest:abandon', ({ questId }) => {
+    if (!currentPlayer || !currentPlayer.quests.active[questId]) return;
+    delete currentPlayer.quests.active[questId];
+    saveCharacter(currentPlayer);
+    socket.emit('quest:abandoned', { questId });
   });
 
-  // ------------------ MONSTER DEAD ------------------
-  if (monster.hp <= 0) {
-    broadcastToMap(monster.mapId, 'monster:despawn', {
-      id: monsterId,
-      mapId: monster.mapId
-    });
+  onEvent('quest:complete', ({ questId }) => {
+    if (!currentPlayer || !getQuestGiverInRange(questId)) return;
+    const quest = QUESTS[questId];
+    const entry = currentPlayer.quests.active[questId];
+    const fail = (message) => socket.emit('quest:error', { questId, message });
 
-    const killer = players.get(monster.lastHitBy);
-    if (killer) {
-      const stats = MONSTER_STATS[monster.type];
-
-      // ---------- GIVE XP ----------
-      giveXp(killer, stats.xp);
-
-      // ---------- GIVE BCOINS ----------
-      const bcoinsAmount = Math.floor(Math.random() * 21) + 10; // 10–30
-
-      // ---------- GIVE LOOT ----------
-      const lootItem = stats.loot[Math.floor(Math.random() * stats.loot.length)];
-      killer.inventory.push(lootItem);
-
-      // ---------- SPAWN DROP ----------
-      const dropId = `drop_${Date.now()}_${Math.random()}`;
-      const drop = {
-        id: dropId,
-        x: monster.x,
-        y: monster.y,
-        type: Math.random() > 0.3 ? 'bcoins' : 'item',
-        amount: bcoinsAmount,
-        itemName: lootItem,
-        mapId: monster.mapId
-      };
+    if (!entry) return fail('You are not on that quest.');
 
-      broadcastToMap(monster.mapId, 'drop:spawn', drop);
-
-      // ---------- NOTIFY KILLER (EXP BAR FIX) ----------
-      io.to(killer.socketId).emit('monster:killed', {
-        monsterId,
-        xp: stats.xp,
-        currentXp: killer.xp,
-        level: killer.level,
-        bcoins: bcoinsAmount,
-        loot: {
-          id: lootItem,
-          name: lootItem
-        }
-      });
+    // Collect progress can be stale if items were sold or traded away since
+    syncCollectObjectives(currentPlayer);
+    if (!isQuestReady(questId, entry)) return fail('That quest is not finished yet.');
+
+    const handIn = quest.objectives
+      .filter(objective => objective.type === 'collect')
+      .flatMap(objective => Array(objective.count).fill(objective.itemId));
+    const trade = getTrade(currentPlayer);
+    if (trade && !hasItems(currentPlayer.inventory, [...trade.sides[currentPlayer.email].items, ...handIn])) {
+      return fail('Some of the quest items are on offer in a trade.');
     }
 
-    // ---------- SAFE RESPAWN ----------
-    setTimeout(() => {
-      if (!monsters.has(monsterId)) return;
+    removeItems(currentPlayer.inventory, handIn);
+    delete currentPlayer.quests.active[questId];
+    currentPlayer.quests.completed.push(questId);
+
+    const { xp = 0, bcoins = 0, items = [] } = quest.rewards;
+    currentPlayer.inventory.push(...items);
+    if (xp > 0) giveXp(currentPlayer, xp);
+    if (bcoins > 0) creditBcoins(currentPlayer, bcoins, 'quest', { questId });
+    // Handed-in and rewarded items both count towards other collect quests
+    syncCollectObjectives(currentPlayer);
+    saveCharacter(currentPlayer);
+
+    socket.emit('player:inventoryUpdated', { inventory: currentPlayer.inventory });
+    socket.emit('quest:completed', { questId, rewards: quest.rewards });
+    console.log(`📜 ${currentPlayer.name} completed quest ${questId}`);
+  });
 
-      monster.hp = monster.maxHp;
-      monster.x = monster.spawnX;
-      monster.y = monster.spawnY;
-      monster.state = 'idle';
-      monster.target = null;
+  // ------------------ MAIL ------------------
+  const mailFail = (message) => socket.emit('mail:error', { message });
 
-      broadcastToMap(monster.mapId, 'monster:spawn', {
-        id: monster.id,
-        type: monster.type,
-        mapId: monster.mapId,
-        x: monster.x,
-        y: monster.y,
-        hp: monster.hp,
-        maxHp: monster.maxHp,
-        direction: monster.direction,
-        state: monster.state
-      });
-    }, 5000);
+  // Mail handlers need a joined player; store failures come back as a generic error
+  function onMail(event, handler) {
+    onEvent(event, async (payload) => {
+      if (!currentPlayer) return;
+      await handler(currentPlayer, payload);
+    }, () => mailFail('The mail service is unavailable. Please try again.'));
   }
-});
 
-
-// ------------------ PLAYER MOVEMENT ------------------
-  socket.on('player:move', (data) => {
-    if (!currentPlayer || currentPlayer.isDead) return;
-    const { position, direction, state } = data;
+  onMail('mail:send', async (sender, { toName, subject = '', body = '', items = [], bcoins = 0 }) => {
+    if (typeof subject !== 'string' || typeof body !== 'string' || subject.length > MAIL_SUBJECT_MAX || body.length > MAIL_BODY_MAX) {
+      return mailFail(`Subject and message are limited to ${MAIL_SUBJECT_MAX} and ${MAIL_BODY_MAX} characters.`);
+    }
+    if (!Array.isArray(items) || items.length > MAIL_MAX_ITEMS || items.some(itemId => !ITEM_CATALOG[itemId])) {
+      return mailFail(`You can attach up to ${MAIL_MAX_ITEMS} items.`);
+    }
+    if (!Number.isInteger(bcoins) || bcoins < 0) return mailFail('Invalid bcoins amount.');
+    if (!subject.trim() && !body.trim() && !items.length && !bcoins) return mailFail('That mail is empty.');
+
+    // ---- RECIPIENT ----
+    const toEmail = await resolvePlayerEmail(toName);
+    const account = toEmail && await store.get('accounts', toEmail);
+    if (!account) return mailFail('No character by that name.');
+    if (toEmail === sender.email) return mailFail('You cannot mail yourself.');
+    const recipient = players.get(toEmail) ?? await loadCharacter(toEmail);
+    if (isBlocking(recipient, sender.email)) return mailFail(`${account.name} is not accepting your mail.`);
+    if ((await getMailbox(toEmail)).messages.length >= MAIL_MAX_MESSAGES) return mailFail(`${account.name}'s mailbox is full.`);
+
+    if (players.get(sender.email) !== sender) return;
+
+    // ---- SEND LIMITS ----
+    // Only mail that has somewhere to go uses up a slot. Checked and counted with
+    // no await in between, so parallel sends can't slip past the limit.
     const now = Date.now();
-    if (now - currentPlayer.lastUpdate < 40) return;
+    sender.mailSentAt = (sender.mailSentAt || []).filter(at => now - at < 60 * 60 * 1000);
+    if (now - (sender.mailSentAt.at(-1) || 0) < MAIL_SEND_COOLDOWN) return mailFail('You are sending mail too quickly.');
+    if (sender.mailSentAt.length >= MAIL_SENDS_PER_HOUR) return mailFail('You have sent too much mail this hour.');
+    sender.mailSentAt.push(now);
+
+    // ---- ESCROW ----
+    // Re-checked after the awaits above; items on offer in a trade can't be mailed away
+    const trade = getTrade(sender);
+    const offered = trade ? trade.sides[sender.email].items : [];
+    if (!hasItems(sender.inventory, [...offered, ...items])) return mailFail('You do not have those items.');
+    if (sender.bcoins < bcoins) return mailFail('Not enough bcoins.');
+
+    const mail = createMail(sender, {
+      toEmail,
+      toName: account.name,
+      subject: filterChatMessage(subject.trim()),
+      body: filterChatMessage(body.trim()),
+      items,
+      bcoins
+    });
+    removeItems(sender.inventory, items);
+    if (bcoins) debitBcoins(sender, bcoins, 'mail:send', { mailId: mail.id, to: toEmail });
+    saveCharacter(sender);
+    socket.emit('player:inventoryUpdated', { inventory: sender.inventory });
+
+    let result;
+    try {
+      result = await deliverMail(toEmail, mail);
+    } catch (err) {
+      console.error(`❌ Failed to deliver mail ${mail.id}:`, err);
+      result = { error: 'Your mail could not be delivered.' };
+    }
+    if (result.error) {
+      refundMail(sender, mail);
+      return mailFail(result.error);
+    }
+    socket.emit('mail:sent', { id: mail.id, toName: account.name });
+  });
 
-    currentPlayer.x = position.x;
-    currentPlayer.y = position.y;
-    currentPlayer.direction = direction;
-    currentPlayer.state = state;
-    currentPlayer.lastUpdate = now;
+  onMail('mail:list', async (player) => {
+    await expireMail(player.email);
+    const { messages } = await getMailbox(player.email);
+    socket.emit('mail:list', { mail: messages.map(serializeMailSummary).reverse() });
   });
 
-  // ------------------ PLAYER ATTACK ------------------
-  socket.on('player:attack', (data) => {
-    if (!currentPlayer || currentPlayer.isDead) return;
-    const { damage } = data;
-    broadcastToAOI(
-      currentPlayer.email,
-      currentPlayer.x,
-      currentPlayer.y,
-      currentPlayer.map,
-      'player:attacked',
-      {
-        email: currentPlayer.email,
-        position: { x: currentPlayer.x, y: currentPlayer.y },
-        direction: currentPlayer.direction,
-        damage
-      }
-    );
+  onMail('mail:read', async (player, { mailId }) => {
+    const result = await updateMailbox(player.email, (mailbox) => {
+      const mail = mailbox.messages.find(m => m.id === mailId);
+      if (!mail) return { error: 'Mail not found.' };
+      mail.read = true;
+      return { mail };
+    });
+    if (result.error) return mailFail(result.error);
+
+    const { fromEmail, toEmail, ...mail } = result.mail;
+    socket.emit('mail:opened', mail);
   });
 
-// ------------------ PLAYER GETS HIT ------------------
-socket.on('player:hit', (data) => {
-  if (!currentPlayer || currentPlayer.isDead) return;
+  // Attachments are handed over inside the mailbox lock, so they can only be claimed once
+  onMail('mail:claim', async (player, { mailId }) => {
+    const result = await updateMailbox(player.email, (mailbox) => {
+      if (players.get(player.email) !== player) return { error: 'You are offline.' };
+      const mail = mailbox.messages.find(m => m.id === mailId);
+      if (!mail || !hasAttachments(mail)) return { error: 'Nothing to claim.' };
 
-  const { damage, attackerEmail } = data; // attackerEmail can be player or monster
-  const attacker = attackerEmail ? players.get(attackerEmail) : null;
+      const { items, bcoins } = mail;
+      Object.assign(mail, { items: [], bcoins: 0, read: true });
+      return { items, bcoins, fromEmail: mail.fromEmail };
+    });
+    if (result.error) return mailFail(result.error);
+
+    // Only now that the emptied mail is on disk do the attachments change hands,
+    // so a failed write can't leave them claimable twice
+    const { items, bcoins, fromEmail } = result;
+    player.inventory.push(...items);
+    if (bcoins) creditBcoins(player, bcoins, 'mail:claim', { mailId, from: fromEmail });
+    saveCharacter(player);
+
+    socket.emit('player:inventoryUpdated', { inventory: player.inventory });
+    socket.emit('mail:claimed', { mailId, items, bcoins });
+    syncCollectObjectives(player);
+  });
 
-  // PvP enforcement: allow only in PvP maps
-  if (attacker && currentPlayer.map !== 'pvp_arena') {
-    // Ignore PvP damage outside PvP map
-    io.to(currentPlayer.socketId).emit('player:hitDenied', {
-      message: 'You cannot attack other players outside the PvP arena.'
+  onMail('mail:return', async (player, { mailId }) => {
+    const result = await updateMailbox(player.email, (mailbox) => {
+      const mail = mailbox.messages.find(m => m.id === mailId);
+      if (!mail || mail.returned || !hasAttachments(mail)) return { error: 'Only unclaimed mail can be returned.' };
+      mailbox.messages = mailbox.messages.filter(m => m !== mail);
+      return { mail };
     });
-    return;
-  }
+    if (result.error) return mailFail(result.error);
 
-  // Reduce HP safely
-  currentPlayer.hp = Math.max(0, currentPlayer.hp - damage);
+    await bounceMail(result.mail);
+    socket.emit('mail:returned', { mailId });
+  });
 
-  // Notify this player of damage
-  io.to(currentPlayer.socketId).emit('player:hpChanged', {
-    hp: currentPlayer.hp,
-    maxHp: currentPlayer.maxHp,
-    damage,
-    attacker: attackerEmail || null
+  onMail('mail:delete', async (player, { mailId }) => {
+    const result = await updateMailbox(player.email, (mailbox) => {
+      const mail = mailbox.messages.find(m => m.id === mailId);
+      if (!mail) return { error: 'Mail not found.' };
+      if (hasAttachments(mail)) return { error: 'Claim or return the attachments first.' };
+      mailbox.messages = mailbox.messages.filter(m => m !== mail);
+      return { ok: true };
+    });
+    if (result.error) return mailFail(result.error);
+    socket.emit('mail:deleted', { mailId });
   });
 
-  // Broadcast to nearby players so they can show hit effect
-  broadcastToAOI(
-    currentPlayer.email,
-    currentPlayer.x,
-    currentPlayer.y,
-    currentPlayer.map,
-    'player:damaged',
-    {
-      email: currentPlayer.email,
-      damage,
-      attacker: attackerEmail || null
-    }
-  );
+  // ------------------ DUELS ------------------
+  // Why the player can't start a duel right now, or null
+  const duelBlocker = (player) => {
+    if (player.isDead) return `${player.name} is dead.`;
+    if (player.duelId) return `${player.name} is already dueling.`;
+    if (player.matchId || getQueuedMode(player.email)) return `${player.name} is busy with ranked play.`;
+    return null;
+  };
 
-  // Check for death
-  if (currentPlayer.hp <= 0) {
-    // PvP death logic: respawn in PvP arena at spawn point
-    if (currentPlayer.map === 'pvp_arena') {
-      currentPlayer.hp = currentPlayer.maxHp;
-      currentPlayer.x = MAPS.pvp_arena.spawnX;
-      currentPlayer.y = MAPS.pvp_arena.spawnY;
-
-      io.to(currentPlayer.socketId).emit('player:revived', {
-        hp: currentPlayer.hp,
-        maxHp: currentPlayer.maxHp,
-        map: 'pvp_arena',
-        x: currentPlayer.x,
-        y: currentPlayer.y
-      });
-    } else {
-      // Normal death handling
-      handlePlayerDeath(currentPlayer);
+  onEvent('duel:request', ({ targetEmail }) => {
+    if (!currentPlayer) return;
+    const target = players.get(targetEmail);
+    const fail = (message) => socket.emit('duel:error', { message });
+
+    if (!target || target === currentPlayer) return fail('Player not found.');
+    const blocker = duelBlocker(currentPlayer) || duelBlocker(target);
+    if (blocker) return fail(blocker);
+    if (target.map !== currentPlayer.map ||
+        getDistance(currentPlayer.x, currentPlayer.y, target.x, target.y) > DUEL_REQUEST_RANGE) {
+      return fail('You are too far away to challenge them.');
     }
-  }
-});
 
+    if (!duelRequests.has(target.email)) duelRequests.set(target.email, new Map());
+    duelRequests.get(target.email).set(currentPlayer.email, Date.now() + DUEL_REQUEST_TTL);
 
-  // ------------------ PLAYER SKILL ------------------
-  socket.on('player:skill', (data) => {
-    if (!currentPlayer || currentPlayer.isDead) return;
-    const { skillType, data: skillData } = data;
-    broadcastToAOI(
-      currentPlayer.email,
-      currentPlayer.x,
-      currentPlayer.y,
-      currentPlayer.map,
-      'player:skill',
-      {
-        email: currentPlayer.email,
-        skillType,
-        position: { x: currentPlayer.x, y: currentPlayer.y },
-        direction: currentPlayer.direction,
-        data: skillData
-      }
-    );
+    io.to(target.socketId).emit('duel:requested', {
+      fromEmail: currentPlayer.email,
+      fromName: currentPlayer.name,
+      expiresIn: DUEL_REQUEST_TTL
+    });
   });
 
-// ------------------ DROP PICKUP ------------------
-socket.on('drop:pickup', ({ dropId }) => {
-  if (!currentPlayer) return;
-
-  broadcastToMap(currentPlayer.map, 'drop:pickup', { dropId });
-});
-
-
-  // ------------------ CHANGE MAP ------------------
-socket.on('player:changeMap', (data) => {
-  if (!currentPlayer) return;
-  const { map, position } = data;
-  const oldMap = currentPlayer.map;
+  onEvent('duel:accept', ({ fromEmail }) => {
+    if (!currentPlayer) return;
+    const requests = duelRequests.get(currentPlayer.email);
+    const expiresAt = requests?.get(fromEmail);
+    requests?.delete(fromEmail);
+    const challenger = players.get(fromEmail);
+    const fail = (message) => socket.emit('duel:error', { message });
+
+    if (!expiresAt || expiresAt < Date.now() || !challenger) return fail('That challenge has expired.');
+    const blocker = duelBlocker(currentPlayer) || duelBlocker(challenger);
+    if (blocker) return fail(blocker);
+    if (challenger.map !== currentPlayer.map ||
+        getDistance(currentPlayer.x, currentPlayer.y, challenger.x, challenger.y) > DUEL_REQUEST_RANGE) {
+      return fail('You are too far away to duel.');
+    }
 
-  // Check if map exists
-  const targetMap = MAPS[map];
-  if (!targetMap) {
-    io.to(currentPlayer.socketId).emit('player:mapError', { message: 'Map does not exist.' });
-    return;
-  }
+    startDuel(challenger, currentPlayer);
+  });
 
-  // Enforce minLevel if defined
-  if (targetMap.minLevel && currentPlayer.level < targetMap.minLevel) {
-    io.to(currentPlayer.socketId).emit('player:mapError', { 
-      message: `You need to be level ${targetMap.minLevel}+ to enter this map.` 
-    });
-    return;
-  }
+  onEvent('duel:decline', ({ fromEmail }) => {
+    if (!currentPlayer) return;
+    duelRequests.get(currentPlayer.email)?.delete(fromEmail);
+    const challenger = players.get(fromEmail);
+    if (challenger) io.to(challenger.socketId).emit('duel:declined', { email: currentPlayer.email, name: currentPlayer.name });
+  });
 
-  // Remove from old map
-  if (mapPlayers.has(oldMap)) {
-    mapPlayers.get(oldMap).delete(currentPlayer.email);
-    broadcastToMap(oldMap, 'player:left', currentPlayer.email);
-    cleanupMapIfEmpty(oldMap);
-  }
+  socket.on('duel:forfeit', () => {
+    if (!currentPlayer?.duelId) return;
+    endDuel(duels.get(currentPlayer.duelId), currentPlayer, 'forfeit');
+  });
 
-  // Update current player
-  currentPlayer.map = map;
-  currentPlayer.x = position.x;
-  currentPlayer.y = position.y;
+  // ------------------ RANKED ------------------
+  onEvent('ranked:queue', ({ mode }) => {
+    if (!currentPlayer) return;
+    const player = currentPlayer;
+    const fail = (message) => socket.emit('ranked:error', { message });
+    const minLevel = MAPS.pvp_arena.minLevel || 0;
 
-  if (!mapPlayers.has(map)) mapPlayers.set(map, new Set());
-  mapPlayers.get(map).add(currentPlayer.email);
+    if (!RANKED_MODES[mode]) return fail(`Unknown mode. Choose one of: ${Object.keys(RANKED_MODES).join(', ')}.`);
+    if (player.level < minLevel) return fail(`You need to be level ${minLevel}+ to play ranked.`);
+    const blocker = duelBlocker(player);
+    if (blocker) return fail(blocker);
 
-  // Spawn monsters if applicable
-  spawnMonsters(map);
+    const record = getRating(mode, player);
+    record.name = player.name;
 
-  const monstersInMap = mapMonsters.get(map) || new Set();
-  for (const monsterId of monstersInMap) {
-    const m = monsters.get(monsterId);
-    if (m && m.hp > 0) {
-      socket.emit('monster:spawn', {
-        id: m.id,
-        type: m.type,
-        mapId: m.mapId,
-        x: m.x,
-        y: m.y,
-        hp: m.hp,
-        maxHp: m.maxHp,
-        direction: m.direction,
-        state: m.state,
-        spawnX: m.spawnX,
-        spawnY: m.spawnY,
-        target: m.target
-      });
-    }
-  }
+    rankedQueues[mode].set(player.email, { email: player.email, rating: record.rating, record, joinedAt: Date.now() });
+    socket.emit('ranked:queued', { mode, season: record.season, rating: record.rating });
+  });
 
-  // Notify nearby players
-  const nearby = getPlayersInAOI(currentPlayer.email, position.x, position.y, map);
-  nearby.forEach(p => socket.emit('player:joined', p));
+  socket.on('ranked:leave', () => {
+    if (!currentPlayer) return;
+    const mode = leaveRankedQueue(currentPlayer.email);
+    if (mode) socket.emit('ranked:left', { mode });
+  });
 
-  broadcastToAOI(
-    currentPlayer.email,
-    position.x,
-    position.y,
-    map,
-    'player:joined',
-    {
-      email: currentPlayer.email,
-      name: currentPlayer.name,
-      character_class: currentPlayer.character_class,
-      level: currentPlayer.level,
-      position,
-      direction: currentPlayer.direction,
-      state: currentPlayer.state
-    }
-  );
-});
+  socket.on('ranked:forfeit', () => {
+    if (!currentPlayer?.matchId) return;
+    forfeitRankedMatch(currentPlayer);
+  });
 
+  // ------------------ WORLD SNAPSHOTS ------------------
+  onEvent('world:ack', ({ seq }) => {
+    if (!currentPlayer || currentPlayer.socketId !== socket.id || !Number.isInteger(seq)) return;
+    acknowledgeSnapshot(currentPlayer, seq);
+  });
 
  // ------------------ DISCONNECT ------------------
   socket.on('disconnect', () => {
     if (!currentPlayer) return;
 
+    // Character was taken over by a newer session for the same account
+    if (currentPlayer.socketId !== socket.id) return;
+
     console.log(`Player ${currentPlayer.name} disconnected`);
 
     if (mapPlayers.has(currentPlayer.map)) {
       mapPlayers.get(currentPlayer.map).delete(currentPlayer.email);
+      untrackPlayer(currentPlayer);
       broadcastToAOI(
         currentPlayer.email,
         currentPlayer.x,
@@ -1243,13 +5691,164 @@ socket.on('player:changeMap', (data) => {
       cleanupMapIfEmpty(currentPlayer.map);
     }
 
+    leaveParty(currentPlayer, 'disconnected');
+    partyInvites.delete(currentPlayer.email);
+    guildInvites.delete(currentPlayer.email);
+    tradeRequests.delete(currentPlayer.email);
+    duelRequests.delete(currentPlayer.email);
+
+    const trade = getTrade(currentPlayer);
+    if (trade) cancelTrade(trade, 'disconnected');
+    if (currentPlayer.duelId) endDuel(duels.get(currentPlayer.duelId), currentPlayer, 'disconnected');
+    if (currentPlayer.matchId) forfeitRankedMatch(currentPlayer, 'disconnected');
+    leaveRankedQueue(currentPlayer.email);
+
+    const guild = getGuildOf(currentPlayer.email);
+    if (guild) emitToGuild(guild, 'guild:memberOffline', { email: currentPlayer.email, name: currentPlayer.name });
+
+    saveCharacter(currentPlayer);
     players.delete(currentPlayer.email);
   });
 });
 
+// ------------------ PLAYER DAMAGES MONSTER ------------------
+// hit: result of rollPlayerDamage, plus skillType when it came from a skill
+function damageMonster(monster, attacker, hit) {
+  // Leashing monsters can't be hit, so nobody can pull them home and farm them on the way
+  if (monster.state === 'returning') hit = { ...hit, damage: 0, isCrit: false, isMiss: true };
+
+  const hpBefore = monster.hp;
+  monster.hp = Math.max(0, monster.hp - hit.damage);
+  monster.lastHitBy = attacker.email;
+
+  if (hit.damage > 0) {
+    const profile = getMonsterProfile(monster.type);
+    addThreat(monster, attacker.email, hit.damage);
+    alertPack(monster, attacker.email, profile);
+    if (monster.boss) {
+      // Overkill doesn't count towards the share
+      const dealt = hpBefore - monster.hp;
+      monster.contributions.set(attacker.email, (monster.contributions.get(attacker.email) || 0) + dealt);
+      if (monster.hp > 0) updateBossPhase(monster);
+    }
+  }
+
+  broadcastToMap(monster.mapId, 'monster:hit', {
+    id: monster.id,
+    mapId: monster.mapId,
+    hp: monster.hp,
+    damage: hit.damage,
+    isCrit: hit.isCrit,
+    isMiss: hit.isMiss,
+    attacker: attacker.email,
+    skillType: hit.skillType
+  });
+
+  if (monster.hp <= 0) handleMonsterDeath(monster);
+}
+
+// ------------------ MONSTER DEAD ------------------
+function handleMonsterDeath(monster) {
+  broadcastToMap(monster.mapId, 'monster:despawn', {
+    id: monster.id,
+    mapId: monster.mapId
+  });
+
+  if (monster.boss) {
+    handleBossDeath(monster);
+    return;
+  }
+
+  const killer = players.get(monster.lastHitBy);
+  if (killer) {
+    recordMonsterKill(killer, monster);
+
+    // ---------- GIVE XP (split between nearby party members, with a group bonus) ----------
+    const sharers = getKillSharers(killer, monster);
+    const xpShare = Math.floor(monster.xp * (1 + PARTY_XP_BONUS * (sharers.length - 1)) / sharers.length);
+    for (const member of sharers) {
+      giveXp(member, xpShare);
+      recordQuestKill(member, monster);
+    }
+
+    // ---------- KILL BOUNTY (straight to the wallet) ----------
+    const bounty = Math.max(1, monster.level) * (monster.elite ? ELITE_MODIFIERS.bounty : 1);
+    creditBcoins(killer, bounty, 'kill', { monsterType: monster.type });
+
+    // ---------- ROLL BCOINS & LOOT ----------
+    const bcoinsAmount = Math.floor(Math.random() * 21) + 10; // 10–30
+    const lootItem = monster.loot[Math.floor(Math.random() * monster.loot.length)];
+
+    // ---------- SPAWN DROPS (credited on pickup, owners per party loot mode) ----------
+    // One owner pick per kill, so round robin advances once however many drops there are
+    const lootOwners = getLootOwners(killer, sharers);
+    spawnDrop(monster.mapId, monster.x - 10, monster.y, { type: 'bcoins', amount: bcoinsAmount }, lootOwners);
+    spawnDrop(monster.mapId, monster.x + 10, monster.y, { type: 'item', itemName: lootItem }, lootOwners);
+    if (monster.elite) {
+      const eliteItem = ELITE_LOOT[Math.floor(Math.random() * ELITE_LOOT.length)];
+      spawnDrop(monster.mapId, monster.x, monster.y + 15, { type: 'item', itemName: eliteItem }, lootOwners);
+    }
+
+    // ---------- NOTIFY KILLER (EXP BAR FIX) ----------
+    io.to(killer.socketId).emit('monster:killed', {
+      monsterId: monster.id,
+      xp: xpShare,
+      currentXp: killer.xp,
+      level: killer.level,
+      bcoins: bcoinsAmount,
+      bounty,
+      loot: {
+        id: lootItem,
+        name: lootItem
+      }
+    });
+  }
+
+  // GM summons are one-offs
+  if (monster.summoned) {
+    removeMonster(monster);
+    return;
+  }
+
+  // ---------- SAFE RESPAWN ----------
+  setTimeout(() => {
+    if (!monsters.has(monster.id)) return;
+
+    rollMonsterStats(monster);
+    monster.x = monster.spawnX;
+    monster.y = monster.spawnY;
+    trackMonster(monster);
+    monster.state = 'idle';
+    clearThreat(monster);
+
+    broadcastToMap(monster.mapId, 'monster:spawn', serializeMonster(monster));
+  }, 5000);
+}
+
+// ------------------ PLAYER DAMAGES PLAYER (PvP) ------------------
+function damagePlayerPvP(target, attacker, hit) {
+  target.hp = Math.max(0, target.hp - hit.damage);
+
+  // Notify target
+  io.to(target.socketId).emit('player:hpChanged', {
+    hp: target.hp,
+    maxHp: target.maxHp,
+    damage: hit.damage,
+    attacker: attacker.email
+  });
+
+  // ------------------ Check defeat ------------------
+  if (target.hp <= 0) {
+    recordPvPKill(attacker, target);
+    resolvePvPDefeat(target);
+  }
+}
+
 // ------------------ PLAYER DEATH HANDLER ------------------
 function handlePlayerDeath(player) {
   if (player.isDead) return;
+  if (player.duelId) endDuel(duels.get(player.duelId), player, 'died');
+  player.lifetime.deaths += 1;
 
   player.isDead = true;
   player.state = 'dead';
@@ -1260,6 +5859,7 @@ function handlePlayerDeath(player) {
   if (mapPlayers.has(player.map)) {
     mapPlayers.get(player.map).delete(player.email);
   }
+  untrackPlayer(player);
 
   // Move to town
   player.map = townMap;
@@ -1268,6 +5868,7 @@ function handlePlayerDeath(player) {
 
   if (!mapPlayers.has(townMap)) mapPlayers.set(townMap, new Set());
   mapPlayers.get(townMap).add(player.email);
+  trackPlayer(player);
 
   io.to(player.socketId).emit('player:died', {
     map: townMap,
@@ -1275,44 +5876,46 @@ function handlePlayerDeath(player) {
     y: player.y
   });
 
+  saveCharacter(player);
+
   // Revive after 3 seconds with stats including equipment
   setTimeout(() => {
     recalcPlayerWithEquipment(player); // ✅ include equipment bonuses
     player.hp = player.maxHp;          // heal to full
+    player.mana = player.maxMana;
     player.state = 'idle';
     player.isDead = false;
 
     io.to(player.socketId).emit('player:revived', {
-      hp: player.hp,
-      maxHp: player.maxHp,
-      attack: player.attack,
-      speed: player.speed
+      ...getCombatStats(player)
     });
   }, 3000);
 }
 
 function handlePvPDeath(player) {
   if (player.isDead) return;
+  player.lifetime.deaths += 1;
 
   player.isDead = true;
   player.state = 'dead';
 
+  saveCharacter(player);
+
   // Short respawn timer (3 seconds)
   setTimeout(() => {
     recalcPlayerWithEquipment(player); // ✅ include equipment bonuses
     player.hp = player.maxHp;          // heal to full
+    player.mana = player.maxMana;
     player.state = 'idle';
     player.isDead = false;
 
     // Respawn at PvP spawn
     player.x = MAPS.pvp_arena.spawnX;
     player.y = MAPS.pvp_arena.spawnY;
+    trackPlayer(player);
 
     io.to(player.socketId).emit('player:revived', {
-      hp: player.hp,
-      maxHp: player.maxHp,
-      attack: player.attack,
-      speed: player.speed,
+      ...getCombatStats(player),
       x: player.x,
       y: player.y
     });
@@ -1324,29 +5927,85 @@ function recalcPlayerWithEquipment(player) {
 
   let bonusHp = 0;
   let bonusAtk = 0;
+  let bonusMagic = 0;
+  let bonusMana = 0;
   let bonusSpeed = 0;
 
   if (player.equipment) {
-    for (const item of Object.values(player.equipment)) {
+    for (const itemId of Object.values(player.equipment)) {
+      const item = ITEM_CATALOG[itemId];
       if (!item) continue;
       bonusHp += item.hp || 0;
       bonusAtk += item.attack || 0;
+      bonusMagic += item.magicAttack || 0;
+      bonusMana += item.mana || 0;
       bonusSpeed += item.speed || 0;
     }
   }
 
   player.maxHp = base.maxHp + bonusHp;
   player.attack = base.attack + bonusAtk;
+  player.magicAttack = base.magicAttack + bonusMagic;
+  player.maxMana = base.maxMana + bonusMana;
   player.speed = base.speed + bonusSpeed;
+  player.hitChance = base.hitChance;
+  player.critChance = base.critChance;
+  player.attackSpeed = base.attackSpeed;
 
   player.hp = Math.min(player.hp, player.maxHp);
+  player.mana = Math.min(player.mana ?? player.maxMana, player.maxMana);
+}
+
+// Pushes new gear, stats and inventory to the owner and gear/HP to AOI neighbours
+function syncEquipment(player) {
+  recalcPlayerWithEquipment(player);
+
+  io.to(player.socketId).emit('player:equipmentUpdated', {
+    equipment: player.equipment,
+    inventory: player.inventory
+  });
+
+  io.to(player.socketId).emit('player:statsUpdated', {
+    stats: player.stats,
+    statPointsAvailable: player.statPointsAvailable,
+    ...getCombatStats(player)
+  });
+
+  broadcastToAOI(player.email, player.x, player.y, player.map, 'player:equipmentChanged', {
+    email: player.email,
+    equipment: player.equipment,
+    hp: player.hp,
+    maxHp: player.maxHp,
+    speed: player.speed
+  });
+
+  saveCharacter(player);
 }
 
 
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`🎮 Multiplayer server running on port ${PORT}`);
-  console.log(`📡 Socket.IO ready for connections`);
-  console.log(`🌍 AOI Radius: ${AOI_RADIUS} pixels`);
+// Flush every online character before the process goes away
+async function shutdown(signal) {
+  console.log(`💾 ${signal} received, saving ${players.size} characters...`);
+  await saveAllCharacters();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGHUP', () => {
+  reloadContent('SIGHUP').catch(err => console.error('❌ Content reload (SIGHUP) failed:', err));
+});
+
+// Start server once game content and persistent world state are loaded
+loadContent().then(() => Promise.all([loadGuilds(), loadRatings(), loadCharacterIndex(), loadCollisionMaps()])).then(() => {
+  server.listen(PORT, () => {
+    console.log(`🎮 Multiplayer server running on port ${PORT}`);
+    console.log(`📡 Socket.IO ready for connections`);
+    console.log(`🌍 AOI Radius: ${AOI_RADIUS} pixels`);
+    console.log(`💾 Storage backend: ${STORAGE_BACKEND}`);
+  });
+}).catch(err => {
+  console.error('❌ Failed to load world state:', err);
+  process.exit(1);
 });
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, once, waitFor } = require('./helpers');
+
+let server, mod, troll;
+before(async () => {
+  server = await startServer();
+  mod = await server.join('mod@test.dev', 'Mod');
+  troll = await server.join('troll@test.dev', 'Troll');
+});
+after(() => server.stop());
+
+// Joins without waiting for success, resolving with whichever answer comes first
+async function tryJoin(email, name) {
+  const socket = server.connect(await server.login(email, name));
+  const answer = Promise.race([
+    once(socket, 'player:statsInitialized').then(() => ({ joined: true })),
+    once(socket, 'player:joinError')
+  ]);
+  socket.emit('player:join', { character_class: 'warrior', map: 'town_1' });
+  return { socket, answer: await answer };
+}
+
+function gmCommand(socket, message) {
+  const answer = Promise.race([once(socket, 'gm:result'), once(socket, 'gm:error').then(data => ({ error: data }))]);
+  socket.emit('player:sendChat', { message, type: 'map' });
+  return answer;
+}
+
+test('the admin API wants the admin token', async () => {
+  assert.equal((await server.request('GET', '/admin/players')).status, 401);
+  assert.equal((await server.request('GET', '/admin/players', undefined, { authorization: 'Bearer nope' })).status, 401);
+
+  const { status, body } = await server.admin('GET', '/admin/players?map=town_1');
+  assert.equal(status, 200);
+  assert.deepEqual(body.town_1.map(p => p.name).sort(), ['Mod', 'Troll']);
+});
+
+test('kicking disconnects the player with a reason', async () => {
+  const kicked = once(troll, 'session:kicked');
+  const { status, body } = await server.admin('POST', '/admin/players/Troll/kick', { reason: 'afk' });
+  assert.equal(status, 200);
+  assert.equal(body.message, 'Kicked Troll.');
+  assert.equal((await kicked).message, 'You were kicked: afk');
+
+  assert.equal((await server.admin('POST', '/admin/players/Troll/kick')).status, 400);
+  troll = await server.join('troll@test.dev', 'Troll');
+});
+
+test('banned players are thrown out and cannot join until unbanned', async () => {
+  const kicked = once(troll, 'session:kicked');
+  const { status } = await server.admin('POST', '/admin/bans', { name: 'Troll', minutes: 60, reason: 'spam' });
+  assert.equal(status, 200);
+  assert.match((await kicked).message, /^You are banned until .*: spam$/);
+
+  const { answer } = await tryJoin('troll@test.dev', 'Troll');
+  assert.equal(answer.banned, true);
+  const { body: bans } = await server.admin('GET', '/admin/bans');
+  assert.deepEqual(bans.map(ban => ban.email), ['troll@test.dev']);
+
+  assert.equal((await server.admin('DELETE', '/admin/bans/Troll')).status, 200);
+  const rejoin = await tryJoin('troll@test.dev', 'Troll');
+  assert.equal(rejoin.answer.joined, true);
+  troll = rejoin.socket;
+});
+
+test('only GMs get chat commands', async () => {
+  const said = once(troll, 'chat:message');
+  mod.emit('player:sendChat', { message: '/level Troll 10', type: 'map' });
+  assert.equal((await said).message, '/level Troll 10');
+
+  assert.equal((await server.admin('POST', '/admin/players/Mod/gm', { gm: true })).status, 200);
+  const levelled = once(troll, 'player:levelUp');
+  assert.equal((await gmCommand(mod, '/level Troll 10')).message, 'Troll is now level 10.');
+  assert.equal((await levelled).level, 10);
+});
+
+test('GM commands report their usage and errors', async () => {
+  assert.match((await gmCommand(mod, '/fly')).error.message, /^Unknown command\. Try: \/who \[map\]/);
+  assert.equal((await gmCommand(mod, '/level Troll')).error.message, 'Usage: /level <name> <level>');
+  assert.equal((await gmCommand(mod, '/level Nobody 5')).error.message, 'Nobody is not online.');
+
+  const who = await gmCommand(mod, '/who town_1');
+  assert.equal(who.message, '2 players online.');
+});
+
+test('admin and GM actions land in the audit log', async () => {
+  const day = new Date().toISOString().slice(0, 10);
+  const file = path.join(server.dataDir, 'audit', `${day}.jsonl`);
+  // Appends land asynchronously
+  const entries = await waitFor(() => {
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    return lines.length >= 5 && lines.map(line => JSON.parse(line));
+  });
+
+  assert.deepEqual(entries.map(entry => entry.action), ['kick', 'ban', 'unban', 'setGm', 'setLevel']);
+  assert.match(entries[0].actor, /^admin@/);
+  assert.equal(entries[4].actor, 'gm:Mod');
+  assert.deepEqual({ name: entries[4].name, level: entries[4].level }, { name: 'Troll', level: 10 });
+});
@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seed, once, wait } = require('./helpers');
+
+const character = (email, name, x, y) => ({ email, name, character_class: 'warrior', level: 5, xp: 0, map: 'town_1', x, y, inventory: [], bcoins: 0 });
+
+let server, watcher;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      seed(dataDir, 'characters', 'watcher@test.dev', character('watcher@test.dev', 'Watcher', 1200, 900));
+      seed(dataDir, 'characters', 'near@test.dev', character('near@test.dev', 'Near', 1400, 900));
+      seed(dataDir, 'characters', 'far@test.dev', character('far@test.dev', 'Far', 100, 100));
+    }
+  });
+  watcher = await server.join('watcher@test.dev', 'Watcher');
+  watcher.on('world:snapshot', ({ seq }) => watcher.emit('world:ack', { seq }));
+});
+after(() => server.stop());
+
+const sawJoin = (email) => watcher.events.some(([event, data]) => event === 'player:joined' && data.email === email);
+const inSnapshots = (email) => watcher.events.some(([event, data]) => event === 'world:snapshot' && data.players.some(p => p.email === email));
+
+test('joins are only announced to players within the area of interest', async () => {
+  await server.join('far@test.dev', 'Far');
+  const announced = once(watcher, 'player:joined');
+  await server.join('near@test.dev', 'Near');
+  assert.equal((await announced).email, 'near@test.dev');
+  assert.ok(!sawJoin('far@test.dev'));
+});
+
+test('snapshots carry nearby players and leave distant ones out', async () => {
+  await wait(300);
+  assert.ok(inSnapshots('near@test.dev'));
+  assert.ok(!inSnapshots('far@test.dev'));
+});
+
+test('players drop out of view once they move away', async () => {
+  const removed = once(watcher, 'world:snapshot', snapshot => snapshot.removed.players.includes('near@test.dev'));
+  await server.admin('POST', '/admin/players/Near/teleport', { map: 'town_1', x: 2300, y: 1700 });
+  await removed;
+});
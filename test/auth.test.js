@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+test('registration validates the account and keeps emails and names unique', async () => {
+  const bad = await server.request('POST', '/auth/register', { email: 'nope', name: 'Valid', password: 'password123' });
+  assert.equal(bad.status, 400);
+  const short = await server.request('POST', '/auth/register', { email: 'a@test.dev', name: 'Valid', password: 'short' });
+  assert.equal(short.status, 400);
+
+  const created = await server.register('first@test.dev', 'First');
+  assert.equal(created.name, 'First');
+  assert.ok(created.token);
+
+  const sameEmail = await server.request('POST', '/auth/register', { email: 'FIRST@test.dev', name: 'Other', password: 'password123' });
+  assert.equal(sameEmail.status, 409);
+  const sameName = await server.request('POST', '/auth/register', { email: 'other@test.dev', name: 'first', password: 'password123' });
+  assert.equal(sameName.status, 409);
+});
+
+test('login needs the right password', async () => {
+  const wrong = await server.request('POST', '/auth/login', { email: 'first@test.dev', password: 'password124' });
+  assert.equal(wrong.status, 401);
+  const right = await server.request('POST', '/auth/login', { email: 'first@test.dev', password: 'password123' });
+  assert.equal(right.status, 200);
+  assert.equal(right.body.email, 'first@test.dev');
+});
+
+test('sockets without a valid session token are refused', async () => {
+  for (const token of [undefined, 'garbage', `${Buffer.from('{"email":"first@test.dev","exp":9e15}').toString('base64url')}.forged`]) {
+    const socket = server.connect(token);
+    const error = await once(socket, 'connect_error');
+    assert.equal(error.message, 'Unauthorized');
+  }
+});
+
+test('the joined character comes from the session, not the payload', async () => {
+  const socket = server.connect(await server.login('first@test.dev', 'First'));
+  await server.join('second@test.dev', 'Second');
+  const joined = once(socket, 'player:statsInitialized');
+  socket.emit('player:join', { email: 'second@test.dev', name: 'Second', character_class: 'warrior', map: 'town_1' });
+  await joined;
+
+  const { body } = await server.admin('GET', '/admin/players?map=town_1');
+  assert.deepEqual(body.town_1.map(p => p.name).sort(), ['First', 'Second']);
+});
+
+test('logging in elsewhere replaces the older session', async () => {
+  const first = await server.join('third@test.dev', 'Third');
+  const replaced = once(first, 'session:replaced');
+  await server.join('third@test.dev', 'Third');
+  assert.equal((await replaced).message, 'You logged in from another location.');
+});
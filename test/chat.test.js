@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once } = require('./helpers');
+
+let server, ann, bob, gus, swear;
+before(async () => {
+  server = await startServer();
+  ann = await server.join('ann@test.dev', 'Ann');
+  bob = await server.join('bob@test.dev', 'Bob');
+  gus = await server.join('gus@test.dev', 'Gus');
+  await server.admin('POST', '/admin/players/Gus/gm', { gm: true });
+});
+after(() => server.stop());
+
+// Chat cooldowns are per type, so each test talks on channels it hasn't used yet
+function say(socket, message, type, targetEmail) {
+  socket.emit('player:sendChat', { message, type, targetEmail });
+}
+
+test('listed words are masked, whole words only', async () => {
+  const heard = once(bob, 'chat:message');
+  say(ann, 'shitake? oh SHIT', 'map');
+  swear = await heard;
+  assert.equal(swear.message, 'shitake? oh ****');
+  assert.equal(swear.from, 'Ann');
+});
+
+test('blocked players cannot reach you, privately or otherwise', async () => {
+  const listed = once(bob, 'chat:blockList');
+  bob.emit('chat:block', { targetEmail: 'ann@test.dev' });
+  assert.deepEqual((await listed).blocked, [{ email: 'ann@test.dev', name: 'Ann' }]);
+
+  const refused = once(ann, 'chat:error');
+  say(ann, 'hello?', 'private', 'bob@test.dev');
+  assert.equal((await refused).message, 'Bob is not accepting your messages.');
+
+  bob.events.length = 0;
+  const gusHeard = once(gus, 'chat:message', data => data.type === 'global');
+  say(ann, 'anyone?', 'global');
+  await gusHeard;
+  assert.ok(!bob.events.some(([event, data]) => event === 'chat:message' && data.from === 'Ann'));
+
+  const unlisted = once(bob, 'chat:blockList');
+  bob.emit('chat:unblock', { targetEmail: 'ann@test.dev' });
+  assert.deepEqual((await unlisted).blocked, []);
+});
+
+test('reports snapshot the message for GMs to review', async () => {
+  const own = once(ann, 'chat:error');
+  ann.emit('chat:report', { messageId: swear.id });
+  assert.equal((await own).message, 'You cannot report your own message.');
+
+  const alerted = once(gus, 'gm:report');
+  const reported = once(bob, 'chat:reported');
+  bob.emit('chat:report', { messageId: swear.id, reason: 'language' });
+  assert.deepEqual(await reported, { messageId: swear.id });
+  const { id, ...alert } = await alerted;
+  assert.deepEqual(alert, { reporter: 'Bob', reported: 'Ann', message: 'shitake? oh ****', reason: 'language' });
+
+  const { body: reports } = await server.admin('GET', '/admin/reports');
+  assert.deepEqual(reports.map(report => report.id), [id]);
+  assert.equal(reports[0].reportedEmail, 'ann@test.dev');
+  assert.ok(reports[0].context.some(message => message.id === swear.id));
+
+  const tooSoon = once(bob, 'chat:error');
+  bob.emit('chat:report', { messageId: swear.id });
+  assert.equal((await tooSoon).message, 'Please wait before sending another report.');
+});
+
+test('muted players can read but not talk until unmuted', async () => {
+  const muted = once(ann, 'chat:muted');
+  await server.admin('POST', '/admin/mutes', { name: 'Ann', minutes: 10, reason: 'cool off' });
+  assert.equal((await muted).reason, 'cool off');
+
+  const silenced = once(ann, 'chat:error');
+  say(ann, 'let me talk', 'town');
+  assert.match((await silenced).message, /^You are muted until /);
+
+  const { body: mutes } = await server.admin('GET', '/admin/mutes');
+  assert.deepEqual(mutes.map(mute => mute.email), ['ann@test.dev']);
+
+  const unmuted = once(ann, 'chat:unmuted');
+  await server.admin('DELETE', '/admin/mutes/Ann');
+  await unmuted;
+  const heard = once(bob, 'chat:message', data => data.type === 'town');
+  say(ann, 'thanks', 'town');
+  assert.equal((await heard).message, 'thanks');
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, lastEvent } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+function allocate(socket, stat, points) {
+  const updated = once(socket, 'player:statsUpdated');
+  socket.emit('player:allocateStat', { stat, points });
+  return updated;
+}
+
+test('each class starts from its own growth curve', async () => {
+  const warrior = lastEvent(await server.join('brute@test.dev', 'Brute'), 'player:statsInitialized');
+  const mage = lastEvent(await server.join('sage@test.dev', 'Sage', { character_class: 'mage' }), 'player:statsInitialized');
+  assert.ok(warrior.maxHp > mage.maxHp);
+  assert.ok(warrior.attack > mage.attack);
+  assert.ok(mage.magicAttack > warrior.magicAttack);
+  assert.ok(mage.maxMana > warrior.maxMana);
+});
+
+test('INT feeds magic attack and mana, weighted by class', async () => {
+  const sage = await server.join('sage@test.dev', 'Sage', { character_class: 'mage' });
+  const before = lastEvent(sage, 'player:statsInitialized');
+  const after = await allocate(sage, 'INT', 2);
+  assert.equal(after.magicAttack - before.magicAttack, 8);
+  assert.equal(after.maxMana - before.maxMana, 20);
+});
+
+test('DEX feeds accuracy, crits and attack speed', async () => {
+  const scout = await server.join('scout@test.dev', 'Scout', { character_class: 'archer' });
+  const before = lastEvent(scout, 'player:statsInitialized');
+  const after = await allocate(scout, 'DEX', 3);
+  assert.ok(after.hitChance > before.hitChance);
+  assert.ok(after.critChance > before.critChance);
+  assert.ok(after.attackSpeed > before.attackSpeed);
+});
+
+test('stat points cannot be overspent or spent on unknown stats', async () => {
+  const scout = await server.join('scout@test.dev', 'Scout', { character_class: 'archer' });
+  scout.emit('player:allocateStat', { stat: 'DEX', points: 3 });
+  scout.emit('player:allocateStat', { stat: 'CHARM', points: 1 });
+  const updated = await allocate(scout, 'VIT', 2);
+  assert.equal(updated.statPointsAvailable, 0);
+  assert.equal(updated.stats.DEX, 4);
+  assert.equal(updated.stats.CHARM, undefined);
+});
+
+test('unknown classes cannot join', async () => {
+  const socket = server.connect(await server.login('odd@test.dev', 'Odd'));
+  const refused = once(socket, 'player:joinError');
+  socket.emit('player:join', { character_class: 'bard', map: 'town_1' });
+  assert.match((await refused).message, /Unknown character class "bard"/);
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, once, wait, waitFor } = require('./helpers');
+
+// The fixture walls off x 600-700 from the top of monster_field_1 down to y 800
+const MAPS_DIR = path.join(__dirname, '..', 'content', 'fixtures', 'maps');
+const inWall = ({ x, y }) => x >= 600 && x < 700 && y < 800;
+
+let server, ranger;
+before(async () => {
+  server = await startServer({ mapsDir: MAPS_DIR });
+  ranger = await server.join('ranger@test.dev', 'Ranger', { map: 'monster_field_1', character_class: 'archer' });
+  await server.admin('DELETE', '/admin/maps/monster_field_1/monsters');
+});
+after(() => server.stop());
+
+async function teleport(x, y) {
+  const moved = once(ranger, 'player:teleported');
+  await server.admin('POST', '/admin/players/Ranger/teleport', { map: 'monster_field_1', x, y });
+  return moved;
+}
+
+test('steps into a blocked tile are pulled back', async () => {
+  await teleport(580, 650);
+  await wait(300);
+  const corrected = once(ranger, 'player:positionCorrected');
+  ranger.emit('player:move', { position: { x: 620, y: 650 }, direction: 'right', state: 'walk' });
+  assert.deepEqual(await corrected, { map: 'monster_field_1', x: 580, y: 650, reason: 'blocked' });
+});
+
+test('teleports into a wall land on the map spawn instead', async () => {
+  assert.deepEqual(await teleport(650, 400), { map: 'monster_field_1', x: 400, y: 400 });
+  await teleport(550, 740);
+});
+
+test('monsters path around walls instead of through them', async () => {
+  const { body } = await server.admin('POST', '/admin/maps/monster_field_1/monsters', { type: 'shadowHound', level: 1, x: 780, y: 740 });
+  const [houndId] = body.monsters;
+
+  const seen = [];
+  const track = ({ monsters }) => {
+    const hound = monsters.find(m => m.id === houndId);
+    if (hound) seen.push({ x: hound.x, y: hound.y });
+  };
+  ranger.on('world:snapshot', track);
+
+  // Pulled straight at the wall, the hound has to go under its end to get to the ranger
+  await wait(1100);
+  ranger.emit('monster:hit', { monsterId: houndId });
+  await waitFor(() => seen.some(({ x, y }) => x < 700 && y >= 800), 10000);
+  ranger.off('world:snapshot', track);
+
+  assert.ok(!seen.some(inWall), 'the hound never stood inside the wall');
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, wait } = require('./helpers');
+
+let server, fighter, slimeId;
+before(async () => {
+  server = await startServer();
+  fighter = await server.join('fighter@test.dev', 'Fighter', { map: 'monster_field_1' });
+  const [, spot] = fighter.events.find(([event]) => event === 'player:teleported');
+  const { body } = await server.admin('POST', '/admin/maps/monster_field_1/monsters', { type: 'sparklingSlime', level: 1, x: spot.x, y: spot.y });
+  [slimeId] = body.monsters;
+});
+after(() => server.stop());
+
+test('monster damage is rolled by the server, whatever the client claims', async () => {
+  const hit = once(fighter, 'monster:hit', data => data.id === slimeId);
+  fighter.emit('monster:hit', { monsterId: slimeId, damage: 9999 });
+  const { damage, attacker, hp } = await hit;
+  assert.equal(attacker, 'fighter@test.dev');
+  assert.ok(damage < 100);
+  assert.ok(hp > 0 || damage > 0);
+});
+
+test('attacks faster than the class attack speed are rejected', async () => {
+  const rejected = once(fighter, 'monster:hitRejected');
+  fighter.emit('monster:hit', { monsterId: slimeId });
+  assert.deepEqual(await rejected, { monsterId: slimeId, reason: 'cooldown' });
+});
+
+test('unknown monsters are rejected', async () => {
+  const rejected = once(fighter, 'monster:hitRejected');
+  fighter.emit('monster:hit', { monsterId: 'nope' });
+  assert.deepEqual(await rejected, { monsterId: 'nope', reason: 'invalidTarget' });
+});
+
+test('player hits naming another player are refused', async () => {
+  await server.join('bystander@test.dev', 'Bystander');
+  const denied = once(fighter, 'player:hitDenied');
+  fighter.emit('player:hit', { damage: 50, attackerEmail: 'bystander@test.dev' });
+  await denied;
+  await wait(100);
+  assert.ok(!fighter.events.some(([event, data]) => event === 'player:hpChanged' && data.damage === 50));
+});
+
+test('null payloads are ignored instead of crashing the server', async () => {
+  for (const event of ['player:join', 'player:hit', 'player:move', 'monster:hit', 'trade:offer', 'party:invite', 'duel:request', 'world:ack']) {
+    fighter.emit(event, null);
+  }
+  await wait(200);
+  const health = await fetch(`${server.url}/health`);
+  assert.equal(health.status, 200);
+  assert.ok(fighter.connected);
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers');
+
+const CONTENT = path.join(__dirname, '..', 'content');
+
+// A private copy of the content tables that each test may edit
+const contentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fly-content-'));
+for (const file of fs.readdirSync(CONTENT).filter(name => name.endsWith('.json'))) {
+  fs.copyFileSync(path.join(CONTENT, file), path.join(contentDir, file));
+}
+
+function editTable(name, edit) {
+  const file = path.join(contentDir, `${name}.json`);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  edit(data);
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+let server, player;
+before(async () => {
+  server = await startServer({ contentDir });
+  player = await server.join('builder@test.dev', 'Builder', { map: 'monster_field_1' });
+  await server.admin('DELETE', '/admin/maps/monster_field_1/monsters');
+});
+after(async () => {
+  await server.stop();
+  fs.rmSync(contentDir, { recursive: true, force: true });
+});
+
+async function summonSlime() {
+  const { body } = await server.admin('POST', '/admin/maps/monster_field_1/monsters', { type: 'sparklingSlime', level: 1, x: 400, y: 400 });
+  const [slimeId] = body.monsters;
+  return waitFor(() => player.events.find(([event, monster]) => event === 'monster:spawn' && monster.id === slimeId)?.[1]);
+}
+
+test('a reload picks up edited content without a restart', async () => {
+  editTable('monsters', data => { data.monsters.sparklingSlime.hp = 60; });
+  const { status, body } = await server.admin('POST', '/admin/content/reload');
+  assert.equal(status, 200);
+  assert.equal(body.message, 'Content reloaded.');
+  assert.equal((await summonSlime()).maxHp, 60);
+});
+
+test('invalid content is rejected and the old content stays live', async () => {
+  editTable('monsters', data => { data.monsters.sparklingSlime.hp = 90; });
+  editTable('spawns', data => { data.spawns.monster_field_1.eliteChance = 2; });
+
+  const { status, body } = await server.admin('POST', '/admin/content/reload');
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Content reload rejected.');
+  assert.ok(body.errors.includes('spawns.monster_field_1.eliteChance must be between 0 and 1'));
+  assert.equal((await summonSlime()).maxHp, 60);
+
+  editTable('spawns', data => { data.spawns.monster_field_1.eliteChance = 0.03; });
+});
+
+test('a reload may not remove a class someone online is playing', async () => {
+  editTable('classes', data => { delete data.classes.warrior; });
+  const { status, body } = await server.admin('POST', '/admin/content/reload');
+  assert.equal(status, 400);
+  assert.ok(body.errors.includes('class warrior is in use by Builder'));
+});
+
+test('the server refuses to start on invalid content', async () => {
+  editTable('maps', data => { data.maps.monster_field_1.safeZone = 'no'; });
+  await assert.rejects(startServer({ contentDir }), /maps\.monster_field_1\.safeZone must be true or false/);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, killMonster } = require('./helpers');
+
+let server, looter, rival, drops;
+before(async () => {
+  server = await startServer();
+  looter = await server.join('looter@test.dev', 'Looter', { map: 'monster_field_1' });
+  rival = await server.join('rival@test.dev', 'Rival', { map: 'monster_field_1' });
+  await server.admin('DELETE', '/admin/maps/monster_field_1/monsters');
+  await server.admin('POST', '/admin/players/Looter/level', { level: 30 });
+
+  const { body } = await server.admin('POST', '/admin/maps/monster_field_1/monsters', { type: 'sparklingSlime', level: 1, x: 400, y: 400 });
+  const [slimeId] = body.monsters;
+  const spawned = [once(looter, 'drop:spawn'), once(looter, 'drop:spawn', drop => drop.type === 'item')];
+  await killMonster(looter, slimeId);
+  drops = await Promise.all(spawned);
+});
+after(() => server.stop());
+
+async function teleport(name, socket, x, y) {
+  const moved = once(socket, 'player:teleported');
+  await server.admin('POST', `/admin/players/${name}/teleport`, { map: 'monster_field_1', x, y });
+  await moved;
+}
+
+function pickup(socket, dropId) {
+  const result = Promise.race([
+    once(socket, 'drop:pickupRejected', data => data.dropId === dropId),
+    once(socket, 'drop:pickup', data => data.dropId === dropId)
+  ]);
+  socket.emit('drop:pickup', { dropId });
+  return result;
+}
+
+test('a kill drops bcoins and an item owned by the killer', () => {
+  const bcoins = drops.find(drop => drop.type === 'bcoins');
+  const item = drops.find(drop => drop.type === 'item');
+  assert.ok(bcoins.amount >= 10 && bcoins.amount <= 30);
+  assert.equal(item.itemName, 'potion');
+  for (const drop of drops) assert.deepEqual(drop.owners, ['looter@test.dev']);
+});
+
+test('only the owners may loot during the ownership window', async () => {
+  const [drop] = drops;
+  await teleport('Rival', rival, drop.x, drop.y);
+  assert.deepEqual(await pickup(rival, drop.id), { dropId: drop.id, reason: 'notOwner' });
+});
+
+test('drops must be in reach and can only be picked up once', async () => {
+  const item = drops.find(drop => drop.type === 'item');
+  await teleport('Looter', looter, item.x + 300, item.y);
+  assert.deepEqual(await pickup(looter, item.id), { dropId: item.id, reason: 'outOfRange' });
+
+  await teleport('Looter', looter, item.x, item.y);
+  const inventory = once(looter, 'player:inventoryUpdated');
+  assert.deepEqual(await pickup(looter, item.id), { dropId: item.id, email: 'looter@test.dev' });
+  assert.deepEqual((await inventory).inventory, ['potion']);
+  assert.deepEqual(await pickup(looter, item.id), { dropId: item.id, reason: 'notFound' });
+});
+
+test('picked up bcoins go straight to the wallet', async () => {
+  const bcoins = drops.find(drop => drop.type === 'bcoins');
+  await teleport('Looter', looter, bcoins.x, bcoins.y);
+  const wallet = once(looter, 'player:walletUpdated', data => data.source === 'pickup');
+  await pickup(looter, bcoins.id);
+  assert.equal((await wallet).amount, bcoins.amount);
+});
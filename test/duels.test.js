@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, wait } = require('./helpers');
+
+let server, rook, pawn;
+before(async () => {
+  server = await startServer();
+  rook = await server.join('rook@test.dev', 'Rook');
+  pawn = await server.join('pawn@test.dev', 'Pawn');
+  await server.admin('POST', '/admin/players/Rook/level', { level: 60 });
+});
+after(() => server.stop());
+
+async function challenge(challenger, challenged, fromEmail, targetEmail) {
+  const requested = once(challenged, 'duel:requested');
+  challenger.emit('duel:request', { targetEmail });
+  await requested;
+  const countdown = [once(challenger, 'duel:countdown'), once(challenged, 'duel:countdown')];
+  challenged.emit('duel:accept', { fromEmail });
+  return Promise.all(countdown);
+}
+
+test('duels start after a countdown and the loser is left on 1 HP', async () => {
+  const [countdown] = await challenge(rook, pawn, 'rook@test.dev', 'pawn@test.dev');
+  assert.deepEqual(countdown.opponent, { email: 'pawn@test.dev', name: 'Pawn' });
+
+  // Blows before the start don't land
+  const started = once(rook, 'duel:started');
+  rook.emit('player:pvpAttack', { targetEmail: 'pawn@test.dev' });
+  await started;
+  assert.ok(!rook.events.some(([event]) => event === 'player:attackResult'));
+
+  const ended = once(pawn, 'duel:ended', undefined, 10000);
+  let over = false;
+  ended.then(() => { over = true; }, () => {});
+  while (!over) {
+    rook.emit('player:pvpAttack', { targetEmail: 'pawn@test.dev' });
+    await Promise.race([ended, wait(1100)]);
+  }
+  const { duelId, ...result } = await ended;
+  assert.deepEqual(result, { winner: 'rook@test.dev', loser: 'pawn@test.dev', reason: 'defeated' });
+
+  const hp = pawn.events.filter(([event]) => event === 'player:hpChanged').at(-1)[1].hp;
+  assert.equal(hp, 1);
+});
+
+test('duels count neither as kills nor as deaths', async () => {
+  const [{ body: winner }, { body: loser }] = await Promise.all([
+    server.request('GET', '/characters/Rook/stats'),
+    server.request('GET', '/characters/Pawn/stats')
+  ]);
+  assert.equal(winner.lifetime.pvpKills, 0);
+  assert.equal(loser.lifetime.pvpDeaths, 0);
+  assert.equal(loser.lifetime.deaths, 0);
+});
+
+test('forfeiting hands the win to the opponent', async () => {
+  await challenge(pawn, rook, 'pawn@test.dev', 'rook@test.dev');
+  const ended = once(rook, 'duel:ended');
+  pawn.emit('duel:forfeit');
+  const { winner, reason } = await ended;
+  assert.deepEqual({ winner, reason }, { winner: 'rook@test.dev', reason: 'forfeit' });
+});
+
+test('challengers must be close to their target', async () => {
+  const moved = once(pawn, 'player:teleported');
+  await server.admin('POST', '/admin/players/Pawn/teleport', { map: 'town_1', x: 100, y: 100 });
+  await moved;
+
+  const refused = once(rook, 'duel:error');
+  rook.emit('duel:request', { targetEmail: 'pawn@test.dev' });
+  assert.equal((await refused).message, 'You are too far away to challenge them.');
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, waitFor, killMonster } = require('./helpers');
+
+let server, hunter;
+before(async () => {
+  server = await startServer();
+  hunter = await server.join('hunter@test.dev', 'Hunter', { map: 'monster_field_1' });
+  await server.admin('DELETE', '/admin/maps/monster_field_1/monsters');
+  await server.admin('POST', '/admin/players/Hunter/level', { level: 30 });
+});
+after(() => server.stop());
+
+async function summon(elite) {
+  const spawned = once(hunter, 'monster:spawn', monster => monster.elite === elite);
+  await server.admin('POST', '/admin/maps/monster_field_1/monsters', { type: 'sparklingSlime', level: 1, x: 400, y: 400, elite });
+  return spawned;
+}
+
+test('elites are named, tougher and worth a bigger bounty', async () => {
+  const plain = await summon(false);
+  const elite = await summon(true);
+
+  assert.equal(plain.name, 'Sparkling Slime');
+  assert.match(elite.name, /^(Savage|Ancient|Furious|Blighted|Dread) Sparkling Slime$/);
+  assert.equal(elite.maxHp, plain.maxHp * 3);
+
+  const killed = once(hunter, 'monster:killed', data => data.monsterId === elite.id);
+  await killMonster(hunter, elite.id);
+  assert.equal((await killed).bounty, 5);
+});
+
+test('elites always drop an extra rare material', async () => {
+  const elite = await summon(true);
+  const drops = [];
+  const collect = drop => drops.push(drop);
+  hunter.on('drop:spawn', collect);
+  await killMonster(hunter, elite.id);
+  await waitFor(() => drops.length >= 3);
+  hunter.off('drop:spawn', collect);
+
+  const items = drops.filter(drop => drop.type === 'item').map(drop => drop.itemName);
+  assert.equal(items.length, 2);
+  assert.ok(items.includes('potion'));
+  assert.ok(items.some(item => ['gem', 'crystal', 'lavaStone'].includes(item)));
+});
+
+test('world bosses are listed with their next spawn before they appear', async () => {
+  const { status, body } = await server.request('GET', '/world/bosses');
+  assert.equal(status, 200);
+  const titan = body.find(boss => boss.id === 'infernoTitan');
+  assert.equal(titan.alive, false);
+  assert.equal(titan.maxHp, 8000);
+  assert.equal(titan.mapId, 'monster_field_3');
+  assert.ok(titan.nextSpawnAt > Date.now());
+});
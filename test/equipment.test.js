@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seed, once, lastEvent } = require('./helpers');
+
+let server, knight, base;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      seed(dataDir, 'characters', 'knight@test.dev', {
+        email: 'knight@test.dev', name: 'Knight', character_class: 'warrior', level: 3, xp: 0,
+        inventory: ['woodenSword', 'leatherArmor', 'chainMail', 'shortBow', 'potion'], bcoins: 0
+      });
+    }
+  });
+  knight = await server.join('knight@test.dev', 'Knight');
+  base = lastEvent(knight, 'player:statsInitialized');
+});
+after(() => server.stop());
+
+function equip(itemId) {
+  const result = Promise.race([once(knight, 'player:equipError'), once(knight, 'player:statsUpdated')]);
+  knight.emit('player:equip', { itemId });
+  return result;
+}
+
+test('equipping moves the item into its slot and adds its bonuses', async () => {
+  const stats = await equip('woodenSword');
+  assert.equal(stats.attack, base.attack + 3);
+  assert.deepEqual(lastEvent(knight, 'player:equipmentUpdated'), {
+    equipment: { weapon: 'woodenSword' },
+    inventory: ['leatherArmor', 'chainMail', 'shortBow', 'potion']
+  });
+});
+
+test('items the character cannot use are refused', async () => {
+  assert.deepEqual(await equip('chainMail'), { message: 'You need to be level 10 to equip Chain Mail.' });
+  assert.deepEqual(await equip('shortBow'), { message: 'Short Bow cannot be used by your class.' });
+  assert.deepEqual(await equip('potion'), { message: 'That item cannot be equipped.' });
+  assert.deepEqual(await equip('gem'), { message: 'That item is not in your inventory.' });
+});
+
+test('unequipping puts the item back in the inventory', async () => {
+  await equip('leatherArmor');
+  const updated = once(knight, 'player:equipmentUpdated');
+  knight.emit('player:unequip', { slot: 'armor' });
+  const { equipment, inventory } = await updated;
+  assert.deepEqual(equipment, { weapon: 'woodenSword' });
+  assert.ok(inventory.includes('leatherArmor'));
+
+  const error = once(knight, 'player:equipError');
+  knight.emit('player:unequip', { slot: 'armor' });
+  assert.equal((await error).message, 'Nothing is equipped in that slot.');
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seed, readRecord, once, wait, waitFor } = require('./helpers');
+
+const character = (email, name, bcoins) => ({ email, name, character_class: 'warrior', level: 5, xp: 0, inventory: [], bcoins });
+
+let server, founder, second, third, stranger, guildId;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      seed(dataDir, 'characters', 'founder@test.dev', character('founder@test.dev', 'Founder', 150));
+      seed(dataDir, 'characters', 'poor@test.dev', character('poor@test.dev', 'Poor', 20));
+    }
+  });
+  founder = await server.join('founder@test.dev', 'Founder');
+  second = await server.join('second@test.dev', 'Second');
+  third = await server.join('third@test.dev', 'Third');
+  stranger = await server.join('poor@test.dev', 'Poor');
+});
+after(() => server.stop());
+
+async function invite(from, to, email) {
+  const invited = once(to, 'guild:invited');
+  from.emit('guild:invite', { targetEmail: email });
+  const { guildId } = await invited;
+  const roster = once(to, 'guild:roster');
+  to.emit('guild:accept', { guildId });
+  return roster;
+}
+
+test('founding a guild costs bcoins and needs a free name and tag', async () => {
+  const broke = once(stranger, 'guild:error');
+  stranger.emit('guild:create', { name: 'Paupers', tag: 'PAU' });
+  assert.equal((await broke).message, 'Creating a guild costs 100 bcoins.');
+
+  const badTag = once(founder, 'guild:error');
+  founder.emit('guild:create', { name: 'Night Watch', tag: 'nw' });
+  assert.equal((await badTag).message, 'Guild tags are 2-5 uppercase letters or numbers.');
+
+  const created = once(founder, 'guild:roster');
+  const wallet = once(founder, 'player:walletUpdated');
+  founder.emit('guild:create', { name: 'Night Watch', tag: 'NW' });
+  const roster = await created;
+  guildId = roster.id;
+  assert.deepEqual(roster.members.map(({ name, rank }) => ({ name, rank })), [{ name: 'Founder', rank: 'leader' }]);
+  assert.equal((await wallet).bcoins, 50);
+});
+
+test('invited players join as recruits and the guild is saved', async () => {
+  await invite(founder, second, 'second@test.dev');
+  const roster = await invite(founder, third, 'third@test.dev');
+  assert.deepEqual(roster.members.map(m => m.rank), ['leader', 'recruit', 'recruit']);
+
+  const saved = await waitFor(() => {
+    const record = readRecord(server.dataDir, 'guilds', guildId);
+    return Object.keys(record?.members || {}).length === 3 && record;
+  });
+  assert.equal(saved.tag, 'NW');
+});
+
+test('ranks decide who may invite, promote and kick', async () => {
+  const cannotInvite = once(second, 'guild:error');
+  second.emit('guild:invite', { targetEmail: 'poor@test.dev' });
+  assert.equal((await cannotInvite).message, 'You cannot invite to a guild.');
+
+  const promoted = once(second, 'guild:rankChanged');
+  founder.emit('guild:setRank', { targetEmail: 'second@test.dev', rank: 'officer' });
+  assert.deepEqual(await promoted, { email: 'second@test.dev', name: 'Second', rank: 'officer' });
+
+  const kicked = once(third, 'guild:left');
+  second.emit('guild:kick', { targetEmail: 'third@test.dev' });
+  assert.equal((await kicked).reason, 'kicked');
+
+  const outranked = once(second, 'guild:error');
+  second.emit('guild:kick', { targetEmail: 'founder@test.dev' });
+  assert.equal((await outranked).message, 'You can only kick members ranked below you.');
+});
+
+test('guild chat reaches members only', async () => {
+  const heard = once(second, 'chat:message');
+  founder.emit('player:sendChat', { type: 'guild', message: 'Muster at dawn' });
+  assert.equal((await heard).message, 'Muster at dawn');
+  await wait(100);
+  assert.ok(!third.events.some(([event, data]) => event === 'chat:message' && data.type === 'guild'));
+});
+
+test('the leader must hand over before leaving', async () => {
+  const refused = once(founder, 'guild:error');
+  founder.emit('guild:leave');
+  assert.equal((await refused).message, 'Promote a new leader before leaving, or disband the guild.');
+
+  const handedOver = once(founder, 'guild:rankChanged', data => data.rank === 'leader');
+  founder.emit('guild:setRank', { targetEmail: 'second@test.dev', rank: 'leader' });
+  await handedOver;
+  const left = once(founder, 'guild:left');
+  founder.emit('guild:leave');
+  assert.equal((await left).reason, 'left');
+});
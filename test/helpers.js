@@ -0,0 +1,169 @@
+// Boots a real server.js in a child process against a throwaway DATA_DIR and
+// drives it over HTTP and Socket.IO, the same way a game client does.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const ADMIN_TOKEN = 'test-admin-token';
+
+// Writes records into the file store before the server starts
+function seed(dataDir, collection, id, value) {
+  const dir = path.join(dataDir, collection);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${encodeURIComponent(id)}.json`), JSON.stringify(value));
+}
+
+function readRecord(dataDir, collection, id) {
+  const file = path.join(dataDir, collection, `${encodeURIComponent(id)}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// mapsDir: where the server looks for Tiled collision maps (none by default)
+// contentDir: game content tables (the repo's content/ by default)
+async function startServer({ dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fly-test-')), mapsDir = path.join(dataDir, 'maps'), contentDir, setup } = {}) {
+  if (setup) setup(dataDir);
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      MAPS_DIR: mapsDir,
+      ...(contentDir && { CONTENT_DIR: contentDir }),
+      SESSION_SECRET: 'test-secret',
+      ADMIN_TOKEN
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Multiplayer server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const url = `http://localhost:${port}`;
+  const sockets = [];
+
+  return {
+    url,
+    dataDir,
+
+    async request(method, route, body, headers = {}) {
+      const res = await fetch(url + route, {
+        method,
+        headers: { 'content-type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json().catch(() => null) };
+    },
+
+    admin(method, route, body) {
+      return this.request(method, route, body, { authorization: `Bearer ${ADMIN_TOKEN}` });
+    },
+
+    async register(email, name) {
+      const { status, body } = await this.request('POST', '/auth/register', { email, name, password: 'password123' });
+      if (status !== 201) throw new Error(`Register ${email} failed: ${JSON.stringify(body)}`);
+      return body;
+    },
+
+    // Registers (first time) or logs in and returns the session token
+    async login(email, name) {
+      const session = await this.request('POST', '/auth/login', { email, password: 'password123' });
+      return session.status === 200 ? session.body.token : (await this.register(email, name)).token;
+    },
+
+    // Opens a socket that records every event it receives in `socket.events`
+    connect(token) {
+      const socket = io(url, { transports: ['websocket'], forceNew: true, auth: { token } });
+      sockets.push(socket);
+      socket.events = [];
+      socket.onAny((event, data) => socket.events.push([event, data]));
+      return socket;
+    },
+
+    // Logs in, opens a socket and joins the world
+    async join(email, name, { map = 'town_1', character_class = 'warrior' } = {}) {
+      const socket = this.connect(await this.login(email, name));
+      const joined = once(socket, 'player:statsInitialized');
+      socket.emit('player:join', { character_class, map });
+      await joined;
+      return socket;
+    },
+
+    async stop({ keepData = false } = {}) {
+      for (const socket of sockets) socket.close();
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.on('exit', resolve));
+        child.kill('SIGTERM');
+        await exited;
+      }
+      if (!keepData) fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Resolves with the next `event` payload that passes `filter`
+function once(socket, event, filter = () => true, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+    function handler(data) {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls until `check` returns something truthy (saves land asynchronously)
+async function waitFor(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await wait(50);
+  }
+}
+
+// Keeps attacking (at the basic attack cooldown) until the monster despawns
+async function killMonster(socket, monsterId, timeout = 10000) {
+  const dead = once(socket, 'monster:despawn', data => data.id === monsterId, timeout);
+  let killed = false;
+  dead.then(() => { killed = true; }, () => {});
+  while (!killed) {
+    socket.emit('monster:hit', { monsterId });
+    await Promise.race([dead, wait(1100)]);
+  }
+}
+
+// Payload of the most recent `event` the socket received
+const lastEvent = (socket, event) => socket.events.filter(([name]) => name === event).at(-1)?.[1];
+
+function getSeasonId(date = new Date()) {
+  return `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+}
+
+module.exports = { startServer, seed, readRecord, once, wait, waitFor, killMonster, lastEvent, getSeasonId };
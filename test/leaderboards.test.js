@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seed, once, getSeasonId } = require('./helpers');
+
+const season = getSeasonId();
+const lifetime = (pvpKills, pvpDeaths) => ({ monsterKills: { slime: 4 }, deaths: 1, pvpKills, pvpDeaths, highestLevel: 0, bcoinsEarned: 30 });
+const characters = [
+  ['ace@test.dev', 'Ace', 14, 1600, lifetime(3, 1)],
+  ['bolt@test.dev', 'Bolt', 12, 1500, lifetime(5, 2)],
+  ['cid@test.dev', 'Cid', 20, null, lifetime(0, 0)]
+];
+
+let server;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      for (const [email, name, level, rating, stats] of characters) {
+        seed(dataDir, 'characters', email, { email, name, character_class: 'warrior', level, xp: 0, lifetime: stats });
+        seed(dataDir, 'names', name.toLowerCase(), { email });
+        if (rating) seed(dataDir, 'ratings', `${season}:1v1:${email}`, { season, mode: '1v1', email, name, rating, wins: 1, losses: 0, draws: 0 });
+      }
+    }
+  });
+});
+after(() => server.stop());
+
+test('the level board ranks stored characters without anyone online', async () => {
+  const { body } = await server.request('GET', '/leaderboards/level');
+  assert.deepEqual(body.entries.map(({ rank, name, level }) => [rank, name, level]), [[1, 'Cid', 20], [2, 'Ace', 14], [3, 'Bolt', 12]]);
+});
+
+test('the pvp board skips characters without kills', async () => {
+  const { body } = await server.request('GET', '/leaderboards/pvpKills');
+  assert.deepEqual(body.entries.map(({ name, pvpKills, pvpDeaths }) => [name, pvpKills, pvpDeaths]), [['Bolt', 5, 2], ['Ace', 3, 1]]);
+});
+
+test('the rating board pages through the ladder', async () => {
+  const { status, body } = await server.request('GET', '/leaderboards/rating?mode=1v1&limit=1&page=2');
+  assert.equal(status, 200);
+  assert.equal(body.total, 2);
+  assert.deepEqual(body.entries, [{ rank: 2, name: 'Bolt', rating: 1500, wins: 1, losses: 0, draws: 0 }]);
+});
+
+test('unknown boards and modes are rejected', async () => {
+  assert.equal((await server.request('GET', '/leaderboards/gold')).status, 404);
+  assert.equal((await server.request('GET', '/leaderboards/rating?mode=9v9')).status, 400);
+});
+
+test('character stats show lifetime totals and season ratings', async () => {
+  const { body } = await server.request('GET', '/characters/Ace/stats');
+  assert.equal(body.online, false);
+  assert.equal(body.lifetime.pvpKills, 3);
+  assert.equal(body.lifetime.highestLevel, 14);
+  assert.deepEqual(body.ratings['1v1'], { rating: 1600, wins: 1, losses: 0, draws: 0 });
+  assert.equal((await server.request('GET', '/characters/Nobody/stats')).status, 404);
+});
+
+test('arena deaths count as deaths and pvp deaths', async () => {
+  const dex = await server.join('dex@test.dev', 'Dex');
+  const moved = once(dex, 'player:teleported');
+  await server.admin('POST', '/admin/players/Dex/teleport', { map: 'pvp_arena' });
+  await moved;
+
+  const died = once(dex, 'player:hpChanged', data => data.hp === 0);
+  dex.emit('player:hit', { damage: 9999 });
+  await died;
+
+  const { body } = await server.request('GET', '/characters/Dex/stats');
+  assert.equal(body.lifetime.deaths, 1);
+  assert.equal(body.lifetime.pvpDeaths, 1);
+});
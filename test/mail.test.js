@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seed, once, wait, lastEvent } = require('./helpers');
+
+const character = (email, name, extra) => ({
+  email, name, character_class: 'warrior', level: 5, xp: 0, inventory: [], bcoins: 0, ...extra
+});
+
+let server, courier, buyer, writer;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      seed(dataDir, 'characters', 'courier@test.dev', character('courier@test.dev', 'Courier', { inventory: ['stone'], bcoins: 40 }));
+      seed(dataDir, 'characters', 'writer@test.dev', character('writer@test.dev', 'Writer'));
+      seed(dataDir, 'characters', 'buyer@test.dev', character('buyer@test.dev', 'Buyer', { inventory: ['gem'], bcoins: 60 }));
+    }
+  });
+  courier = await server.join('courier@test.dev', 'Courier');
+  buyer = await server.join('buyer@test.dev', 'Buyer');
+  writer = await server.join('writer@test.dev', 'Writer');
+});
+after(() => server.stop());
+
+test('mail attachments leave the sender at once and can be claimed exactly once', async () => {
+  const received = once(buyer, 'mail:received');
+  const sent = once(courier, 'mail:sent');
+  courier.emit('mail:send', { toName: 'Buyer', subject: 'Parcel', items: ['stone'], bcoins: 15 });
+  await sent;
+  const mail = await received;
+  await wait(100);
+
+  assert.deepEqual(lastEvent(courier, 'player:inventoryUpdated').inventory, []);
+  assert.equal(lastEvent(courier, 'player:walletUpdated').bcoins, 25);
+
+  const claimed = once(buyer, 'mail:claimed');
+  buyer.emit('mail:claim', { mailId: mail.id });
+  assert.deepEqual(await claimed, { mailId: mail.id, items: ['stone'], bcoins: 15 });
+
+  const again = once(buyer, 'mail:error');
+  buyer.emit('mail:claim', { mailId: mail.id });
+  assert.equal((await again).message, 'Nothing to claim.');
+
+  await wait(100);
+  assert.deepEqual(lastEvent(buyer, 'player:inventoryUpdated').inventory, ['gem', 'stone']);
+  assert.equal(lastEvent(buyer, 'player:walletUpdated').bcoins, 75);
+});
+
+test('mail that cannot be addressed does not use up the send cooldown', async () => {
+  for (const [toName, message] of [['Nobody', 'No character by that name.'], ['Writer', 'You cannot mail yourself.']]) {
+    const refused = once(writer, 'mail:error');
+    writer.emit('mail:send', { toName, subject: 'Hello' });
+    assert.equal((await refused).message, message);
+  }
+
+  const sent = once(writer, 'mail:sent');
+  writer.emit('mail:send', { toName: 'Buyer', subject: 'Hello' });
+  assert.equal((await sent).toName, 'Buyer');
+
+  const tooSoon = once(writer, 'mail:error');
+  writer.emit('mail:send', { toName: 'Buyer', subject: 'Hello again' });
+  assert.equal((await tooSoon).message, 'You are sending mail too quickly.');
+});
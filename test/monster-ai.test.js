@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, wait, waitFor, lastEvent } = require('./helpers');
+
+let server, tank, archer;
+before(async () => {
+  server = await startServer();
+  tank = await server.join('tank@test.dev', 'Tank', { map: 'monster_field_1' });
+  archer = await server.join('bowman@test.dev', 'Bowman', { map: 'monster_field_1', character_class: 'archer' });
+  await server.admin('DELETE', '/admin/maps/monster_field_1/monsters');
+});
+after(() => server.stop());
+
+async function teleport(name, socket, x, y) {
+  const moved = once(socket, 'player:teleported');
+  await server.admin('POST', `/admin/players/${name}/teleport`, { map: 'monster_field_1', x, y });
+  await moved;
+}
+
+async function summon(type, x, y) {
+  const { body } = await server.admin('POST', '/admin/maps/monster_field_1/monsters', { type, level: 1, x, y });
+  return body.monsters[0];
+}
+
+// Without acks every snapshot carries the full state of everything in view
+const seenAs = (socket, id) => lastEvent(socket, 'world:snapshot')?.monsters.find(m => m.id === id);
+
+test('monsters turn on whoever has done them the most damage', async () => {
+  await teleport('Tank', tank, 1500, 1500);
+  await teleport('Bowman', archer, 1500, 1600);
+  const golemId = await summon('mudGolem', 400, 400);
+  await wait(200);
+  await teleport('Tank', tank, 400, 400);
+
+  const golem = await waitFor(() => seenAs(tank, golemId)?.target === 'tank@test.dev' && seenAs(tank, golemId));
+  await teleport('Bowman', archer, golem.x + 260, golem.y);
+
+  await waitFor(async () => {
+    const hit = once(archer, 'monster:hit', data => data.id === golemId);
+    archer.emit('monster:hit', { monsterId: golemId });
+    const { damage } = await hit;
+    if (damage <= 1) await wait(1000);
+    return damage > 1;
+  }, 8000);
+  await waitFor(() => seenAs(archer, golemId)?.target === 'bowman@test.dev');
+});
+
+test('monsters pulled away and then dropped walk home, immune and healing', async () => {
+  await server.admin('DELETE', '/admin/maps/monster_field_1/monsters');
+  await teleport('Bowman', archer, 1500, 1600);
+  await teleport('Tank', tank, 900, 400);
+  const ravenId = await summon('stormRaven', 400, 400);
+  const raven = await waitFor(() => seenAs(tank, ravenId));
+  const home = { x: raven.x, y: raven.y };
+
+  // Lure it well past its aggro range, then vanish
+  await teleport('Tank', tank, home.x + 150, home.y);
+  await waitFor(() => seenAs(tank, ravenId)?.state === 'chasing');
+  await teleport('Tank', tank, home.x + 400, home.y);
+  await waitFor(() => seenAs(tank, ravenId)?.x > home.x + 200, 15000);
+  await teleport('Tank', tank, 2300, 1800);
+  await teleport('Bowman', archer, home.x + 100, home.y + 250);
+
+  await waitFor(() => seenAs(archer, ravenId)?.state === 'returning');
+  const hit = once(archer, 'monster:hit', data => data.id === ravenId);
+  archer.emit('monster:hit', { monsterId: ravenId });
+  assert.deepEqual((({ damage, isMiss }) => ({ damage, isMiss }))(await hit), { damage: 0, isMiss: true });
+
+  const back = await waitFor(() => {
+    const now = seenAs(archer, ravenId);
+    return now?.state === 'idle' && now;
+  }, 10000);
+  assert.ok(Math.hypot(back.x - home.x, back.y - home.y) < 15); // idle monsters wander a little
+  assert.equal(back.hp, back.maxHp);
+});
@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, wait } = require('./helpers');
+
+let server, socket, start;
+before(async () => {
+  server = await startServer();
+  socket = await server.join('runner@test.dev', 'Runner');
+  start = socket.events.find(([event]) => event === 'player:teleported')[1];
+});
+after(() => server.stop());
+
+test('a teleport-sized step is pulled back by the speed check', async () => {
+  await wait(100);
+  const corrected = once(socket, 'player:positionCorrected');
+  socket.emit('player:move', { position: { x: start.x + 900, y: start.y }, direction: 'right', state: 'walk' });
+  assert.deepEqual(await corrected, { map: 'town_1', x: start.x, y: start.y, reason: 'speed' });
+});
+
+test('a walking-pace step is accepted', async () => {
+  const corrections = () => socket.events.filter(([event]) => event === 'player:positionCorrected').length;
+  const before = corrections();
+  await wait(300);
+  socket.emit('player:move', { position: { x: start.x + 20, y: start.y }, direction: 'right', state: 'walk' });
+  await wait(200);
+  assert.equal(corrections(), before);
+});
+
+test('rejoining on the same socket ignores the client position', async () => {
+  const rejoined = once(socket, 'player:teleported');
+  socket.emit('player:join', { character_class: 'warrior', map: 'monster_field_1', position: { x: 990, y: 990 } });
+  assert.deepEqual(await rejoined, { map: 'town_1', x: start.x + 20, y: start.y });
+});
+
+test('joins cannot pick a map the character may not enter', async () => {
+  const rookie = server.connect(await server.login('rookie@test.dev', 'Rookie'));
+  const denied = once(rookie, 'player:joinError');
+  rookie.emit('player:join', { character_class: 'warrior', map: 'pvp_arena' });
+  assert.match((await denied).message, /level 10\+/);
+
+  const unknown = once(rookie, 'player:joinError');
+  rookie.emit('player:join', { character_class: 'warrior', map: 'nowhere' });
+  assert.match((await unknown).message, /Unknown map/);
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, wait, killMonster } = require('./helpers');
+
+let server, leader, member, outsider;
+before(async () => {
+  server = await startServer();
+  leader = await server.join('leader@test.dev', 'Leader', { map: 'monster_field_1' });
+  member = await server.join('member@test.dev', 'Member', { map: 'monster_field_1' });
+  outsider = await server.join('outsider@test.dev', 'Outsider', { map: 'monster_field_1' });
+  await server.admin('DELETE', '/admin/maps/monster_field_1/monsters');
+  await server.admin('POST', '/admin/players/Leader/level', { level: 30 });
+});
+after(() => server.stop());
+
+async function killSlime() {
+  const { body } = await server.admin('POST', '/admin/maps/monster_field_1/monsters', { type: 'sparklingSlime', level: 1, x: 400, y: 400 });
+  const [slimeId] = body.monsters;
+  const drops = [once(leader, 'drop:spawn'), once(leader, 'drop:spawn', drop => drop.type === 'item')];
+  await killMonster(leader, slimeId);
+  return Promise.all(drops);
+}
+
+test('an accepted invite forms a party led by the inviter', async () => {
+  const invited = once(member, 'party:invited');
+  leader.emit('party:invite', { targetEmail: 'member@test.dev' });
+  assert.equal((await invited).fromName, 'Leader');
+
+  const updated = once(leader, 'party:updated');
+  member.emit('party:accept', { fromEmail: 'leader@test.dev' });
+  const party = await updated;
+  assert.equal(party.leader, 'leader@test.dev');
+  assert.equal(party.lootMode, 'freeForAll');
+  assert.deepEqual(party.members.map(m => m.name), ['Leader', 'Member']);
+});
+
+test('only the leader manages the party', async () => {
+  const refused = once(member, 'party:error');
+  member.emit('party:invite', { targetEmail: 'outsider@test.dev' });
+  assert.equal((await refused).message, 'Only the party leader can invite.');
+
+  const badMode = once(leader, 'party:error');
+  leader.emit('party:setLootMode', { mode: 'finders' });
+  assert.match((await badMode).message, /Loot mode must be one of/);
+
+  const stale = once(outsider, 'party:error');
+  outsider.emit('party:accept', { fromEmail: 'leader@test.dev' });
+  assert.equal((await stale).message, 'That invite has expired.');
+});
+
+test('nearby members share kill XP and free-for-all loot', async () => {
+  const xp = once(member, 'player:xpUpdated');
+  const drops = await killSlime();
+  assert.ok((await xp).xp > 0);
+  for (const drop of drops) assert.deepEqual(drop.owners, ['leader@test.dev', 'member@test.dev']);
+});
+
+test('round robin hands each kill, with all of its drops, to the next member', async () => {
+  const changed = once(leader, 'party:updated');
+  leader.emit('party:setLootMode', { mode: 'roundRobin' });
+  assert.equal((await changed).lootMode, 'roundRobin');
+
+  const first = await killSlime();
+  await wait(1100);
+  const second = await killSlime();
+  assert.deepEqual(first.map(drop => drop.owners), [['leader@test.dev'], ['leader@test.dev']]);
+  assert.deepEqual(second.map(drop => drop.owners), [['member@test.dev'], ['member@test.dev']]);
+});
+
+test('leaving disbands a party of two', async () => {
+  const left = once(member, 'party:left');
+  const disbanded = once(leader, 'party:disbanded');
+  member.emit('party:leave');
+  assert.equal((await left).reason, 'left');
+  await disbanded;
+});
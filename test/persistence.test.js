@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, readRecord, once, wait, waitFor } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+test('a character is saved on logout and comes back unchanged', async () => {
+  const socket = await server.join('keeper@test.dev', 'Keeper');
+  const [, start] = socket.events.find(([event]) => event === 'player:teleported');
+
+  const allocated = once(socket, 'player:statsUpdated');
+  socket.emit('player:allocateStat', { stat: 'VIT', points: 2 });
+  assert.equal((await allocated).stats.VIT, 3);
+
+  await wait(300);
+  socket.emit('player:move', { position: { x: start.x + 30, y: start.y }, direction: 'right', state: 'walk' });
+  await wait(100);
+  socket.close();
+
+  const saved = await waitFor(() => {
+    const record = readRecord(server.dataDir, 'characters', 'keeper@test.dev');
+    return record?.x === start.x + 30 && record;
+  });
+  assert.equal(saved.stats.VIT, 3);
+  assert.equal(saved.statPointsAvailable, 3);
+  assert.equal(saved.map, 'town_1');
+
+  const again = await server.join('keeper@test.dev', 'Keeper', { map: 'monster_field_1' });
+  const [, stats] = again.events.find(([event]) => event === 'player:statsInitialized');
+  const [, spot] = again.events.find(([event]) => event === 'player:teleported');
+  assert.equal(stats.stats.VIT, 3);
+  assert.deepEqual(spot, { map: 'town_1', x: start.x + 30, y: start.y });
+});
+
+test('characters survive a server restart', async () => {
+  await server.stop({ keepData: true });
+  server = await startServer({ dataDir: server.dataDir });
+
+  const socket = await server.join('keeper@test.dev', 'Keeper');
+  const [, stats] = socket.events.find(([event]) => event === 'player:statsInitialized');
+  assert.equal(stats.stats.VIT, 3);
+  assert.equal(stats.statPointsAvailable, 3);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seed, once, killMonster, lastEvent } = require('./helpers');
+
+let server, hero;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      seed(dataDir, 'characters', 'hero@test.dev', {
+        email: 'hero@test.dev', name: 'Hero', character_class: 'warrior', level: 10, xp: 0,
+        map: 'town_1', x: 1350, y: 850, inventory: ['crystal', 'crystal', 'crystal', 'crystal', 'crystal', 'gem'], bcoins: 0
+      });
+    }
+  });
+  hero = await server.join('hero@test.dev', 'Hero');
+});
+after(() => server.stop());
+
+function quest(event, questId, reply) {
+  const result = Promise.race([once(hero, 'quest:error'), once(hero, reply)]);
+  hero.emit(event, { questId });
+  return result;
+}
+
+async function teleport(map, x, y) {
+  const moved = once(hero, 'player:teleported');
+  await server.admin('POST', '/admin/players/Hero/teleport', { map, x, y });
+  await moved;
+}
+
+test('quests are taken from their giver', async () => {
+  assert.deepEqual(await quest('quest:accept', 'slimeCull', 'quest:accepted'),
+    { questId: 'slimeCull', message: 'You need to talk to the quest giver.' });
+});
+
+test('carried items count towards collect objectives and are handed in', async () => {
+  const ready = once(hero, 'quest:ready');
+  const accepted = await quest('quest:accept', 'crystalOrder', 'quest:accepted');
+  assert.equal(accepted.status, 'active');
+  assert.deepEqual(await ready, { questId: 'crystalOrder', giver: 'town_1_smith' });
+
+  const wallet = once(hero, 'player:walletUpdated');
+  const completed = await quest('quest:complete', 'crystalOrder', 'quest:completed');
+  assert.deepEqual(completed.rewards.items, ['swiftBoots']);
+  assert.deepEqual(lastEvent(hero, 'player:inventoryUpdated').inventory, ['gem', 'swiftBoots']);
+  assert.equal((await wallet).bcoins, 120);
+
+  assert.deepEqual(await quest('quest:accept', 'crystalOrder', 'quest:accepted'),
+    { questId: 'crystalOrder', message: 'You cannot take that quest.' });
+});
+
+test('travel objectives complete on arriving at the map', async () => {
+  await teleport('town_1', 1200, 800);
+  await quest('quest:accept', 'arenaScout', 'quest:accepted');
+  assert.deepEqual(await quest('quest:complete', 'arenaScout', 'quest:completed'),
+    { questId: 'arenaScout', message: 'That quest is not finished yet.' });
+
+  const ready = once(hero, 'quest:ready');
+  hero.emit('player:changeMap', { map: 'pvp_arena' });
+  assert.equal((await ready).questId, 'arenaScout');
+});
+
+test('kill objectives count kills of the right type on the right map', async () => {
+  await teleport('town_1', 1200, 800);
+  await quest('quest:accept', 'slimeCull', 'quest:accepted');
+  await server.admin('POST', '/admin/players/Hero/level', { level: 30 });
+  await teleport('monster_field_1', 400, 400);
+  await server.admin('DELETE', '/admin/maps/monster_field_1/monsters');
+
+  const { body } = await server.admin('POST', '/admin/maps/monster_field_1/monsters', { type: 'sparklingSlime', level: 1, x: 400, y: 400 });
+  const progress = once(hero, 'quest:progress', data => data.questId === 'slimeCull');
+  await killMonster(hero, body.monsters[0]);
+  assert.deepEqual(await progress, { questId: 'slimeCull', objective: 0, progress: 1, count: 8 });
+});
@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seed, once, getSeasonId } = require('./helpers');
+
+const season = getSeasonId();
+const players = [['ace@test.dev', 'Ace', 1600], ['bolt@test.dev', 'Bolt', 1500]];
+
+let server, ace, bolt;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      for (const [email, name, rating] of players) {
+        seed(dataDir, 'characters', email, { email, name, character_class: 'warrior', level: 12, xp: 0 });
+        seed(dataDir, 'ratings', `${season}:1v1:${email}`, { season, mode: '1v1', email, name, rating, wins: 0, losses: 0, draws: 0 });
+      }
+    }
+  });
+  ace = await server.join('ace@test.dev', 'Ace');
+  bolt = await server.join('bolt@test.dev', 'Bolt');
+});
+after(() => server.stop());
+
+test('ranked results move both ratings by the team Elo change', async () => {
+  const found = once(ace, 'ranked:matchFound', undefined, 10000);
+  ace.emit('ranked:queue', { mode: '1v1' });
+  bolt.emit('ranked:queue', { mode: '1v1' });
+  const match = await found;
+  assert.deepEqual(match.teams.map(team => team.map(p => p.rating)), [[1500], [1600]]);
+
+  // Expected score for 1600 vs 1500 is 0.64, so a win is worth round(32 * 0.36) = 12
+  const aceResult = once(ace, 'ranked:matchEnd');
+  const boltResult = once(bolt, 'ranked:matchEnd');
+  bolt.emit('ranked:forfeit');
+  assert.deepEqual(
+    [await aceResult, await boltResult].map(({ result, ratingChange, rating }) => ({ result, ratingChange, rating })),
+    [{ result: 'win', ratingChange: 12, rating: 1612 }, { result: 'loss', ratingChange: -12, rating: 1488 }]
+  );
+
+  const { body } = await server.request('GET', '/ranked/standings?mode=1v1');
+  assert.deepEqual(body.standings.map(({ name, rating, wins, losses }) => ({ name, rating, wins, losses })), [
+    { name: 'Ace', rating: 1612, wins: 1, losses: 0 },
+    { name: 'Bolt', rating: 1488, wins: 0, losses: 1 }
+  ]);
+});
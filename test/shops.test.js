@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seed, once } = require('./helpers');
+
+const MERCHANT = 'town_1_merchant';
+
+let server, shopper;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      seed(dataDir, 'characters', 'shopper@test.dev', {
+        email: 'shopper@test.dev', name: 'Shopper', character_class: 'warrior', level: 5, xp: 0,
+        map: 'town_1', x: 1600, y: 900, inventory: ['gem', 'gem'], bcoins: 70
+      });
+    }
+  });
+  shopper = await server.join('shopper@test.dev', 'Shopper');
+});
+after(() => server.stop());
+
+function shop(event, payload, reply) {
+  const result = Promise.race([once(shopper, 'shop:error'), once(shopper, reply)]);
+  shopper.emit(event, payload);
+  return result;
+}
+
+test('shops only open next to their NPC', async () => {
+  assert.deepEqual(await shop('shop:open', { npcId: MERCHANT }, 'shop:opened'), { message: 'You are too far from Mira the Merchant.' });
+  assert.deepEqual(await shop('shop:open', { npcId: 'town_1_captain' }, 'shop:opened'), { message: 'There is no shop here.' });
+
+  const moved = once(shopper, 'player:teleported');
+  await server.admin('POST', '/admin/players/Shopper/teleport', { map: 'town_1', x: 1100, y: 900 });
+  await moved;
+
+  const opened = await shop('shop:open', { npcId: MERCHANT }, 'shop:opened');
+  assert.deepEqual(opened.stock.find(entry => entry.itemId === 'potion'), { itemId: 'potion', name: 'Health Potion', price: 20 });
+  assert.deepEqual(opened.sellPrices, { gem: 25 });
+});
+
+test('buying charges the stock price and refuses what the wallet cannot cover', async () => {
+  const wallet = once(shopper, 'player:walletUpdated');
+  assert.deepEqual(await shop('shop:buy', { npcId: MERCHANT, itemId: 'potion', quantity: 3 }, 'shop:bought'),
+    { npcId: MERCHANT, itemId: 'potion', quantity: 3, total: 60 });
+  assert.equal((await wallet).bcoins, 10);
+
+  assert.deepEqual(await shop('shop:buy', { npcId: MERCHANT, itemId: 'leatherCap' }, 'shop:bought'), { message: 'You do not have enough bcoins.' });
+  assert.deepEqual(await shop('shop:buy', { npcId: MERCHANT, itemId: 'woodenSword' }, 'shop:bought'), { message: 'Mira the Merchant does not sell that.' });
+  assert.deepEqual(await shop('shop:buy', { npcId: MERCHANT, itemId: 'potion', quantity: 0 }, 'shop:bought'), { message: 'Invalid quantity.' });
+});
+
+test('selling pays the catalog value for items the player has', async () => {
+  assert.deepEqual(await shop('shop:sell', { npcId: MERCHANT, itemId: 'gem', quantity: 3 }, 'shop:sold'), { message: 'You do not have enough of that item.' });
+
+  const inventory = once(shopper, 'player:inventoryUpdated');
+  assert.deepEqual(await shop('shop:sell', { npcId: MERCHANT, itemId: 'gem', quantity: 2 }, 'shop:sold'),
+    { npcId: MERCHANT, itemId: 'gem', quantity: 2, total: 50 });
+  assert.deepEqual((await inventory).inventory, ['potion', 'potion', 'potion']);
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, wait, lastEvent } = require('./helpers');
+
+let server, mage, spot, slimeId;
+before(async () => {
+  server = await startServer();
+  mage = await server.join('caster@test.dev', 'Caster', { map: 'monster_field_1', character_class: 'mage' });
+  spot = lastEvent(mage, 'player:teleported');
+  await server.admin('DELETE', '/admin/maps/monster_field_1/monsters');
+  const { body } = await server.admin('POST', '/admin/maps/monster_field_1/monsters', { type: 'sparklingSlime', level: 1, x: spot.x + 150, y: spot.y });
+  [slimeId] = body.monsters;
+});
+after(() => server.stop());
+
+function cast(skillType, data) {
+  const result = Promise.race([once(mage, 'player:skillRejected'), once(mage, 'player:skillStarted')]);
+  mage.emit('player:skill', { skillType, data });
+  return result;
+}
+
+test('the class skill bar comes with the join', () => {
+  const { skills, mana, maxMana } = lastEvent(mage, 'player:skillsInitialized');
+  assert.deepEqual(Object.keys(skills), ['fireball', 'frostLance', 'meteor']);
+  assert.equal(mana, maxMana);
+});
+
+test('a cast pays its mana, starts its cooldown and hits what is under the aim point', async () => {
+  await wait(200);
+  const slime = lastEvent(mage, 'world:snapshot').monsters.find(m => m.id === slimeId);
+  const result = once(mage, 'player:skillResult');
+  const started = await cast('fireball', { x: slime.x, y: slime.y });
+  assert.equal(started.castTime, 800);
+  assert.equal(started.mana, started.maxMana - 20);
+  assert.ok(started.cooldownUntil > Date.now() + 2000);
+
+  const rejected = await cast('fireball', { x: slime.x, y: slime.y });
+  assert.deepEqual(rejected, { skillType: 'fireball', reason: 'alreadyCasting' });
+
+  const { hits } = await result;
+  assert.deepEqual(hits.map(({ kind, id }) => ({ kind, id })), [{ kind: 'monster', id: slimeId }]);
+  assert.deepEqual(await cast('fireball', { x: slime.x, y: slime.y }), { skillType: 'fireball', reason: 'cooldown' });
+});
+
+test('skills are checked against class, level and range', async () => {
+  assert.deepEqual(await cast('powerSlash'), { skillType: 'powerSlash', reason: 'unknownSkill' });
+  assert.deepEqual(await cast('meteor', { x: spot.x, y: spot.y }), { skillType: 'meteor', reason: 'levelTooLow' });
+  await server.admin('POST', '/admin/players/Caster/level', { level: 5 });
+  assert.deepEqual(await cast('frostLance', { x: spot.x + 1000, y: spot.y }), { skillType: 'frostLance', reason: 'outOfRange' });
+});
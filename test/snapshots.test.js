@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, once, wait } = require('./helpers');
+
+let server, viewer, walker, start;
+before(async () => {
+  server = await startServer();
+  viewer = await server.join('viewer@test.dev', 'Viewer');
+  walker = await server.join('walker@test.dev', 'Walker');
+  start = walker.events.find(([event]) => event === 'player:teleported')[1];
+});
+after(() => server.stop());
+
+const snapshots = (socket) => socket.events.filter(([event]) => event === 'world:snapshot').map(([, data]) => data);
+
+test('unacknowledged snapshots keep resending the full view', async () => {
+  await wait(350);
+  const recent = snapshots(viewer).slice(-3);
+  assert.equal(recent.length, 3);
+  for (const snapshot of recent) {
+    assert.equal(snapshot.baseSeq, 0);
+    assert.deepEqual(snapshot.players.map(p => p.email), ['walker@test.dev']);
+  }
+});
+
+test('after an ack only changes are sent, against the acked baseline', async () => {
+  const { seq } = snapshots(viewer).at(-1);
+  viewer.emit('world:ack', { seq });
+  await wait(300);
+  const countAfterAck = snapshots(viewer).length;
+  await wait(300);
+  assert.equal(snapshots(viewer).length, countAfterAck, 'nothing changed, so nothing is sent');
+
+  const delta = once(viewer, 'world:snapshot');
+  walker.emit('player:move', { position: { x: start.x + 20, y: start.y }, direction: 'right', state: 'walk' });
+  const { baseSeq, players } = await delta;
+  assert.equal(baseSeq, seq);
+  assert.deepEqual(players.map(({ email, x }) => ({ email, x })), [{ email: 'walker@test.dev', x: start.x + 20 }]);
+});
+
+test('acks for snapshots that were never sent are ignored', async () => {
+  const { seq, baseSeq } = snapshots(viewer).at(-1);
+  viewer.emit('world:ack', { seq: seq + 1000 });
+  viewer.emit('world:ack', { seq: 'latest' });
+  await wait(100);
+
+  const next = once(viewer, 'world:snapshot');
+  walker.emit('player:move', { position: { x: start.x + 40, y: start.y }, direction: 'right', state: 'walk' });
+  assert.equal((await next).baseSeq, baseSeq);
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, seed, once, wait, lastEvent } = require('./helpers');
+
+const character = (email, name, extra) => ({
+  email, name, character_class: 'warrior', level: 5, xp: 0, inventory: [], bcoins: 0, ...extra
+});
+
+let server, seller, buyer;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      seed(dataDir, 'characters', 'seller@test.dev', character('seller@test.dev', 'Seller', { inventory: ['gem', 'potion'], bcoins: 100 }));
+      seed(dataDir, 'characters', 'buyer@test.dev', character('buyer@test.dev', 'Buyer', { bcoins: 50 }));
+    }
+  });
+  seller = await server.join('seller@test.dev', 'Seller');
+  buyer = await server.join('buyer@test.dev', 'Buyer');
+});
+after(() => server.stop());
+
+test('a trade swaps both offers only after both sides confirm', async () => {
+  const requested = once(buyer, 'trade:requested');
+  seller.emit('trade:request', { targetEmail: 'buyer@test.dev' });
+  await requested;
+
+  const opened = once(seller, 'trade:opened');
+  buyer.emit('trade:accept', { fromEmail: 'seller@test.dev' });
+  await opened;
+
+  const refused = once(seller, 'trade:error');
+  seller.emit('trade:offer', { items: ['stone'] });
+  assert.equal((await refused).message, 'You do not have those items.');
+
+  seller.emit('trade:offer', { items: ['gem'], bcoins: 30 });
+  buyer.emit('trade:offer', { bcoins: 20 });
+  await wait(100); // a changed offer unlocks both sides, so lock only once both are in
+  seller.emit('trade:lock');
+  buyer.emit('trade:lock');
+  await wait(100);
+
+  seller.emit('trade:confirm');
+  await wait(100);
+  assert.ok(!seller.events.some(([event]) => event === 'trade:completed'));
+
+  const completed = once(seller, 'trade:completed');
+  buyer.emit('trade:confirm');
+  await completed;
+  await wait(100);
+
+  assert.deepEqual(lastEvent(seller, 'player:inventoryUpdated').inventory, ['potion']);
+  assert.deepEqual(lastEvent(buyer, 'player:inventoryUpdated').inventory, ['gem']);
+  assert.equal(lastEvent(seller, 'player:walletUpdated').bcoins, 90);
+  assert.equal(lastEvent(buyer, 'player:walletUpdated').bcoins, 60);
+});
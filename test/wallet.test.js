@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, seed, readRecord, once, wait, waitFor } = require('./helpers');
+
+const character = (email, name, bcoins) => ({ email, name, character_class: 'warrior', level: 5, xp: 0, inventory: [], bcoins });
+
+function readLedger(dataDir, email) {
+  const file = path.join(dataDir, 'ledger', `${encodeURIComponent(email)}.jsonl`);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : [];
+}
+
+let server, payer, payee;
+before(async () => {
+  server = await startServer({
+    setup(dataDir) {
+      seed(dataDir, 'characters', 'payer@test.dev', character('payer@test.dev', 'Payer', 100));
+      seed(dataDir, 'characters', 'payee@test.dev', character('payee@test.dev', 'Payee', 5));
+    }
+  });
+  payer = await server.join('payer@test.dev', 'Payer');
+  payee = await server.join('payee@test.dev', 'Payee');
+
+  const opened = once(payer, 'trade:opened');
+  payer.emit('trade:request', { targetEmail: 'payee@test.dev' });
+  await once(payee, 'trade:requested');
+  payee.emit('trade:accept', { fromEmail: 'payer@test.dev' });
+  await opened;
+});
+after(() => server.stop());
+
+function offer(bcoins) {
+  const result = Promise.race([once(payer, 'trade:error'), once(payer, 'trade:updated')]);
+  payer.emit('trade:offer', { bcoins });
+  return result;
+}
+
+test('amounts that are not whole, positive and covered are refused', async () => {
+  assert.equal((await offer(2.5)).message, 'Invalid bcoins amount.');
+  assert.equal((await offer(-10)).message, 'Invalid bcoins amount.');
+  assert.equal((await offer(101)).message, 'You do not have enough bcoins.');
+});
+
+test('every balance change is written to both ledgers and the saved wallets', async () => {
+  await offer(30);
+  await wait(100);
+  payer.emit('trade:lock');
+  payee.emit('trade:lock');
+  await wait(100);
+  const done = once(payer, 'trade:completed');
+  payer.emit('trade:confirm');
+  payee.emit('trade:confirm');
+  await done;
+
+  const [debit] = await waitFor(() => readLedger(server.dataDir, 'payer@test.dev').length && readLedger(server.dataDir, 'payer@test.dev'));
+  const [credit] = await waitFor(() => readLedger(server.dataDir, 'payee@test.dev').length && readLedger(server.dataDir, 'payee@test.dev'));
+  assert.deepEqual({ source: debit.source, amount: debit.amount, balanceAfter: debit.balanceAfter, to: debit.meta.to },
+    { source: 'trade', amount: -30, balanceAfter: 70, to: 'payee@test.dev' });
+  assert.deepEqual({ source: credit.source, amount: credit.amount, balanceAfter: credit.balanceAfter, from: credit.meta.from },
+    { source: 'trade', amount: 30, balanceAfter: 35, from: 'payer@test.dev' });
+
+  await waitFor(() => readRecord(server.dataDir, 'characters', 'payer@test.dev')?.bcoins === 70);
+  await waitFor(() => readRecord(server.dataDir, 'characters', 'payee@test.dev')?.bcoins === 35);
+});